@@ -0,0 +1,104 @@
+/**
+ * API Key Controller
+ * Handles HTTP requests for API key management
+ * Lets admins create, list and revoke keys for backend jobs and other services
+ */
+
+const ApiKeyService = require('../services/apiKeyService');
+
+/**
+ * API Key Controller Class
+ * Contains all API key-related HTTP request handlers
+ */
+class ApiKeyController {
+
+  /**
+   * Create a new API key (for admin purposes)
+   * POST /api/api-keys
+   * @param {Object} req - Express request object (contains key data in body)
+   * @param {Object} res - Express response object
+   */
+  static async createApiKey(req, res) {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      // Call service to create the key on behalf of the current account
+      const result = await ApiKeyService.createApiKey(
+        { name, scopes, expiresAt },
+        { userId: req.userId, userType: req.userType },
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return the key details and the plaintext key (shown only once)
+      res.status(201).json(result);
+    } catch (error) {
+      // Handle validation errors from Mongoose
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error creating API key' });
+    }
+  }
+
+  /**
+   * Get all API keys (for admin purposes)
+   * GET /api/api-keys
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllApiKeys(req, res) {
+    try {
+      // Get all keys without their hashes
+      const apiKeys = await ApiKeyService.getAllApiKeys();
+
+      // Return array of all keys
+      res.status(200).json({ apiKeys });
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error fetching API keys' });
+    }
+  }
+
+  /**
+   * Get all scopes an API key can be granted
+   * GET /api/api-keys/scopes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static getScopes(req, res) {
+    res.status(200).json({ scopes: ApiKeyService.getScopes() });
+  }
+
+  /**
+   * Revoke an API key (for admin purposes)
+   * DELETE /api/api-keys/:id
+   * @param {Object} req - Express request object (contains key ID in params)
+   * @param {Object} res - Express response object
+   */
+  static async revokeApiKey(req, res) {
+    try {
+      // Revoke the key using ID from request parameters
+      const result = await ApiKeyService.revokeApiKey(
+        req.params.id,
+        { userId: req.userId, userType: req.userType },
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success message
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle key not found error
+      if (error.message === 'API key not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error revoking API key' });
+    }
+  }
+}
+
+// Export the ApiKeyController class
+module.exports = ApiKeyController;
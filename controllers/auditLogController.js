@@ -0,0 +1,53 @@
+/**
+ * Audit Log Controller
+ * Handles HTTP requests for the audit log
+ * Lets admins search the record of account and security events
+ */
+
+const AuditService = require('../services/auditService');
+const PaginationService = require('../services/paginationService');
+
+/**
+ * Audit Log Controller Class
+ * Contains all audit log-related HTTP request handlers
+ */
+class AuditLogController {
+
+  /**
+   * Get one page of audit log entries (for admin purposes)
+   * GET /api/audit-logs
+   * @param {Object} req - Express request object (contains filters and paging options in query)
+   * @param {Object} res - Express response object
+   */
+  static async getAuditLogs(req, res) {
+    try {
+      // Get one page of entries using the validated query parameters
+      const { auditLogs, pagination } = await AuditService.getAuditLogs(req.query);
+
+      // Return the page, newest first, with links to the neighbouring pages
+      res.status(200).json({
+        auditLogs,
+        pagination: {
+          ...pagination,
+          ...PaginationService.buildLinks(req.baseUrl, req.query, pagination)
+        }
+      });
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error fetching audit logs' });
+    }
+  }
+
+  /**
+   * Get all actions recorded in the audit log
+   * GET /api/audit-logs/actions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static getActions(req, res) {
+    res.status(200).json({ actions: AuditService.getActions() });
+  }
+}
+
+// Export the AuditLogController class
+module.exports = AuditLogController;
@@ -1,10 +1,99 @@
 /**
  * Authentication Controller
  * Handles HTTP requests for user and service provider authentication
- * Manages registration, login, and expertise category retrieval
+ * Manages registration, login, passkeys, email verification, two-factor authentication,
+ * and expertise category retrieval
  */
 
 const AuthService = require('../services/authService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const TwoFactorService = require('../services/twoFactorService');
+const EmailChangeService = require('../services/emailChangeService');
+const PhoneVerificationService = require('../services/phoneVerificationService');
+const PasskeyService = require('../services/passkeyService');
+
+// Headers for the email change pages - they carry a token, so they must not be cached, framed or leak a referrer
+const LINK_PAGE_HEADERS = {
+  'Cache-Control': 'no-store',
+  'Referrer-Policy': 'no-referrer',
+  'X-Frame-Options': 'DENY',
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'"
+};
+
+/**
+ * Escape a value for safe insertion into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - HTML-escaped string
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Send a minimal HTML page for the emailed email change links
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} title - Page title and heading
+ * @param {string} content - Page content (HTML, already escaped)
+ */
+const sendLinkPage = (res, status, title, content) => {
+  res.set(LINK_PAGE_HEADERS).status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - RepairO</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 20px; color: #333; }
+    button { background: #2563eb; color: #fff; border: 0; border-radius: 6px; padding: 12px 24px; font-size: 16px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${content}
+</body>
+</html>`);
+};
+
+/**
+ * Answer an email change confirmation or revert
+ * Browsers submitting the button page get an HTML page; API clients get JSON
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} message - Result message
+ */
+const sendLinkResult = (res, status, message) => {
+  res.format({
+    json: () => res.status(status).json({ message }),
+    html: () => {
+      const title = status === 200 ? 'Done' : 'Something went wrong';
+      sendLinkPage(res, status, title, `<p>${escapeHtml(message)}</p>`);
+    }
+  });
+};
+
+/**
+ * Show the page behind an emailed email change link
+ * Opening the link changes nothing - link scanners and mail prefetchers open links automatically,
+ * so the change only happens when the person presses the button, which posts the token
+ * @param {Object} res - Express response object
+ * @param {Object} page - Page contents
+ * @param {string} page.title - Page title and heading
+ * @param {string} page.text - Explanation above the button
+ * @param {string} page.action - Last path segment to post to ('confirm' or 'revert')
+ * @param {string} page.button - Button label
+ * @param {string} page.token - Token from the link
+ */
+const sendLinkForm = (res, { title, text, action, button, token }) => {
+  sendLinkPage(res, 200, title, `<p>${escapeHtml(text)}</p>
+  <form method="post" action="${action}">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button type="submit">${escapeHtml(button)}</button>
+  </form>`);
+};
 
 /**
  * Authentication Controller Class
@@ -21,16 +110,11 @@ class AuthController {
   static async registerUser(req, res) {
     try {
       // Call service to register user with request body data
-      const result = await AuthService.registerUser(req.body);
+      const result = await AuthService.registerUser(req.body, { ip: req.ip, userAgent: req.get('User-Agent') });
       
       // Return success response with 201 status (Created)
       res.status(201).json(result);
     } catch (error) {
-      // Handle specific error for existing user
-      if (error.message.includes('already exists')) {
-        return res.status(400).json({ message: error.message });
-      }
-      
       // Handle other errors with 500 status
       res.status(500).json({ message: 'Error registering user' });
     }
@@ -45,16 +129,14 @@ class AuthController {
   static async registerServiceProvider(req, res) {
     try {
       // Call service to register service provider with request body data
-      const result = await AuthService.registerServiceProvider(req.body);
+      const result = await AuthService.registerServiceProvider(
+        req.body,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
       
       // Return success response with 201 status (Created)
       res.status(201).json(result);
     } catch (error) {
-      // Handle specific error for existing service provider
-      if (error.message.includes('already exists')) {
-        return res.status(400).json({ message: error.message });
-      }
-      
       // Handle other errors with 500 status
       res.status(500).json({ message: 'Error registering service provider' });
     }
@@ -72,21 +154,425 @@ class AuthController {
       const { email, password } = req.body;
       
       // Call service to authenticate user
-      const result = await AuthService.login(email, password);
+      const result = await AuthService.login(email, password, { ip: req.ip, userAgent: req.get('User-Agent') });
       
       // Return success response with token and user data
       res.status(200).json(result);
     } catch (error) {
+      // Handle throttled attempts
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle suspended and banned accounts
+      if (error.accountStatus) {
+        return res.status(403).json({ message: error.message, ...error.accountStatus });
+      }
+      
       // Handle authentication errors
       if (error.message.includes('Invalid email or password')) {
         return res.status(401).json({ message: error.message });
       }
+
+      // Handle unverified accounts when the policy blocks their login
+      if (error.message.includes('verify your email')) {
+        return res.status(403).json({ message: error.message, code: 'EMAIL_NOT_VERIFIED' });
+      }
       
       // Handle other errors with 500 status
       res.status(500).json({ message: 'Error during login' });
     }
   }
 
+  /**
+   * Complete login with a two-factor code
+   * POST /api/auth/login/2fa
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async loginWithTwoFactor(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      // Call service to verify the challenge and second factor
+      const result = await AuthService.loginWithTwoFactor(
+        challengeToken,
+        { code, recoveryCode },
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success response with token and user data
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle throttled attempts
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle suspended and banned accounts
+      if (error.accountStatus) {
+        return res.status(403).json({ message: error.message, ...error.accountStatus });
+      }
+
+      // Handle invalid challenges and wrong codes
+      if (error.message.includes('Invalid or expired') || error.message.includes('Invalid two-factor code')) {
+        return res.status(401).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error during login' });
+    }
+  }
+
+  /**
+   * Email a single-use login link
+   * POST /api/auth/magic-link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async requestMagicLink(req, res) {
+    try {
+      const { email } = req.body;
+
+      // Call service to send the link - the response never reveals whether an account exists
+      const result = await AuthService.requestMagicLink(email, { ip: req.ip });
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle throttled requests
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle deployments with magic links turned off
+      if (error.message.includes('not enabled')) {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error sending login link' });
+    }
+  }
+
+  /**
+   * Log in with a magic link
+   * POST /api/auth/magic-link/login
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async loginWithMagicLink(req, res) {
+    try {
+      const { token } = req.body;
+
+      // Call service to use up the link and start a session
+      const result = await AuthService.loginWithMagicLink(token, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+      // Return success response with token and user data
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle throttled attempts
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle suspended and banned accounts
+      if (error.accountStatus) {
+        return res.status(403).json({ message: error.message, ...error.accountStatus });
+      }
+
+      // Handle invalid, expired and already used links
+      if (error.message.includes('Invalid or expired login link')) {
+        return res.status(401).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error during login' });
+    }
+  }
+
+  /**
+   * Start a passkey login
+   * POST /api/auth/passkeys/login/options
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getPasskeyLoginOptions(req, res) {
+    try {
+      // Call service to issue a login challenge
+      const options = await PasskeyService.generateAuthenticationOptions({ ip: req.ip });
+
+      // Return options for navigator.credentials.get()
+      res.status(200).json(options);
+    } catch (error) {
+      // Handle throttled requests
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error starting passkey login' });
+    }
+  }
+
+  /**
+   * Log in with a passkey
+   * POST /api/auth/passkeys/login
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async loginWithPasskey(req, res) {
+    try {
+      // Call service to verify the assertion and start a session
+      const result = await PasskeyService.login(req.body.credential, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+      // Return success response with token and user data
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle throttled attempts
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle suspended and banned accounts
+      if (error.accountStatus) {
+        return res.status(403).json({ message: error.message, ...error.accountStatus });
+      }
+
+      // Handle unknown passkeys, used challenges and failed verification
+      if (error.message.includes('Invalid or expired passkey challenge') ||
+        error.message.includes('Passkey not recognised') ||
+        error.message.includes('Invalid passkey response') ||
+        error.message.includes('signature counter')) {
+        return res.status(401).json({ message: error.message });
+      }
+
+      // Handle unverified accounts when the policy blocks their login
+      if (error.message.includes('verify your email')) {
+        return res.status(403).json({ message: error.message, code: 'EMAIL_NOT_VERIFIED' });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error during login' });
+    }
+  }
+
+  /**
+   * Start two-factor enrollment
+   * POST /api/auth/2fa/enroll
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async enrollTwoFactor(req, res) {
+    try {
+      // Call service to generate a pending TOTP secret
+      const result = await TwoFactorService.enroll(req.userId, req.userType);
+
+      // Return secret and otpauth URL for the authenticator app
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle accounts that already use 2FA
+      if (error.message.includes('already enabled')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error starting two-factor enrollment' });
+    }
+  }
+
+  /**
+   * Confirm two-factor enrollment
+   * POST /api/auth/2fa/confirm
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async confirmTwoFactor(req, res) {
+    try {
+      // Call service to enable 2FA with the first code from the authenticator app
+      const result = await TwoFactorService.confirm(
+        req.userId,
+        req.userType,
+        req.body.code,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success response with the one-time recovery codes
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle enrollment state and wrong code errors
+      if (error.message.includes('already enabled') ||
+          error.message.includes('No two-factor enrollment') ||
+          error.message.includes('Invalid two-factor code')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error confirming two-factor authentication' });
+    }
+  }
+
+  /**
+   * Disable two-factor authentication
+   * POST /api/auth/2fa/disable
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async disableTwoFactor(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      // Call service to disable 2FA after re-authentication
+      const result = await TwoFactorService.disable(
+        req.userId,
+        req.userType,
+        password,
+        { code, recoveryCode },
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle 2FA state errors
+      if (error.message.includes('not enabled')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle wrong password or code
+      if (error.message.includes('Invalid password or two-factor code')) {
+        return res.status(401).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error disabling two-factor authentication' });
+    }
+  }
+
+  /**
+   * Verify an email address using the emailed link
+   * GET /api/auth/verify-email
+   * @param {Object} req - Express request object (contains token in query)
+   * @param {Object} res - Express response object
+   */
+  static async verifyEmail(req, res) {
+    try {
+      // Call service to verify the email address
+      const result = await EmailVerificationService.verifyEmail(req.query.token);
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle specific error for invalid token
+      if (error.message.includes('Invalid or expired')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error verifying email address' });
+    }
+  }
+
+  /**
+   * Resend the email verification link
+   * POST /api/auth/resend-verification
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async resendVerification(req, res) {
+    try {
+      const { email } = req.body;
+
+      // Call service to resend the verification link
+      const result = await EmailVerificationService.resendVerification(email);
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error sending verification email' });
+    }
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * POST /api/auth/refresh
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      // Call service to rotate the refresh token and issue a new access token
+      const result = await AuthService.refreshSession(refreshToken);
+
+      // Return the new token pair
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle suspended and banned accounts
+      if (error.accountStatus) {
+        return res.status(403).json({ message: error.message, ...error.accountStatus });
+      }
+
+      // Handle invalid, expired or reused refresh tokens
+      if (error.message.includes('Invalid or expired') || error.message.includes('reuse detected')) {
+        return res.status(401).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error refreshing token' });
+    }
+  }
+
+  /**
+   * Log out the current session
+   * POST /api/auth/logout
+   * @param {Object} req - Express request object (contains decoded token from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async logout(req, res) {
+    try {
+      // Revoke the current access token and the session's refresh token
+      const result = await AuthService.logout(req.token, req.body.refreshToken);
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error during logout' });
+    }
+  }
+
+  /**
+   * Log out every session of the current account
+   * POST /api/auth/logout-all
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async logoutAll(req, res) {
+    try {
+      // Revoke all access and refresh tokens of the account
+      const result = await AuthService.revokeAllSessions(
+        req.userId,
+        req.userType,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error during logout' });
+    }
+  }
+
   /**
    * Get all available expertise categories
    * GET /api/auth/expertise-categories
@@ -116,15 +602,16 @@ class AuthController {
     try {
       const { email } = req.body;
       
-      // Call service to send forgot password email
-      const result = await AuthService.forgotPassword(email);
+      // Call service to send forgot password email - the response never reveals whether an account exists
+      const result = await AuthService.forgotPassword(email, { ip: req.ip });
       
       // Return success response
       res.status(200).json(result);
     } catch (error) {
-      // Handle specific error for user not found
-      if (error.message.includes('No account found')) {
-        return res.status(404).json({ message: error.message });
+      // Handle throttled requests
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
       }
       
       // Handle other errors with 500 status
@@ -140,10 +627,14 @@ class AuthController {
    */
   static async resetPassword(req, res) {
     try {
-      const { token, newPassword, userType } = req.body;
+      const { token, newPassword } = req.body;
       
-      // Call service to reset password
-      const result = await AuthService.resetPassword(token, newPassword, userType);
+      // Call service to reset password - the token identifies the account
+      const result = await AuthService.resetPassword(
+        token,
+        newPassword,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
       
       // Return success response
       res.status(200).json(result);
@@ -152,11 +643,360 @@ class AuthController {
       if (error.message.includes('Invalid or expired')) {
         return res.status(400).json({ message: error.message });
       }
+
+      // Handle password policy failures in the validation error format
+      if (error.errors) {
+        return res.status(400).json({ message: 'Validation failed', errors: error.errors });
+      }
       
       // Handle other errors with 500 status
       res.status(500).json({ message: 'Error resetting password' });
     }
   }
+
+  /**
+   * Change the password of the current account
+   * PUT /api/auth/password
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword, signOutOtherSessions } = req.body;
+
+      // Call service to change the password
+      const result = await AuthService.changePassword(
+        req.userId,
+        req.userType,
+        currentPassword,
+        newPassword,
+        { signOutOtherSessions },
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle throttled attempts
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle wrong current password or unchanged password
+      if (error.message.includes('Current password is incorrect') ||
+          error.message.includes('must be different')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle password policy failures in the validation error format
+      if (error.errors) {
+        return res.status(400).json({ message: 'Validation failed', errors: error.errors });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error changing password' });
+    }
+  }
+
+  /**
+   * Send a phone verification code to the current account's phone number
+   * POST /api/auth/phone/send-code
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async sendPhoneCode(req, res) {
+    try {
+      // Call service to send a one-time code by SMS
+      const result = await PhoneVerificationService.sendCode(req.userId, req.userType, { ip: req.ip });
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle rate limited requests
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle numbers that are already verified or cannot receive codes
+      if (error.message.includes('already verified') || error.message.includes('international format')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle SMS transport failures
+      if (error.message.includes('SMS service unavailable')) {
+        return res.status(503).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error sending verification code' });
+    }
+  }
+
+  /**
+   * Verify the current account's phone number with a one-time code
+   * POST /api/auth/phone/verify
+   * @param {Object} req - Express request object (contains code in body)
+   * @param {Object} res - Express response object
+   */
+  static async verifyPhone(req, res) {
+    try {
+      // Call service to check the code
+      const result = await PhoneVerificationService.verifyCode(req.userId, req.userType, req.body.code);
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle wrong, expired or exhausted codes
+      if (error.message.includes('Invalid or expired') || error.message.includes('Too many incorrect')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error verifying phone number' });
+    }
+  }
+
+  /**
+   * Start registering a passkey
+   * POST /api/auth/passkeys/register/options
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async getPasskeyRegistrationOptions(req, res) {
+    try {
+      // Call service to issue a registration challenge
+      const options = await PasskeyService.generateRegistrationOptions(req.userId, req.userType);
+
+      // Return options for navigator.credentials.create()
+      res.status(200).json(options);
+    } catch (error) {
+      // Handle accounts deleted since the token was issued
+      if (error.message === 'Account not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error starting passkey registration' });
+    }
+  }
+
+  /**
+   * Finish registering a passkey
+   * POST /api/auth/passkeys/register
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async registerPasskey(req, res) {
+    try {
+      const { credential, name } = req.body;
+
+      // Call service to verify the attestation and store the passkey
+      const result = await PasskeyService.verifyRegistration(
+        req.userId,
+        req.userType,
+        credential,
+        name,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return created response
+      res.status(201).json(result);
+    } catch (error) {
+      // Handle used challenges and failed verification
+      if (error.message.includes('Invalid or expired passkey challenge') ||
+        error.message.includes('Invalid passkey') ||
+        error.message.includes('Unsupported')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle passkeys registered before
+      if (error.message.includes('already registered')) {
+        return res.status(409).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error registering passkey' });
+    }
+  }
+
+  /**
+   * List the account's passkeys
+   * GET /api/auth/passkeys
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async getPasskeys(req, res) {
+    try {
+      // Call service to get the account's passkeys
+      const passkeys = await PasskeyService.listPasskeys(req.userId);
+
+      // Return passkeys without key material
+      res.status(200).json({ passkeys });
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error fetching passkeys' });
+    }
+  }
+
+  /**
+   * Remove one of the account's passkeys
+   * DELETE /api/auth/passkeys/:id
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async removePasskey(req, res) {
+    try {
+      // Call service to remove the passkey using ID from request parameters
+      const result = await PasskeyService.removePasskey(
+        req.userId,
+        req.params.id,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success message
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle passkeys that do not exist or belong to another account
+      if (error.message === 'Passkey not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error removing passkey' });
+    }
+  }
+
+  /**
+   * Request a change of the current account's email address
+   * PUT /api/auth/email
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async requestEmailChange(req, res) {
+    try {
+      const { newEmail, password } = req.body;
+
+      // Call service to send a confirmation link to the new address
+      const result = await EmailChangeService.requestChange(
+        req.userId,
+        req.userType,
+        newEmail,
+        password,
+        { ip: req.ip }
+      );
+
+      // Return success response
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle throttled attempts
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+      }
+
+      // Handle wrong password or unchanged address
+      if (error.message.includes('Password is incorrect') ||
+          error.message.includes('must be different')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle email service failures
+      if (error.message.includes('Email service unavailable')) {
+        return res.status(503).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error requesting email change' });
+    }
+  }
+
+  /**
+   * Show the confirmation button for the link sent to the new address
+   * GET /api/auth/email/confirm
+   * @param {Object} req - Express request object (contains token in query)
+   * @param {Object} res - Express response object
+   */
+  static showEmailChangeConfirmation(req, res) {
+    sendLinkForm(res, {
+      title: 'Confirm your new email address',
+      text: 'Press the button to start using this address for your RepairO account.',
+      action: 'confirm',
+      button: 'Confirm email address',
+      token: req.query.token
+    });
+  }
+
+  /**
+   * Confirm an email change using the token from the link sent to the new address
+   * POST /api/auth/email/confirm
+   * @param {Object} req - Express request object (contains token in body)
+   * @param {Object} res - Express response object
+   */
+  static async confirmEmailChange(req, res) {
+    try {
+      // Call service to switch the account to the new address
+      const result = await EmailChangeService.confirmChange(
+        req.body.token,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success response
+      sendLinkResult(res, 200, result.message);
+    } catch (error) {
+      // Handle invalid tokens and addresses taken in the meantime
+      if (error.message.includes('Invalid or expired') || error.message.includes('already exists')) {
+        return sendLinkResult(res, 400, error.message);
+      }
+
+      // Handle other errors with 500 status
+      sendLinkResult(res, 500, 'Error confirming email change');
+    }
+  }
+
+  /**
+   * Show the revert button for the link sent to the old address
+   * GET /api/auth/email/revert
+   * @param {Object} req - Express request object (contains token in query)
+   * @param {Object} res - Express response object
+   */
+  static showEmailChangeRevert(req, res) {
+    sendLinkForm(res, {
+      title: 'Undo the email address change',
+      text: 'Press the button to restore this address on your RepairO account. Every session will be signed out.',
+      action: 'revert',
+      button: 'Restore my email address',
+      token: req.query.token
+    });
+  }
+
+  /**
+   * Revert an email change using the token from the link sent to the old address
+   * POST /api/auth/email/revert
+   * @param {Object} req - Express request object (contains token in body)
+   * @param {Object} res - Express response object
+   */
+  static async revertEmailChange(req, res) {
+    try {
+      // Call service to restore the old address and sign out every session
+      const result = await EmailChangeService.revertChange(
+        req.body.token,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return success response
+      sendLinkResult(res, 200, result.message);
+    } catch (error) {
+      // Handle invalid tokens and addresses taken in the meantime
+      if (error.message.includes('Invalid or expired') || error.message.includes('already exists')) {
+        return sendLinkResult(res, 400, error.message);
+      }
+
+      // Handle other errors with 500 status
+      sendLinkResult(res, 500, 'Error reverting email change');
+    }
+  }
 }
 
 // Export the AuthController class
@@ -0,0 +1,61 @@
+/**
+ * Internal Controller
+ * Handles HTTP requests from other RepairO services
+ * Resolves access tokens and account IDs to basic account info
+ */
+
+const AuthService = require('../services/authService');
+const AccountService = require('../services/accountService');
+
+/**
+ * Internal Controller Class
+ * Contains all service-to-service HTTP request handlers
+ */
+class InternalController {
+
+  /**
+   * Introspect an access token (RFC 7662 style)
+   * POST /api/internal/introspect
+   * @param {Object} req - Express request object (contains token in body)
+   * @param {Object} res - Express response object
+   */
+  static async introspect(req, res) {
+    try {
+      const { token } = req.body;
+
+      // Call service to check the token and load the account it belongs to
+      const result = await AuthService.introspectToken(token);
+
+      // Introspection results must not be cached by intermediaries
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error introspecting token' });
+    }
+  }
+
+  /**
+   * Get basic account info for many accounts at once
+   * POST /api/internal/accounts/batch
+   * @param {Object} req - Express request object (contains ids and optional userType in body)
+   * @param {Object} res - Express response object
+   */
+  static async getAccountsBatch(req, res) {
+    try {
+      const { ids, userType } = req.body;
+
+      // Call service to load the account summaries
+      const result = await AccountService.findSummariesByIds(ids, userType);
+
+      // Return found accounts and the IDs that matched nothing
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error fetching accounts' });
+    }
+  }
+}
+
+// Export the InternalController class
+module.exports = InternalController;
@@ -4,7 +4,14 @@
  * Manages service provider profile operations and expertise-based queries
  */
 
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const ServiceProviderService = require('../services/serviceProviderService');
+const PaginationService = require('../services/paginationService');
+const AccountImportService = require('../services/accountImportService');
+const AccountExportService = require('../services/accountExportService');
+const AccountViewService = require('../services/accountViewService');
+const { validateRecord, validateServiceProviderImportRow } = require('../middleware/validation');
 
 /**
  * Service Provider Controller Class
@@ -24,7 +31,7 @@ class ServiceProviderController {
       const serviceProvider = await ServiceProviderService.getServiceProviderById(req.userId);
       
       // Return service provider profile data
-      res.status(200).json({ serviceProvider });
+      res.status(200).json({ serviceProvider: AccountViewService.toOwnerProfile(serviceProvider, 'serviceProvider') });
     } catch (error) {
       // Handle service provider not found error
       if (error.message === 'Service provider not found') {
@@ -45,12 +52,16 @@ class ServiceProviderController {
   static async updateServiceProviderProfile(req, res) {
     try {
       // Update service provider profile using ID from authenticated request and request body data
-      const updatedServiceProvider = await ServiceProviderService.updateServiceProvider(req.userId, req.body);
+      const updatedServiceProvider = await ServiceProviderService.updateServiceProvider(
+        req.userId,
+        req.body,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
       
       // Return success response with updated service provider data
       res.status(200).json({
         message: 'Service provider profile updated successfully',
-        serviceProvider: updatedServiceProvider
+        serviceProvider: AccountViewService.toOwnerProfile(updatedServiceProvider, 'serviceProvider')
       });
     } catch (error) {
       // Handle service provider not found error
@@ -72,7 +83,10 @@ class ServiceProviderController {
   static async deleteServiceProvider(req, res) {
     try {
       // Delete service provider account using ID from authenticated request
-      const result = await ServiceProviderService.deleteServiceProvider(req.userId);
+      const result = await ServiceProviderService.deleteServiceProvider(
+        req.userId,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
       
       // Return success message
       res.status(200).json(result);
@@ -98,8 +112,8 @@ class ServiceProviderController {
       // Get service provider profile using ID from request parameters
       const serviceProvider = await ServiceProviderService.getServiceProviderById(req.params.id);
       
-      // Return service provider profile data
-      res.status(200).json({ serviceProvider });
+      // Return the admin view of the service provider
+      res.status(200).json({ serviceProvider: AccountViewService.toAdminView(serviceProvider, 'serviceProvider') });
     } catch (error) {
       // Handle service provider not found error
       if (error.message === 'Service provider not found') {
@@ -112,24 +126,304 @@ class ServiceProviderController {
   }
 
   /**
-   * Get all service providers in the system (for admin purposes)
-   * GET /api/service-providers
+   * Unlock an account locked after repeated failed logins (for admin purposes)
+   * POST /api/service-providers/:id/unlock
+   * @param {Object} req - Express request object (contains provider ID in params)
+   * @param {Object} res - Express response object
+   */
+  static async unlockServiceProvider(req, res) {
+    try {
+      // Clear the lockout using ID from request parameters
+      const result = await ServiceProviderService.unlockServiceProvider(
+        req.params.id,
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+      
+      // Return success message
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle service provider not found error
+      if (error.message === 'Service provider not found') {
+        return res.status(404).json({ message: error.message });
+      }
+      
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error unlocking account' });
+    }
+  }
+
+  /**
+   * Get current service provider's login history
+   * GET /api/service-providers/login-history
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async getLoginHistory(req, res) {
+    try {
+      // Get login history using ID from authenticated request
+      const loginHistory = await ServiceProviderService.getLoginHistory(req.userId, req.query.limit);
+
+      // Return login attempts, newest first
+      res.status(200).json({ loginHistory });
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'Service provider not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error fetching login history' });
+    }
+  }
+
+  /**
+   * Get a service provider's login history (for admin purposes)
+   * GET /api/service-providers/:id/login-history
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
+  static async getServiceProviderLoginHistory(req, res) {
+    try {
+      // Get login history using ID from request parameters
+      const loginHistory = await ServiceProviderService.getLoginHistory(req.params.id, req.query.limit);
+
+      // Return login attempts, newest first
+      res.status(200).json({ loginHistory });
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'Service provider not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error fetching login history' });
+    }
+  }
+
+  /**
+   * Replace the staff roles of a service provider (for admin purposes)
+   * PUT /api/service-providers/:id/roles
+   * @param {Object} req - Express request object (contains roles in body)
+   * @param {Object} res - Express response object
+   */
+  static async updateServiceProviderRoles(req, res) {
+    try {
+      // Assign the roles using ID from request parameters
+      const result = await ServiceProviderService.updateRoles(
+        req.params.id,
+        req.body.roles,
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return the new roles and the permissions they grant
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'Service provider not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle role errors
+      if (error.message === 'You cannot remove your own admin role' || error.message.startsWith('Unknown role')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error updating roles' });
+    }
+  }
+
+  /**
+   * Suspend, ban or reinstate a service provider (for admin purposes)
+   * PUT /api/service-providers/:id/status
+   * @param {Object} req - Express request object (contains status, reason and expiresAt in body)
+   * @param {Object} res - Express response object
+   */
+  static async updateServiceProviderStatus(req, res) {
+    try {
+      const { status, reason, expiresAt } = req.body;
+
+      // Change the status using ID from request parameters, recording the admin account or API key
+      const result = await ServiceProviderService.updateStatus(
+        req.params.id,
+        { status, reason, expiresAt },
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return the new status
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'Service provider not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle attempts to restrict staff accounts without the roles:manage permission
+      if (error.message.startsWith('Only accounts with the roles:manage permission')) {
+        return res.status(403).json({ message: error.message });
+      }
+
+      // Handle status errors
+      if (error.message === 'You cannot change your own account status' ||
+        error.message === 'Only suspensions can have an expiry' ||
+        error.message.startsWith('Unknown status')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error updating account status' });
+    }
+  }
+
+  /**
+   * Get one page of service providers (for admin purposes)
+   * GET /api/service-providers
+   * @param {Object} req - Express request object (contains paging, filter and sort options in query)
+   * @param {Object} res - Express response object
+   */
   static async getAllServiceProviders(req, res) {
     try {
-      // Get all service providers from the system
-      const serviceProviders = await ServiceProviderService.getAllServiceProviders();
-      
-      // Return array of all service providers
-      res.status(200).json({ serviceProviders });
+      // Get one page of service providers using the validated query parameters
+      const { serviceProviders, pagination } = await ServiceProviderService.getAllServiceProviders(req.query);
+
+      // Return the page with total counts and links to the neighbouring pages
+      res.status(200).json({
+        serviceProviders: serviceProviders.map(provider => AccountViewService.toAdminView(provider, 'serviceProvider')),
+        pagination: {
+          ...pagination,
+          ...PaginationService.buildLinks(req.baseUrl, req.query, pagination)
+        }
+      });
     } catch (error) {
       // Handle errors with 500 status
       res.status(500).json({ message: 'Error fetching service providers' });
     }
   }
 
+  /**
+   * Import service providers from a CSV file or JSON array (for admin purposes)
+   * POST /api/service-providers/import
+   * @param {Object} req - Express request object (contains the accounts in body, dryRun and invite in query)
+   * @param {Object} res - Express response object
+   */
+  static async importServiceProviders(req, res) {
+    try {
+      // Read the accounts from the CSV text or the JSON body
+      const records = AccountImportService.parseRecords(req.body, req.is('text/csv') ? 'csv' : 'json');
+
+      // Check every account with the registration rules, then create the valid ones
+      const result = await AccountImportService.importAccounts(
+        'serviceProvider',
+        records,
+        {
+          validateRow: row => validateRecord(validateServiceProviderImportRow, row),
+          dryRun: req.query.dryRun,
+          invite: req.query.invite
+        },
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return the summary and a report for every account
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle empty, malformed and oversized imports
+      if (error.message.startsWith('Import')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error importing service providers' });
+    }
+  }
+
+  /**
+   * Export service providers as CSV or JSON (for admin purposes)
+   * GET /api/service-providers/export
+   * @param {Object} req - Express request object (contains format, fields, filters and sort in query)
+   * @param {Object} res - Express response object
+   */
+  static async exportServiceProviders(req, res) {
+    try {
+      const format = req.query.format || 'csv';
+
+      // Download as a dated file - the extension sets the content type
+      res.attachment(`service-providers-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+      // Stream the accounts straight from the database cursor to the client
+      const chunks = AccountExportService.exportAccounts(
+        'serviceProvider',
+        req.query,
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+      await pipeline(Readable.from(chunks), res);
+    } catch (error) {
+      // Once streaming has started the connection is closed instead, so the file is visibly incomplete
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ message: 'Error exporting service providers' });
+      }
+    }
+  }
+
+  /**
+   * Get a service provider's audit log activity (for admin purposes)
+   * GET /api/service-providers/:id/activity
+   * @param {Object} req - Express request object (contains action, date and paging filters in query)
+   * @param {Object} res - Express response object
+   */
+  static async getServiceProviderActivity(req, res) {
+    try {
+      // Get one page of activity using ID from request parameters
+      const { activity, pagination } = await ServiceProviderService.getActivity(req.params.id, req.query);
+
+      // Return the page, newest first, with links to the neighbouring pages
+      res.status(200).json({
+        activity,
+        pagination: {
+          ...pagination,
+          ...PaginationService.buildLinks(`${req.baseUrl}${req.path}`, req.query, pagination)
+        }
+      });
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'Service provider not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error fetching activity' });
+    }
+  }
+
+  /**
+   * Get the public card of a service provider
+   * GET /api/service-providers/:id/card
+   * @param {Object} req - Express request object (contains provider ID in params)
+   * @param {Object} res - Express response object
+   */
+  static async getServiceProviderCard(req, res) {
+    try {
+      // Get the service provider if it is shown to the public
+      const serviceProvider = await ServiceProviderService.getListedServiceProvider(req.params.id);
+
+      // Return only the public card
+      res.status(200).json({ serviceProvider: AccountViewService.toPublicCard(serviceProvider) });
+    } catch (error) {
+      // Handle service provider not found error
+      if (error.message === 'Service provider not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error fetching service provider' });
+    }
+  }
+
   /**
    * Get service providers by specific expertise category
    * GET /api/service-providers/expertise/:expertise
@@ -144,8 +438,10 @@ class ServiceProviderController {
       // Get service providers with matching expertise
       const serviceProviders = await ServiceProviderService.getServiceProvidersByExpertise(expertise);
       
-      // Return array of matching service providers
-      res.status(200).json({ serviceProviders });
+      // Return the public cards of the matching service providers
+      res.status(200).json({
+        serviceProviders: serviceProviders.map(provider => AccountViewService.toPublicCard(provider))
+      });
     } catch (error) {
       // Handle errors with 500 status
       res.status(500).json({ message: 'Error fetching service providers by expertise' });
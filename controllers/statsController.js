@@ -0,0 +1,36 @@
+/**
+ * Stats Controller
+ * Handles HTTP requests for the admin statistics
+ * Gives the operations team registration and account figures without querying the database directly
+ */
+
+const StatsService = require('../services/statsService');
+
+/**
+ * Stats Controller Class
+ * Contains all admin statistics-related HTTP request handlers
+ */
+class StatsController {
+
+  /**
+   * Get registration and account statistics (for admin purposes)
+   * GET /api/stats
+   * @param {Object} req - Express request object (contains date range and interval in query)
+   * @param {Object} res - Express response object
+   */
+  static async getStats(req, res) {
+    try {
+      // Aggregate the figures using the validated query parameters
+      const stats = await StatsService.getStats(req.query);
+
+      // Return the figures for users and service providers
+      res.status(200).json(stats);
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error fetching statistics' });
+    }
+  }
+}
+
+// Export the StatsController class
+module.exports = StatsController;
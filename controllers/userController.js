@@ -4,7 +4,14 @@
  * Manages user profile retrieval, updates, and deletion
  */
 
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const UserService = require('../services/userService');
+const PaginationService = require('../services/paginationService');
+const AccountImportService = require('../services/accountImportService');
+const AccountExportService = require('../services/accountExportService');
+const AccountViewService = require('../services/accountViewService');
+const { validateRecord, validateUserImportRow } = require('../middleware/validation');
 
 /**
  * User Controller Class
@@ -24,7 +31,7 @@ class UserController {
       const user = await UserService.getUserById(req.userId);
       
       // Return user profile data
-      res.status(200).json({ user });
+      res.status(200).json({ user: AccountViewService.toOwnerProfile(user, 'user') });
     } catch (error) {
       // Handle user not found error
       if (error.message === 'User not found') {
@@ -45,12 +52,16 @@ class UserController {
   static async updateUserProfile(req, res) {
     try {
       // Update user profile using ID from authenticated request and request body data
-      const updatedUser = await UserService.updateUser(req.userId, req.body);
+      const updatedUser = await UserService.updateUser(
+        req.userId,
+        req.body,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
       
       // Return success response with updated user data
       res.status(200).json({
         message: 'User profile updated successfully',
-        user: updatedUser
+        user: AccountViewService.toOwnerProfile(updatedUser, 'user')
       });
     } catch (error) {
       // Handle user not found error
@@ -72,7 +83,7 @@ class UserController {
   static async deleteUser(req, res) {
     try {
       // Delete user account using ID from authenticated request
-      const result = await UserService.deleteUser(req.userId);
+      const result = await UserService.deleteUser(req.userId, { ip: req.ip, userAgent: req.get('User-Agent') });
       
       // Return success message
       res.status(200).json(result);
@@ -98,8 +109,8 @@ class UserController {
       // Get user profile using ID from request parameters
       const user = await UserService.getUserById(req.params.id);
       
-      // Return user profile data
-      res.status(200).json({ user });
+      // Return the admin view of the user
+      res.status(200).json({ user: AccountViewService.toAdminView(user, 'user') });
     } catch (error) {
       // Handle user not found error
       if (error.message === 'User not found') {
@@ -112,23 +123,279 @@ class UserController {
   }
 
   /**
-   * Get all users in the system (for admin purposes)
-   * GET /api/users
+   * Unlock an account locked after repeated failed logins (for admin purposes)
+   * POST /api/users/:id/unlock
+   * @param {Object} req - Express request object (contains user ID in params)
+   * @param {Object} res - Express response object
+   */
+  static async unlockUser(req, res) {
+    try {
+      // Clear the lockout using ID from request parameters
+      const result = await UserService.unlockUser(
+        req.params.id,
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+      
+      // Return success message
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle user not found error
+      if (error.message === 'User not found') {
+        return res.status(404).json({ message: error.message });
+      }
+      
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error unlocking account' });
+    }
+  }
+
+  /**
+   * Get current user's login history
+   * GET /api/users/login-history
+   * @param {Object} req - Express request object (contains user info from auth middleware)
+   * @param {Object} res - Express response object
+   */
+  static async getLoginHistory(req, res) {
+    try {
+      // Get login history using ID from authenticated request
+      const loginHistory = await UserService.getLoginHistory(req.userId, req.query.limit);
+
+      // Return login attempts, newest first
+      res.status(200).json({ loginHistory });
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'User not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error fetching login history' });
+    }
+  }
+
+  /**
+   * Get a user's login history (for admin purposes)
+   * GET /api/users/:id/login-history
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
+  static async getUserLoginHistory(req, res) {
+    try {
+      // Get login history using ID from request parameters
+      const loginHistory = await UserService.getLoginHistory(req.params.id, req.query.limit);
+
+      // Return login attempts, newest first
+      res.status(200).json({ loginHistory });
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'User not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error fetching login history' });
+    }
+  }
+
+  /**
+   * Replace the staff roles of a user (for admin purposes)
+   * PUT /api/users/:id/roles
+   * @param {Object} req - Express request object (contains roles in body)
+   * @param {Object} res - Express response object
+   */
+  static async updateUserRoles(req, res) {
+    try {
+      // Assign the roles using ID from request parameters
+      const result = await UserService.updateRoles(
+        req.params.id,
+        req.body.roles,
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return the new roles and the permissions they grant
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'User not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle role errors
+      if (error.message === 'You cannot remove your own admin role' || error.message.startsWith('Unknown role')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error updating roles' });
+    }
+  }
+
+  /**
+   * Suspend, ban or reinstate a user (for admin purposes)
+   * PUT /api/users/:id/status
+   * @param {Object} req - Express request object (contains status, reason and expiresAt in body)
+   * @param {Object} res - Express response object
+   */
+  static async updateUserStatus(req, res) {
+    try {
+      const { status, reason, expiresAt } = req.body;
+
+      // Change the status using ID from request parameters, recording the admin account or API key
+      const result = await UserService.updateStatus(
+        req.params.id,
+        { status, reason, expiresAt },
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return the new status
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'User not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle attempts to restrict staff accounts without the roles:manage permission
+      if (error.message.startsWith('Only accounts with the roles:manage permission')) {
+        return res.status(403).json({ message: error.message });
+      }
+
+      // Handle status errors
+      if (error.message === 'You cannot change your own account status' ||
+        error.message === 'Only suspensions can have an expiry' ||
+        error.message.startsWith('Unknown status')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error updating account status' });
+    }
+  }
+
+  /**
+   * Get one page of users (for admin purposes)
+   * GET /api/users
+   * @param {Object} req - Express request object (contains paging, filter and sort options in query)
+   * @param {Object} res - Express response object
+   */
   static async getAllUsers(req, res) {
     try {
-      // Get all users from the system
-      const users = await UserService.getAllUsers();
-      
-      // Return array of all users
-      res.status(200).json({ users });
+      // Get one page of users using the validated query parameters
+      const { users, pagination } = await UserService.getAllUsers(req.query);
+
+      // Return the page with total counts and links to the neighbouring pages
+      res.status(200).json({
+        users: users.map(user => AccountViewService.toAdminView(user, 'user')),
+        pagination: {
+          ...pagination,
+          ...PaginationService.buildLinks(req.baseUrl, req.query, pagination)
+        }
+      });
     } catch (error) {
       // Handle errors with 500 status
       res.status(500).json({ message: 'Error fetching users' });
     }
   }
+
+  /**
+   * Import users from a CSV file or JSON array (for admin purposes)
+   * POST /api/users/import
+   * @param {Object} req - Express request object (contains the accounts in body, dryRun and invite in query)
+   * @param {Object} res - Express response object
+   */
+  static async importUsers(req, res) {
+    try {
+      // Read the accounts from the CSV text or the JSON body
+      const records = AccountImportService.parseRecords(req.body, req.is('text/csv') ? 'csv' : 'json');
+
+      // Check every account with the registration rules, then create the valid ones
+      const result = await AccountImportService.importAccounts(
+        'user',
+        records,
+        {
+          validateRow: row => validateRecord(validateUserImportRow, row),
+          dryRun: req.query.dryRun,
+          invite: req.query.invite
+        },
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      // Return the summary and a report for every account
+      res.status(200).json(result);
+    } catch (error) {
+      // Handle empty, malformed and oversized imports
+      if (error.message.startsWith('Import')) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error importing users' });
+    }
+  }
+
+  /**
+   * Export users as CSV or JSON (for admin purposes)
+   * GET /api/users/export
+   * @param {Object} req - Express request object (contains format, fields, filters and sort in query)
+   * @param {Object} res - Express response object
+   */
+  static async exportUsers(req, res) {
+    try {
+      const format = req.query.format || 'csv';
+
+      // Download as a dated file - the extension sets the content type
+      res.attachment(`users-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+      // Stream the accounts straight from the database cursor to the client
+      const chunks = AccountExportService.exportAccounts(
+        'user',
+        req.query,
+        req.actor,
+        { ip: req.ip, userAgent: req.get('User-Agent') }
+      );
+      await pipeline(Readable.from(chunks), res);
+    } catch (error) {
+      // Once streaming has started the connection is closed instead, so the file is visibly incomplete
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ message: 'Error exporting users' });
+      }
+    }
+  }
+
+  /**
+   * Get a user's audit log activity (for admin purposes)
+   * GET /api/users/:id/activity
+   * @param {Object} req - Express request object (contains action, date and paging filters in query)
+   * @param {Object} res - Express response object
+   */
+  static async getUserActivity(req, res) {
+    try {
+      // Get one page of activity using ID from request parameters
+      const { activity, pagination } = await UserService.getActivity(req.params.id, req.query);
+
+      // Return the page, newest first, with links to the neighbouring pages
+      res.status(200).json({
+        activity,
+        pagination: {
+          ...pagination,
+          ...PaginationService.buildLinks(`${req.baseUrl}${req.path}`, req.query, pagination)
+        }
+      });
+    } catch (error) {
+      // Handle account not found error
+      if (error.message === 'User not found') {
+        return res.status(404).json({ message: error.message });
+      }
+
+      // Handle other errors with 500 status
+      res.status(500).json({ message: 'Error fetching activity' });
+    }
+  }
 }
 
 // Export the UserController class
@@ -0,0 +1,38 @@
+/**
+ * Well-Known Controller
+ * Handles HTTP requests for the /.well-known discovery documents
+ * Publishes the public signing keys other RepairO services use to verify access tokens
+ */
+
+const KeyService = require('../services/keyService');
+
+/**
+ * Well-Known Controller Class
+ * Contains all discovery document HTTP request handlers
+ */
+class WellKnownController {
+
+  /**
+   * Get the JSON Web Key Set with the public signing keys
+   * GET /.well-known/jwks.json
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getJwks(req, res) {
+    try {
+      // Build the key set from the active key and keys within their grace window
+      const jwks = KeyService.getJwks();
+
+      // Allow verifiers to cache the keys briefly - rotated keys are published this long before they sign,
+      // and old keys stay published for the grace window
+      res.set('Cache-Control', `public, max-age=${KeyService.getJwksMaxAge()}`);
+      res.status(200).json(jwks);
+    } catch (error) {
+      // Handle errors with 500 status
+      res.status(500).json({ message: 'Error fetching signing keys' });
+    }
+  }
+}
+
+// Export the WellKnownController class
+module.exports = WellKnownController;
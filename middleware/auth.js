@@ -1,52 +1,96 @@
 /**
  * Authentication Middleware
  * Handles JWT token verification and user authentication
- * Provides role-based access control for users and service providers
+ * Provides access control by account type and by staff role permissions
+ * and authenticates other RepairO services calling the internal endpoints
  */
 
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const ServiceProvider = require('../models/ServiceProvider');
+const AccountService = require('../services/accountService');
+const TokenService = require('../services/tokenService');
+const KeyService = require('../services/keyService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const ServiceClientService = require('../services/serviceClientService');
+const ApiKeyService = require('../services/apiKeyService');
+const RoleService = require('../services/roleService');
+const AccountStatusService = require('../services/accountStatusService');
 
 /**
  * Main authentication middleware
- * Verifies JWT token and attaches user information to request object
+ * Accepts either a user JWT or an API key
+ * Verifies JWT token, rejects revoked tokens and attaches user information to request object;
+ * API keys attach the key instead and are limited to routes that declare a permission
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const auth = async (req, res, next) => {
   try {
-    // Extract token from Authorization header (Bearer token format)
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    // Extract token from Authorization header (Bearer token format) or the X-API-Key header
+    const token = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
     
     // Check if token exists
     if (!token) {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
-    // Verify JWT token using secret key
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // API keys are opaque and looked up by hash
+    if (ApiKeyService.isApiKey(token)) {
+      const apiKey = await ApiKeyService.authenticate(token);
+      if (!apiKey) {
+        return res.status(401).json({ message: 'Invalid API key.' });
+      }
+
+      // Attach the key for scope checks; there is no account behind an API key
+      req.apiKey = apiKey;
+      req.actor = { userId: apiKey._id, userType: 'apiKey' };
+      return next();
+    }
+
+    // Verify JWT token with the shared secret or the service's public keys
+    const decoded = KeyService.verify(token);
+
+    // Reject single-purpose tokens such as email verification links
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+
+    // Reject tokens revoked through logout
+    if (!decoded.jti || await TokenService.isAccessTokenRevoked(decoded.jti)) {
+      return res.status(401).json({ message: 'Token has been revoked.' });
+    }
     
-    // Try to find user in users collection first
-    let user = await User.findById(decoded.userId);
-    let userType = 'user';
+    // Tokens carry the account type, so a single lookup finds the account
+    const { userType } = decoded;
+    if (userType !== 'user' && userType !== 'serviceProvider') {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+
+    const user = await AccountService.getModel(userType).findById(decoded.userId);
     
-    // If user not found, try service providers collection
+    // If the account no longer exists, token is invalid
     if (!user) {
-      user = await ServiceProvider.findById(decoded.userId);
-      userType = 'serviceProvider';
-      
-      // If neither user nor service provider found, token is invalid
-      if (!user) {
-        return res.status(401).json({ message: 'Invalid token. User not found.' });
-      }
+      return res.status(401).json({ message: 'Invalid token. User not found.' });
+    }
+
+    // Reject tokens issued before the account's sessions were revoked
+    if (decoded.tokenVersion !== user.tokenVersion) {
+      return res.status(401).json({ message: 'Token has been revoked.' });
+    }
+
+    // Refuse suspended and banned accounts
+    const restriction = AccountStatusService.getRestriction(user);
+    if (restriction) {
+      return res.status(403).json(restriction);
     }
 
     // Attach user information to request object for use in route handlers
+    req.token = decoded;
     req.user = user;
     req.userType = userType;
     req.userId = decoded.userId;
+    // Who is acting, for the audit log - the account, or the API key above
+    // Accounts carry their roles so services can check what the caller may do to staff accounts
+    req.actor = { userId: user._id, userType, roles: user.roles };
     
     next();
   } catch (error) {
@@ -90,5 +134,86 @@ const isUser = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to restrict access to user and service provider accounts
+ * Refuses API keys on routes that act on the caller's own account
+ * Must be used after the main auth middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const isAccount = (req, res, next) => {
+  if (!req.user) {
+    return res.status(403).json({ message: 'Access denied. Account login required.' });
+  }
+  next();
+};
+
+/**
+ * Middleware factory to restrict a route to callers holding a permission
+ * Accounts need a role that grants the permission; API keys need it as a scope
+ * Must be used after the main auth middleware
+ * @param {string} permission - Required permission, e.g. 'users:read'
+ * @returns {Function} - Express middleware function
+ */
+const authorize = (permission) => (req, res, next) => {
+  const allowed = req.apiKey
+    ? req.apiKey.scopes.includes(permission)
+    : RoleService.hasPermission(req.user.roles, permission);
+
+  if (!allowed) {
+    return res.status(403).json({
+      message: 'Access denied. Insufficient permissions.',
+      requiredPermission: permission
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware factory to restrict an action to accounts with a verified email address
+ * The unverified account policy decides whether the action is allowed anyway
+ * Must be used after the main auth middleware
+ * @param {string} policyFlag - Name of the policy flag that permits the action when unverified
+ * @returns {Function} - Express middleware function
+ */
+const requireVerifiedEmail = (policyFlag) => (req, res, next) => {
+  if (!req.user.emailVerified && !EmailVerificationService.getPolicy()[policyFlag]) {
+    return res.status(403).json({
+      message: 'Access denied. Please verify your email address first.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+/**
+ * Service authentication middleware for the internal endpoints
+ * Accepts HTTP Basic credentials of a configured service client instead of a user JWT
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const serviceAuth = (req, res, next) => {
+  const credentials = ServiceClientService.parseBasicAuth(req.header('Authorization'));
+
+  if (!credentials || !ServiceClientService.authenticate(credentials.clientId, credentials.clientSecret)) {
+    res.set('WWW-Authenticate', 'Basic realm="repairo-internal"');
+    return res.status(401).json({ message: 'Access denied. Invalid service credentials.' });
+  }
+
+  // Attach the calling service for use in route handlers
+  req.serviceClient = credentials.clientId;
+  next();
+};
+
 // Export middleware functions
-module.exports = { auth, isServiceProvider, isUser };
+module.exports = {
+  auth,
+  isServiceProvider,
+  isUser,
+  isAccount,
+  authorize,
+  requireVerifiedEmail,
+  serviceAuth
+};
@@ -4,62 +4,245 @@
  * Ensures data integrity and security for all API endpoints
  */
 
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
+const PasswordPolicyService = require('../services/passwordPolicyService');
+const ApiKeyService = require('../services/apiKeyService');
+const RoleService = require('../services/roleService');
+const PaginationService = require('../services/paginationService');
+const ServiceProviderService = require('../services/serviceProviderService');
+const AccountStatusService = require('../services/accountStatusService');
+const PhoneVerificationService = require('../services/phoneVerificationService');
+const AuditService = require('../services/auditService');
+const AccountExportService = require('../services/accountExportService');
+const StatsService = require('../services/statsService');
 
-// ===== VALIDATION RULES =====
+// ===== SHARED RULES =====
 
 /**
- * Validation rules for user registration
- * Ensures all required fields are present and properly formatted
+ * Build a validation chain that enforces the password policy on a body field
+ * Every failing rule is reported separately so clients see all problems at once
+ * Name and email fields in the same request body are used for the personal information check
+ * @param {string} field - Name of the password field
+ * @param {boolean} [optional] - Whether the field may be omitted
+ * @returns {Object} - express-validator validation chain
  */
-const validateUserRegistration = [
-  // First name validation
-  body('firstName')
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('First name is required and must be between 1 and 50 characters'),
-  
-  // Last name validation
-  body('lastName')
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Last name is required and must be between 1 and 50 characters'),
-  
-  // Email validation with normalization
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
-  
-  // Password validation
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-  
-  // Phone number validation
-  body('phoneNumber')
+const passwordPolicy = (field, optional = false) => PasswordPolicyService.getRules().reduce(
+  (chain, rule) => chain.custom((value, { req }) => {
+    const message = rule(String(value || ''), req.body);
+    if (message) {
+      throw new Error(message);
+    }
+    return true;
+  }),
+  optional ? body(field).optional({ values: 'falsy' }) : body(field)
+);
+
+/**
+ * Build a validation chain for a phone number body field
+ * Accepts common formatting and stores the number in international (E.164) format
+ * @param {string} field - Name of the phone number field
+ * @param {boolean} [optional] - Whether the field may be omitted
+ * @returns {Object} - express-validator validation chain
+ */
+const phoneNumber = (field, optional = false) => {
+  const chain = optional ? body(field).optional() : body(field);
+  return chain
     .trim()
     .notEmpty()
-    .withMessage('Phone number is required'),
-  
-  // Address validation
-  body('address')
+    .withMessage(optional ? 'Phone number cannot be empty' : 'Phone number is required')
+    .bail()
+    .custom(value => PhoneVerificationService.normalizePhoneNumber(value) !== null)
+    .withMessage('Please provide a valid phone number, e.g. 07700 900123 or +447700900123')
+    .customSanitizer(value => PhoneVerificationService.normalizePhoneNumber(value));
+};
+
+/**
+ * Build validation rules for the page and limit query parameters of a paged listing
+ * @returns {Array} - Validation chain
+ */
+const paging = () => [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: PaginationService.getMaxLimit() })
+    .withMessage(`Limit must be between 1 and ${PaginationService.getMaxLimit()}`)
+    .toInt()
+];
+
+/**
+ * Build validation rules for the filter and sort query parameters shared by admin listings and exports
+ * Values are converted to dates and booleans for the service
+ * @returns {Array} - Validation chain
+ */
+const accountFilters = () => [
+  query('sort')
+    .optional()
+    .isIn(PaginationService.getSortFields().flatMap(field => [field, `-${field}`]))
+    .withMessage(`Sort must be one of: ${PaginationService.getSortFields().join(', ')} (prefix with - for descending)`),
+
+  query('createdFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('createdFrom must be a valid date')
+    .toDate(),
+
+  query('createdTo')
+    .optional()
+    .isISO8601()
+    .withMessage('createdTo must be a valid date')
+    .toDate(),
+
+  query('postcode')
+    .optional()
     .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Postcode prefix must be between 1 and 10 characters'),
+
+  query(['emailVerified', 'phoneVerified'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Verification filters must be true or false')
+    .toBoolean(true),
+
+  query('status')
+    .optional()
+    .isIn(AccountStatusService.getStatuses())
+    .withMessage(`Status must be one of: ${AccountStatusService.getStatuses().join(', ')}`)
+];
+
+/**
+ * Build validation rules for the paging, filter and sort query parameters of an admin listing
+ * @returns {Array} - Validation chain
+ */
+const accountListing = () => [
+  ...paging(),
+  ...accountFilters()
+];
+
+/**
+ * Build validation rules for the repeatable expertise filter of service provider listings and exports
+ * @returns {Array} - Validation chain
+ */
+const expertiseFilter = () => [
+  query('expertise')
+    .optional()
+    .toArray(),
+
+  query('expertise.*')
+    .isIn(ServiceProviderService.getExpertiseCategories())
+    .withMessage('Invalid expertise category')
+];
+
+/**
+ * Build validation rules for the query parameters of a bulk import
+ * @returns {Array} - Validation chain
+ */
+const accountImport = () => [
+  query(['dryRun', 'invite'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun and invite must be true or false')
+    .toBoolean(true)
+];
+
+/**
+ * Build validation rules for the format, field and filter query parameters of an export
+ * Fields are given comma-separated and converted to an array
+ * @param {string} userType - Type of account exported ('user' or 'serviceProvider')
+ * @returns {Array} - Validation chain
+ */
+const accountExport = (userType) => [
+  ...accountFilters(),
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
+
+  query('fields')
+    .optional()
+    .customSanitizer(value => String(value).split(',').map(field => field.trim()).filter(Boolean))
+    .isArray({ min: 1 })
+    .withMessage('At least one field is required')
+    .bail()
+    .custom(fields => fields.every(field => AccountExportService.getFields(userType).includes(field)))
+    .withMessage(`Fields must be any of: ${AccountExportService.getFields(userType).join(', ')}`)
+];
+
+/**
+ * Build validation rules for the paging, action and date query parameters of an audit log query
+ * Action may be repeated to match entries with any of the actions
+ * @returns {Array} - Validation chain
+ */
+const auditLogFilters = () => [
+  ...paging(),
+
+  query('action')
+    .optional()
+    .toArray(),
+
+  query('action.*')
+    .isIn(AuditService.getActions())
+    .withMessage('Invalid audit log action'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+    .toDate()
+];
+
+/**
+ * Build validation rules for a WebAuthn credential in the request body
+ * Only the shape is checked here - the contents are verified by the WebAuthn service
+ * @param {string} responseField - Field of credential.response that must be present
+ * @returns {Array} - Validation chain
+ */
+const passkeyCredential = (responseField) => [
+  body('credential')
+    .isObject()
+    .withMessage('Passkey credential is required'),
+
+  body('credential.id')
     .notEmpty()
-    .withMessage('Address is required'),
-  
-  // Postcode validation
-  body('postcode')
-    .trim()
+    .withMessage('Credential ID is required')
+    .bail()
+    .isString()
+    .withMessage('Credential ID must be a string'),
+
+  body('credential.response.clientDataJSON')
     .notEmpty()
-    .withMessage('Postcode is required')
+    .withMessage('Credential clientDataJSON is required')
+    .bail()
+    .isString()
+    .withMessage('Credential clientDataJSON must be a string'),
+
+  body(`credential.response.${responseField}`)
+    .notEmpty()
+    .withMessage(`Credential ${responseField} is required`)
+    .bail()
+    .isString()
+    .withMessage(`Credential ${responseField} must be a string`)
 ];
 
 /**
- * Validation rules for service provider registration
- * Includes all user validation plus expertise and business bio
+ * Build the validation rules for the fields every account is registered with
+ * Shared by registration and bulk import, so imported accounts meet the same rules
+ * @param {Object} passwordRule - Validation chain for the password field
+ * @returns {Array} - Validation chain
  */
-const validateServiceProviderRegistration = [
+const accountRegistration = (passwordRule) => [
   // First name validation
   body('firstName')
     .trim()
@@ -78,16 +261,11 @@ const validateServiceProviderRegistration = [
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
   
-  // Password validation
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+  // Password validation against the password policy
+  passwordRule,
   
   // Phone number validation
-  body('phoneNumber')
-    .trim()
-    .notEmpty()
-    .withMessage('Phone number is required'),
+  phoneNumber('phoneNumber'),
   
   // Address validation
   body('address')
@@ -99,8 +277,14 @@ const validateServiceProviderRegistration = [
   body('postcode')
     .trim()
     .notEmpty()
-    .withMessage('Postcode is required'),
-  
+    .withMessage('Postcode is required')
+];
+
+/**
+ * Build the validation rules for the extra fields service providers are registered with
+ * @returns {Array} - Validation chain
+ */
+const providerRegistration = () => [
   // Expertise validation - must be array with at least one item
   body('expertise')
     .isArray({ min: 1 })
@@ -131,6 +315,23 @@ const validateServiceProviderRegistration = [
     .withMessage('Business bio is required and must be between 1 and 500 characters')
 ];
 
+// ===== VALIDATION RULES =====
+
+/**
+ * Validation rules for user registration
+ * Ensures all required fields are present and properly formatted
+ */
+const validateUserRegistration = accountRegistration(passwordPolicy('password'));
+
+/**
+ * Validation rules for service provider registration
+ * Includes all user validation plus expertise and business bio
+ */
+const validateServiceProviderRegistration = [
+  ...accountRegistration(passwordPolicy('password')),
+  ...providerRegistration()
+];
+
 /**
  * Validation rules for login
  * Ensures email and password are provided
@@ -148,6 +349,138 @@ const validateLogin = [
     .withMessage('Password is required')
 ];
 
+/**
+ * Validation rules for the two-factor login step
+ * Ensures the challenge token and either a TOTP code or a recovery code are provided
+ */
+const validateTwoFactorLogin = [
+  // Challenge token validation
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  // TOTP code validation (optional if a recovery code is given)
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code or a recovery code is required'),
+
+  // Recovery code validation (optional)
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Recovery code must be a non-empty string')
+];
+
+/**
+ * Validation rules for requesting a magic login link
+ * Ensures a valid email is provided
+ */
+const validateMagicLinkRequest = [
+  // Email validation
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+/**
+ * Validation rules for logging in with a magic link
+ * Ensures the token from the link is provided
+ */
+const validateMagicLinkLogin = [
+  // Token validation
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Login link token is required')
+];
+
+/**
+ * Validation rules for confirming two-factor enrollment
+ * Ensures a 6-digit TOTP code is provided
+ */
+const validateTwoFactorConfirm = [
+  // TOTP code validation
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required')
+];
+
+/**
+ * Validation rules for disabling two-factor authentication
+ * Ensures the password and either a TOTP code or a recovery code are provided
+ */
+const validateTwoFactorDisable = [
+  // Password validation
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  // TOTP code validation (optional if a recovery code is given)
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code or a recovery code is required'),
+
+  // Recovery code validation (optional)
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Recovery code must be a non-empty string')
+];
+
+/**
+ * Validation rules for token refresh
+ * Ensures a refresh token is provided
+ */
+const validateRefreshToken = [
+  // Refresh token validation
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+/**
+ * Validation rules for logout
+ * The session's refresh token is optional but must be a string if provided
+ */
+const validateLogout = [
+  // Refresh token validation (optional)
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string')
+];
+
+/**
+ * Validation rules for email verification
+ * Ensures the verification token is present in the query string
+ */
+const validateVerifyEmail = [
+  // Token validation
+  query('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+/**
+ * Validation rules for resending the verification email
+ * Ensures email is provided and valid
+ */
+const validateResendVerification = [
+  // Email validation
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
 /**
  * Validation rules for forgot password
  * Ensures email is provided and valid
@@ -162,7 +495,7 @@ const validateForgotPassword = [
 
 /**
  * Validation rules for reset password
- * Ensures token, new password, and user type are provided
+ * Ensures token and new password are provided
  */
 const validateResetPassword = [
   // Token validation
@@ -170,15 +503,133 @@ const validateResetPassword = [
     .notEmpty()
     .withMessage('Reset token is required'),
   
-  // New password validation
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long'),
-  
-  // User type validation
-  body('userType')
-    .isIn(['user', 'serviceProvider'])
-    .withMessage('User type must be either "user" or "serviceProvider"')
+  // New password validation against the password policy
+  passwordPolicy('newPassword')
+];
+
+/**
+ * Validation rules for changing the password of a logged-in account
+ * Ensures the current password is provided and the new one meets the password policy
+ */
+const validateChangePassword = [
+  // Current password validation
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  // New password validation against the password policy
+  passwordPolicy('newPassword'),
+
+  // Sign out other sessions flag validation (optional)
+  body('signOutOtherSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('signOutOtherSessions must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for phone verification
+ * Ensures a six-digit code is provided
+ */
+const validatePhoneVerification = [
+  // Code validation
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits')
+];
+
+/**
+ * Validation rules for requesting an email address change
+ * Ensures the new address is valid and the current password is provided
+ */
+const validateEmailChange = [
+  // New email validation
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  // Current password validation
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+/**
+ * Validation rules for opening email change confirmation and revert links
+ * Ensures the token is present in the query string
+ */
+const validateEmailChangeLink = [
+  // Token validation
+  query('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+/**
+ * Validation rules for confirming or reverting an email change
+ * Ensures the token from the link is present in the request body
+ */
+const validateEmailChangeToken = [
+  // Token validation
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+/**
+ * Validation rules for finishing passkey registration
+ * Ensures an attestation response is provided and the optional name is sensible
+ */
+const validatePasskeyRegistration = [
+  ...passkeyCredential('attestationObject'),
+
+  // Name validation (optional)
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Passkey name must be between 1 and 100 characters')
+];
+
+/**
+ * Validation rules for passkey login
+ * Ensures an assertion response is provided
+ */
+const validatePasskeyLogin = [
+  ...passkeyCredential('authenticatorData'),
+
+  body('credential.response.signature')
+    .notEmpty()
+    .withMessage('Credential signature is required')
+    .bail()
+    .isString()
+    .withMessage('Credential signature must be a string')
+];
+
+/**
+ * Validation rules for routes that take a passkey ID
+ */
+const validatePasskeyId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid passkey ID')
+];
+
+/**
+ * Validation rules for login history requests
+ * The optional limit must be between 1 and 100
+ */
+const validateLoginHistory = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
 ];
 
 /**
@@ -201,11 +652,7 @@ const validateUserUpdate = [
     .withMessage('Last name must be between 1 and 50 characters'),
   
   // Phone number validation (optional)
-  body('phoneNumber')
-    .optional()
-    .trim()
-    .notEmpty()
-    .withMessage('Phone number cannot be empty'),
+  phoneNumber('phoneNumber', true),
   
   // Address validation (optional)
   body('address')
@@ -242,11 +689,7 @@ const validateServiceProviderUpdate = [
     .withMessage('Last name must be between 1 and 50 characters'),
   
   // Phone number validation (optional)
-  body('phoneNumber')
-    .optional()
-    .trim()
-    .notEmpty()
-    .withMessage('Phone number cannot be empty'),
+  phoneNumber('phoneNumber', true),
   
   // Address validation (optional)
   body('address')
@@ -295,6 +738,242 @@ const validateServiceProviderUpdate = [
     .withMessage('Business bio must be between 1 and 500 characters')
 ];
 
+/**
+ * Validation rules for token introspection
+ * Ensures a token is provided; the type hint is optional
+ */
+const validateIntrospection = [
+  // Token validation
+  body('token')
+    .notEmpty()
+    .withMessage('Token is required')
+    .bail()
+    .isString()
+    .withMessage('Token must be a string'),
+
+  // Token type hint validation (optional)
+  body('token_type_hint')
+    .optional()
+    .isString()
+    .withMessage('Token type hint must be a string')
+];
+
+/**
+ * Validation rules for batch account lookups
+ * Limits the number of IDs per call and checks each one
+ */
+const validateAccountsBatch = [
+  // IDs validation
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('IDs must be an array of 1 to 100 account IDs'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid account ID'),
+
+  // Account type validation (optional)
+  body('userType')
+    .optional()
+    .isIn(['user', 'serviceProvider'])
+    .withMessage('User type must be either "user" or "serviceProvider"')
+];
+
+/**
+ * Validation rules for API key creation
+ * Scopes must come from the list of grantable scopes
+ */
+const validateApiKeyCreation = [
+  // Name validation
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  // Scopes validation
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(ApiKeyService.getScopes())
+    .withMessage(`Scopes must be one of: ${ApiKeyService.getScopes().join(', ')}`),
+
+  // Expiry validation (optional)
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+];
+
+/**
+ * Validation rules for the admin user listing
+ */
+const validateUserListing = accountListing();
+
+/**
+ * Validation rules for the admin service provider listing
+ * Expertise may be repeated to match providers with any of the categories
+ */
+const validateServiceProviderListing = [
+  ...accountListing(),
+  ...expertiseFilter()
+];
+
+/**
+ * Validation rules for the query parameters of a user import
+ */
+const validateUserImport = accountImport();
+
+/**
+ * Validation rules for the query parameters of a service provider import
+ */
+const validateServiceProviderImport = accountImport();
+
+/**
+ * Validation rules for each account in a user import
+ * The registration rules, except that the password may be left out when an invitation is sent
+ */
+const validateUserImportRow = accountRegistration(passwordPolicy('password', true));
+
+/**
+ * Validation rules for each account in a service provider import
+ * The registration rules, except that the password may be left out when an invitation is sent
+ */
+const validateServiceProviderImportRow = [
+  ...accountRegistration(passwordPolicy('password', true)),
+  ...providerRegistration()
+];
+
+/**
+ * Validation rules for a user export
+ */
+const validateUserExport = accountExport('user');
+
+/**
+ * Validation rules for a service provider export
+ * Expertise may be repeated to export providers with any of the categories
+ */
+const validateServiceProviderExport = [
+  ...accountExport('serviceProvider'),
+  ...expertiseFilter()
+];
+
+/**
+ * Validation rules for replacing an account's staff roles
+ * An empty array removes all roles
+ */
+const validateRoleUpdate = [
+  // Roles validation
+  body('roles')
+    .isArray()
+    .withMessage('Roles must be an array'),
+
+  body('roles.*')
+    .isIn(RoleService.getRoleNames())
+    .withMessage(`Roles must be one of: ${RoleService.getRoleNames().join(', ')}`)
+];
+
+/**
+ * Validation rules for suspending, banning or reinstating an account
+ * A reason is required for suspensions and bans; only suspensions may have an expiry
+ */
+const validateAccountStatus = [
+  // Status validation
+  body('status')
+    .isIn(AccountStatusService.getStatuses())
+    .withMessage(`Status must be one of: ${AccountStatusService.getStatuses().join(', ')}`),
+
+  // Reason validation - required unless the account is reinstated
+  body('reason')
+    .if(body('status').not().equals('active'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to suspend or ban an account'),
+
+  body('reason')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  // Expiry validation (optional)
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .custom((value, { req }) => req.body.status === 'suspended')
+    .withMessage('Only suspensions can have an expiry')
+    .bail()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+];
+
+/**
+ * Validation rules for the admin audit log query
+ */
+const validateAuditLogQuery = [
+  ...auditLogFilters(),
+
+  query(['actorId', 'targetId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Actor and target IDs must be valid IDs'),
+
+  query(['actorType', 'targetType'])
+    .optional()
+    .isIn(['user', 'serviceProvider', 'apiKey'])
+    .withMessage('Actor and target types must be one of: user, serviceProvider, apiKey')
+];
+
+/**
+ * Validation rules for the admin activity view of an account
+ */
+const validateAccountActivity = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid account ID'),
+
+  ...auditLogFilters()
+];
+
+/**
+ * Validation rules for the public card of a service provider
+ */
+const validateServiceProviderCard = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid service provider ID')
+];
+
+/**
+ * Validation rules for the admin statistics
+ */
+const validateStatsQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+    .toDate()
+    .custom((to, { req }) => !req.query.from || to >= req.query.from)
+    .withMessage('to must not be before from'),
+
+  query('interval')
+    .optional()
+    .isIn(StatsService.getIntervals())
+    .withMessage(`Interval must be one of: ${StatsService.getIntervals().join(', ')}`)
+];
+
 // ===== ERROR HANDLING =====
 
 /**
@@ -323,14 +1002,75 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Run validation rules against a single record outside of a request, e.g. one row of an import
+ * Sanitizers run too, so the returned data is normalised the same way as a request body
+ * @param {Array} rules - Validation chain
+ * @param {Object} data - Record to validate
+ * @returns {Promise<Object>} - { errors: Array<{ field, message }>, data }
+ */
+const validateRecord = async (rules, data) => {
+  const req = { body: { ...data } };
+
+  // Run the rules in order, as Express would, so later rules see sanitized values
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  return {
+    errors: validationResult(req).array().map(error => ({
+      field: error.path,
+      message: error.msg
+    })),
+    data: req.body
+  };
+};
+
 // Export all validation functions
 module.exports = {
   validateUserRegistration,
   validateServiceProviderRegistration,
   validateLogin,
+  validateTwoFactorLogin,
+  validateMagicLinkRequest,
+  validateMagicLinkLogin,
+  validateTwoFactorConfirm,
+  validateTwoFactorDisable,
+  validateRefreshToken,
+  validateLogout,
+  validateVerifyEmail,
+  validateResendVerification,
   validateForgotPassword,
   validateResetPassword,
+  validateChangePassword,
+  validateEmailChange,
+  validateEmailChangeLink,
+  validateEmailChangeToken,
+  validatePhoneVerification,
+  validatePasskeyRegistration,
+  validatePasskeyLogin,
+  validatePasskeyId,
+  validateLoginHistory,
   validateUserUpdate,
   validateServiceProviderUpdate,
+  validateIntrospection,
+  validateAccountsBatch,
+  validateApiKeyCreation,
+  validateUserListing,
+  validateServiceProviderListing,
+  validateRoleUpdate,
+  validateAccountStatus,
+  validateAuditLogQuery,
+  validateAccountActivity,
+  validateServiceProviderCard,
+  validateStatsQuery,
+  validateUserImport,
+  validateServiceProviderImport,
+  validateUserImportRow,
+  validateServiceProviderImportRow,
+  validateUserExport,
+  validateServiceProviderExport,
+  validateRecord,
+  passwordPolicy,
   handleValidationErrors
 };
@@ -0,0 +1,42 @@
+/**
+ * Account Email Model
+ * Mongoose schema for the email registry shared by users and service providers
+ * A unique index here enforces one account per email address across both collections
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Account Email Schema Definition
+ * One document per registered email address, pointing at the owning account
+ */
+const accountEmailSchema = new mongoose.Schema({
+  // Registered email address - unique across every account type
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // ID of the user or service provider owning the address
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  // Account type of the owner
+  userType: {
+    type: String,
+    enum: ['user', 'serviceProvider'],
+    required: true
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+// Export the AccountEmail model
+module.exports = mongoose.model('AccountEmail', accountEmailSchema);
@@ -0,0 +1,87 @@
+/**
+ * API Key Model
+ * Mongoose schema for API keys used by backend jobs and other services
+ * Only a hash of each key is stored; the plaintext is shown once when the key is created
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * API Key Schema Definition
+ * Each key is limited to the scopes it was created with
+ */
+const apiKeySchema = new mongoose.Schema({
+  // Human-readable name describing who uses the key
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // First characters of the key - shown in listings to identify a key without revealing it
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 hash of the key - the plaintext is never stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Permissions granted to the key, e.g. 'users:read'
+  scopes: {
+    type: [String],
+    required: true
+  },
+
+  // Optional expiry - keys without one stay valid until revoked
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Account that created the key
+  createdBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    userType: {
+      type: String,
+      enum: ['user', 'serviceProvider'],
+      required: true
+    }
+  },
+
+  // Last time the key authenticated a request
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the key is revoked
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+/**
+ * Override toJSON method to exclude the key hash from JSON output
+ * @returns {Object} - API key object without the hash
+ */
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+// Export the ApiKey model
+module.exports = mongoose.model('ApiKey', apiKeySchema);
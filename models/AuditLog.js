@@ -0,0 +1,108 @@
+/**
+ * Audit Log Model
+ * Mongoose schema for the append-only record of account and security events
+ * Entries are written once and can never be changed or removed through the application
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Schema Definition
+ * Actor and target are stored as ID and type so entries outlive deleted accounts and revoked keys
+ */
+const auditLogSchema = new mongoose.Schema({
+  // What happened, e.g. 'profile.updated' - see AuditService for the full list
+  action: {
+    type: String,
+    required: true
+  },
+
+  // ID of the account or API key that performed the action - null for anonymous callers
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Kind of actor
+  actorType: {
+    type: String,
+    enum: ['user', 'serviceProvider', 'apiKey', null],
+    default: null
+  },
+
+  // ID of the account or API key the action was performed on
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Kind of target
+  targetType: {
+    type: String,
+    enum: ['user', 'serviceProvider', 'apiKey', null],
+    default: null
+  },
+
+  // Changed fields as { field, from, to } - personal data is redacted
+  changes: {
+    type: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    default: []
+  },
+
+  // Extra details about the action, e.g. the login method - never personal data
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Client IP address
+  ip: {
+    type: String,
+    default: null
+  },
+
+  // Client User-Agent header
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  // Entries are never updated, so only the creation date is kept
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Admin queries, newest first
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+/**
+ * Refuse to change an entry once it has been written
+ */
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed'));
+  }
+  next();
+});
+
+/**
+ * Refuse updates and deletions, whether through queries or documents
+ */
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  { document: true, query: true },
+  function(next) {
+    next(new Error('Audit log entries cannot be changed'));
+  }
+);
+
+// Export the AuditLog model
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,56 @@
+/**
+ * Auth Challenge Model
+ * Mongoose schema for outstanding WebAuthn challenges
+ * Each challenge can be answered once; challenges are removed automatically once expired
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Auth Challenge Schema Definition
+ * Registration challenges belong to the account adding a passkey; login challenges belong to no account
+ * until a passkey answers them
+ */
+const authChallengeSchema = new mongoose.Schema({
+  // Random challenge sent to the authenticator (base64url)
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Ceremony the challenge was issued for
+  ceremony: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+
+  // Account registering a passkey - null for login challenges
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Account type of the registering account - null for login challenges
+  userType: {
+    type: String,
+    enum: ['user', 'serviceProvider', null],
+    default: null
+  },
+
+  // Challenge expiry - documents are removed automatically once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+// TTL index - MongoDB deletes challenges once they expire
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the AuthChallenge model
+module.exports = mongoose.model('AuthChallenge', authChallengeSchema);
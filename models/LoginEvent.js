@@ -0,0 +1,107 @@
+/**
+ * Login Event Model
+ * Mongoose schema for the login history of users and service providers
+ * Every login attempt is recorded with its outcome; entries are removed automatically after the retention period
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Login Event Schema Definition
+ * Attempts for an email address without an account are kept with no account ID
+ */
+const loginEventSchema = new mongoose.Schema({
+  // ID of the user or service provider - null when no account matched
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Account type of the account - null when no account matched
+  userType: {
+    type: String,
+    enum: ['user', 'serviceProvider', null],
+    default: null
+  },
+
+  // Email address used for the attempt
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  // How the account logged in
+  method: {
+    type: String,
+    enum: ['password', 'two_factor', 'magic_link', 'passkey'],
+    required: true
+  },
+
+  // Result of the attempt - two_factor_required means the first step passed and a code was requested
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'two_factor_required'],
+    required: true
+  },
+
+  // Why the attempt failed
+  failureReason: {
+    type: String,
+    default: null
+  },
+
+  // Client IP address
+  ip: {
+    type: String,
+    default: null
+  },
+
+  // Client User-Agent header
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // SHA-256 hash of the User-Agent, used to recognise devices
+  deviceHash: {
+    type: String,
+    default: null
+  },
+
+  // Whether a successful login came from a device or IP not seen for the account before
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+
+  // Removal date - documents are removed automatically after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+// Account history, newest first
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+
+// TTL index - MongoDB deletes events once the retention period is over
+loginEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Override toJSON method to exclude internal fields from JSON output
+ * @returns {Object} - Login event without the device hash and removal date
+ */
+loginEventSchema.methods.toJSON = function() {
+  const event = this.toObject();
+  delete event.deviceHash;
+  delete event.expiresAt;
+  return event;
+};
+
+// Export the LoginEvent model
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
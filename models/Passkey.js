@@ -0,0 +1,99 @@
+/**
+ * Passkey Model
+ * Mongoose schema for WebAuthn credentials registered by users and service providers
+ * Stores the credential's public key and signature counter; the private key never leaves the authenticator
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Passkey Schema Definition
+ * An account can register several passkeys, e.g. one per device
+ */
+const passkeySchema = new mongoose.Schema({
+  // ID of the user or service provider owning the passkey
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  // Account type of the owner
+  userType: {
+    type: String,
+    enum: ['user', 'serviceProvider'],
+    required: true
+  },
+
+  // Credential ID chosen by the authenticator (base64url)
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Credential public key (SPKI PEM)
+  publicKey: {
+    type: String,
+    required: true
+  },
+
+  // COSE algorithm of the key, e.g. -7 (ES256), -8 (EdDSA) or -257 (RS256)
+  algorithm: {
+    type: Number,
+    required: true
+  },
+
+  // Signature counter reported by the authenticator - a counter that goes backwards means a cloned key
+  signCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Name shown in the passkey list, e.g. "Work laptop"
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Passkey name cannot exceed 100 characters'],
+    default: 'Passkey'
+  },
+
+  // Authenticator model identifier (AAGUID), all zeros for most synced passkeys
+  aaguid: {
+    type: String,
+    default: null
+  },
+
+  // Transports the authenticator supports, e.g. "internal", "hybrid", "usb"
+  transports: [{
+    type: String
+  }],
+
+  // Whether the passkey is synced between devices (backup state flag)
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+
+  // Last successful login with the passkey
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+/**
+ * Override toJSON method to exclude the key material from JSON output
+ * @returns {Object} - Passkey object without the public key
+ */
+passkeySchema.methods.toJSON = function() {
+  const passkey = this.toObject();
+  delete passkey.publicKey;
+  return passkey;
+};
+
+// Export the Passkey model
+module.exports = mongoose.model('Passkey', passkeySchema);
@@ -0,0 +1,60 @@
+/**
+ * Phone Verification Code Model
+ * Mongoose schema for one-time codes sent by SMS to verify phone numbers
+ * Only a hash of each code is stored; codes are removed automatically once expired
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Phone Verification Code Schema Definition
+ * One outstanding code per account - requesting a new code replaces the old one
+ */
+const phoneVerificationCodeSchema = new mongoose.Schema({
+  // ID of the user or service provider verifying their phone number
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+
+  // Account type of the code owner
+  userType: {
+    type: String,
+    enum: ['user', 'serviceProvider'],
+    required: true
+  },
+
+  // Phone number the code was sent to - the code is only valid while the account keeps this number
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 hash of the code bound to the account
+  codeHash: {
+    type: String,
+    required: true
+  },
+
+  // Wrong codes entered so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Code expiry - documents are removed automatically once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+// TTL index - MongoDB deletes codes once they expire
+phoneVerificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the PhoneVerificationCode model
+module.exports = mongoose.model('PhoneVerificationCode', phoneVerificationCodeSchema);
@@ -0,0 +1,53 @@
+/**
+ * Rate Limit Model
+ * Mongoose schema for attempt counters keyed by account, IP address or action
+ * Counters expire automatically once their window has passed
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Rate Limit Schema Definition
+ * One document per key, e.g. "login:account:jane@example.com" or "login:ip:203.0.113.7"
+ */
+const rateLimitSchema = new mongoose.Schema({
+  // Counter key - combines the action and the subject being limited
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Number of attempts counted in the current window
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // Time of the most recent attempt
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+
+  // Attempts are refused until this time
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // When the counter expires - documents are removed automatically after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+// TTL index - MongoDB deletes counters once their window has passed
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the RateLimit model
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
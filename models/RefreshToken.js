@@ -0,0 +1,68 @@
+/**
+ * Refresh Token Model
+ * Mongoose schema for long-lived refresh tokens issued at login
+ * Only a hash of each token is stored; tokens are grouped into families for rotation
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Refresh Token Schema Definition
+ * Every rotation creates a new document in the same family and revokes the old one
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  // SHA-256 hash of the refresh token - the plaintext is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // ID of the user or service provider the token belongs to
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  // Account type of the token owner
+  userType: {
+    type: String,
+    enum: ['user', 'serviceProvider'],
+    required: true
+  },
+
+  // Token family - shared by every token descended from the same login
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Token expiry - documents are removed automatically once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set when the token is rotated out or revoked
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Hash of the token that replaced this one on rotation
+  replacedByHash: {
+    type: String,
+    default: null
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+// TTL index - MongoDB deletes refresh tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the RefreshToken model
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
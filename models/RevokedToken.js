@@ -0,0 +1,36 @@
+/**
+ * Revoked Token Model
+ * Mongoose schema for access tokens revoked before their natural expiry and single-use tokens
+ * that have already been used
+ * Entries only need to live as long as the token itself would have
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Revoked Token Schema Definition
+ * Stores the JWT ID (jti) of every access token revoked through logout and every used magic link
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  // JWT ID of the revoked access token or used single-use token
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Original expiry of the token - documents are removed automatically after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Add timestamps for created and updated dates
+  timestamps: true
+});
+
+// TTL index - MongoDB deletes entries once the revoked token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the RevokedToken model
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
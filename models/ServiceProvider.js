@@ -57,6 +57,26 @@ const serviceProviderSchema = new mongoose.Schema({
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
   
+  // Whether the email address has been confirmed through a verification link
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  
+  // When the email address was verified
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // New email address awaiting confirmation - the account keeps its email until it is confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  
   // Service provider's password - will be hashed before saving
   password: {
     type: String,
@@ -71,6 +91,18 @@ const serviceProviderSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Whether the phone number has been confirmed with an SMS code - reset when the number changes
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  
+  // When the phone number was verified
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  
   // Service provider's physical address - required for service location
   address: {
     type: String,
@@ -106,22 +138,108 @@ const serviceProviderSchema = new mongoose.Schema({
     maxlength: [500, 'Business bio cannot exceed 500 characters']
   },
   
-  // Password reset token for forgot password functionality
+  // SHA-256 hash of the password reset token - the plaintext is only sent by email
   resetPasswordToken: {
     type: String,
-    default: null
+    default: null,
+    index: true
   },
   
   // Password reset token expiry
   resetPasswordExpires: {
     type: Date,
     default: null
+  },
+  
+  // Token version - incrementing it invalidates every access token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  
+  // Whether TOTP two-factor authentication is required at login
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Base32 TOTP secret shared with the authenticator app
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  
+  // TOTP secret generated during enrollment, awaiting confirmation
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  
+  // SHA-256 hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: []
+  },
+  
+  // Last TOTP time step accepted - prevents replaying a code
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  
+  // Staff roles granting admin permissions ('admin', 'support', 'moderator') - see RoleService
+  roles: {
+    type: [String],
+    default: []
+  },
+  
+  // Account status - suspended and banned accounts cannot log in
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active'
+  },
+  
+  // Why the status was set, shown to the account owner
+  statusReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Status reason cannot exceed 500 characters'],
+    default: null
+  },
+  
+  // ID of the admin account or API key that set the status
+  statusSetBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  
+  // Kind of caller that set the status
+  statusSetByType: {
+    type: String,
+    enum: ['user', 'serviceProvider', 'apiKey', null],
+    default: null
+  },
+  
+  // When the status was set
+  statusSetAt: {
+    type: Date,
+    default: null
+  },
+  
+  // When a suspension ends on its own - null for indefinite suspensions and bans
+  statusExpiresAt: {
+    type: Date,
+    default: null
   }
 }, {
   // Add timestamps for created and updated dates
   timestamps: true
 });
 
+// Admin listings page through accounts newest first by default
+serviceProviderSchema.index({ createdAt: -1, _id: -1 });
+
 // ===== MIDDLEWARE FUNCTIONS =====
 
 /**
@@ -156,13 +274,20 @@ serviceProviderSchema.methods.comparePassword = async function(candidatePassword
 };
 
 /**
- * Convert service provider document to JSON without password
- * Ensures password is never sent in API responses
- * @returns {Object} - Service provider object without password field
+ * Convert service provider document to JSON without password, token or two-factor secret fields
+ * Ensures credentials are never sent in API responses - controllers shape responses with AccountViewService
+ * @returns {Object} - Service provider object without credential fields
  */
 serviceProviderSchema.methods.toJSON = function() {
   const serviceProvider = this.toObject();
   delete serviceProvider.password; // Remove password from response
+  delete serviceProvider.twoFactorSecret; // Remove two-factor secrets from response
+  delete serviceProvider.twoFactorPendingSecret;
+  delete serviceProvider.twoFactorRecoveryCodes;
+  delete serviceProvider.twoFactorLastUsedStep;
+  delete serviceProvider.resetPasswordToken; // Remove password reset and session tokens from response
+  delete serviceProvider.resetPasswordExpires;
+  delete serviceProvider.tokenVersion;
   return serviceProvider;
 };
 
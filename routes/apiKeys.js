@@ -0,0 +1,76 @@
+/**
+ * API Key Routes
+ * Defines API endpoints for managing API keys
+ * Keys can only be managed by logged-in accounts with the api-keys:manage permission, never by another API key
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controller and middleware
+const ApiKeyController = require('../controllers/apiKeyController');
+const { auth, isAccount, authorize } = require('../middleware/auth');
+const {
+  validateApiKeyCreation,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// ===== ADMIN ROUTES (AUTHENTICATED) =====
+
+/**
+ * Get all scopes an API key can be granted
+ * GET /api/api-keys/scopes
+ * Headers: Authorization: Bearer <token> (permission api-keys:manage)
+ * Response: { scopes: Array<string> }
+ */
+router.get('/scopes',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  authorize('api-keys:manage'),       // Require permission
+  ApiKeyController.getScopes          // Return available scopes
+);
+
+/**
+ * Create a new API key
+ * POST /api/api-keys
+ * Headers: Authorization: Bearer <token> (permission api-keys:manage)
+ * Body: { name, scopes: Array<string>, expiresAt? }
+ * Response: { message, apiKey, key }
+ */
+router.post('/',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  authorize('api-keys:manage'),       // Require permission
+  validateApiKeyCreation,             // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  ApiKeyController.createApiKey       // Create the key
+);
+
+/**
+ * Get all API keys
+ * GET /api/api-keys
+ * Headers: Authorization: Bearer <token> (permission api-keys:manage)
+ * Response: { apiKeys }
+ */
+router.get('/',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  authorize('api-keys:manage'),       // Require permission
+  ApiKeyController.getAllApiKeys      // Return all keys
+);
+
+/**
+ * Revoke an API key
+ * DELETE /api/api-keys/:id
+ * Headers: Authorization: Bearer <token> (permission api-keys:manage)
+ * Response: { message }
+ */
+router.delete('/:id',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  authorize('api-keys:manage'),       // Require permission
+  ApiKeyController.revokeApiKey       // Revoke the key
+);
+
+// Export the router
+module.exports = router;
@@ -0,0 +1,47 @@
+/**
+ * Audit Log Routes
+ * Defines API endpoints for querying the audit log
+ * The log is read-only; entries are written by the services as actions happen
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controller and middleware
+const AuditLogController = require('../controllers/auditLogController');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  validateAuditLogQuery,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// ===== ADMIN ROUTES (AUTHENTICATED) =====
+
+/**
+ * Get all actions recorded in the audit log
+ * GET /api/audit-logs/actions
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission audit:read)
+ * Response: { actions: Array<string> }
+ */
+router.get('/actions',
+  auth,                              // Verify JWT token or API key
+  authorize('audit:read'),           // Require permission or API key scope
+  AuditLogController.getActions      // Return recorded actions
+);
+
+/**
+ * Get one page of audit log entries (for admin purposes)
+ * GET /api/audit-logs?page=1&limit=20&actorId=&actorType=&targetId=&targetType=&action=&from=&to=
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission audit:read)
+ * Response: { auditLogs, pagination: { page, limit, total, totalPages, next, prev } } - newest first
+ */
+router.get('/',
+  auth,                              // Verify JWT token or API key
+  authorize('audit:read'),           // Require permission or API key scope
+  validateAuditLogQuery,             // Validate filters and paging
+  handleValidationErrors,            // Handle validation errors
+  AuditLogController.getAuditLogs    // Return one page of entries
+);
+
+// Export the router
+module.exports = router;
@@ -1,7 +1,8 @@
 /**
  * Authentication Routes
  * Defines API endpoints for user and service provider authentication
- * Handles registration, login, and expertise category retrieval
+ * Handles registration, login, magic link and passkey login, email verification,
+ * two-factor authentication, and expertise category retrieval
  */
 
 const express = require('express');
@@ -9,12 +10,30 @@ const router = express.Router();
 
 // Import controller and validation middleware
 const AuthController = require('../controllers/authController');
+const { auth, isAccount } = require('../middleware/auth');
 const {
   validateUserRegistration,
   validateServiceProviderRegistration,
   validateLogin,
+  validateTwoFactorLogin,
+  validateMagicLinkRequest,
+  validateMagicLinkLogin,
+  validateTwoFactorConfirm,
+  validateTwoFactorDisable,
+  validateRefreshToken,
+  validateLogout,
+  validateVerifyEmail,
+  validateResendVerification,
   validateForgotPassword,
   validateResetPassword,
+  validateChangePassword,
+  validateEmailChange,
+  validateEmailChangeLink,
+  validateEmailChangeToken,
+  validatePhoneVerification,
+  validatePasskeyRegistration,
+  validatePasskeyLogin,
+  validatePasskeyId,
   handleValidationErrors
 } = require('../middleware/validation');
 
@@ -24,7 +43,7 @@ const {
  * Register a new user
  * POST /api/auth/register
  * Body: { firstName, lastName, email, password, phoneNumber, address, postcode }
- * Response: { message, userId }
+ * Response: { message } (identical when the email is already registered)
  */
 router.post('/register', 
   validateUserRegistration,           // Validate input data
@@ -36,7 +55,7 @@ router.post('/register',
  * Register a new service provider
  * POST /api/auth/register-provider
  * Body: { firstName, lastName, email, password, phoneNumber, address, postcode, expertise, businessBio }
- * Response: { message, serviceProviderId }
+ * Response: { message } (identical when the email is already registered)
  */
 router.post('/register-provider', 
   validateServiceProviderRegistration, // Validate input data
@@ -44,11 +63,35 @@ router.post('/register-provider',
   AuthController.registerServiceProvider // Process registration
 );
 
+/**
+ * Verify an email address using the emailed link
+ * GET /api/auth/verify-email?token=<token>
+ * Response: { message }
+ */
+router.get('/verify-email',
+  validateVerifyEmail,                // Validate token
+  handleValidationErrors,             // Handle validation errors
+  AuthController.verifyEmail          // Mark email as verified
+);
+
+/**
+ * Resend the email verification link
+ * POST /api/auth/resend-verification
+ * Body: { email }
+ * Response: { message }
+ */
+router.post('/resend-verification',
+  validateResendVerification,         // Validate email
+  handleValidationErrors,             // Handle validation errors
+  AuthController.resendVerification   // Send a new verification link
+);
+
 /**
  * Login user or service provider
  * POST /api/auth/login
  * Body: { email, password }
- * Response: { token, user/serviceProvider }
+ * Response: { token, refreshToken, userType, user/serviceProvider }
+ *   or { twoFactorRequired: true, challengeToken } when 2FA is enabled
  */
 router.post('/login', 
   validateLogin,                      // Validate input data
@@ -56,6 +99,154 @@ router.post('/login',
   AuthController.login                // Process login
 );
 
+/**
+ * Complete login with a two-factor code
+ * POST /api/auth/login/2fa
+ * Body: { challengeToken, code?, recoveryCode? }
+ * Response: { token, refreshToken, userType, user/serviceProvider }
+ */
+router.post('/login/2fa',
+  validateTwoFactorLogin,             // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.loginWithTwoFactor   // Verify second factor
+);
+
+// ===== MAGIC LINK LOGIN ROUTES =====
+
+/**
+ * Email a single-use login link
+ * Only sent to account types listed in MAGIC_LINK_ACCOUNT_TYPES
+ * POST /api/auth/magic-link
+ * Body: { email }
+ * Response: { message } - the same whether or not a link was sent
+ */
+router.post('/magic-link',
+  validateMagicLinkRequest,           // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.requestMagicLink     // Send login link
+);
+
+/**
+ * Log in with the token from a magic link
+ * POST /api/auth/magic-link/login
+ * Body: { token }
+ * Response: { token, refreshToken, userType, user/serviceProvider }
+ *   or { twoFactorRequired: true, challengeToken } when 2FA is enabled
+ */
+router.post('/magic-link/login',
+  validateMagicLinkLogin,             // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.loginWithMagicLink   // Exchange link for a session
+);
+
+// ===== PASSKEY LOGIN ROUTES =====
+
+/**
+ * Start a passkey login
+ * POST /api/auth/passkeys/login/options
+ * Response: PublicKeyCredentialRequestOptions for navigator.credentials.get()
+ *   (binary fields base64url encoded)
+ */
+router.post('/passkeys/login/options',
+  AuthController.getPasskeyLoginOptions // Issue login challenge
+);
+
+/**
+ * Log in with a passkey
+ * POST /api/auth/passkeys/login
+ * Body: { credential } - PublicKeyCredential JSON with base64url encoded binary fields
+ * Response: { token, refreshToken, userType, user/serviceProvider }
+ *   or { twoFactorRequired: true, challengeToken } when 2FA is enabled and the passkey did not verify the user
+ */
+router.post('/passkeys/login',
+  validatePasskeyLogin,               // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.loginWithPasskey     // Verify assertion
+);
+
+// ===== TWO-FACTOR AUTHENTICATION ROUTES (AUTHENTICATED) =====
+
+/**
+ * Start two-factor enrollment
+ * POST /api/auth/2fa/enroll
+ * Headers: Authorization: Bearer <token>
+ * Response: { secret, otpauthUrl }
+ */
+router.post('/2fa/enroll',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  AuthController.enrollTwoFactor      // Generate pending TOTP secret
+);
+
+/**
+ * Confirm two-factor enrollment
+ * POST /api/auth/2fa/confirm
+ * Headers: Authorization: Bearer <token>
+ * Body: { code }
+ * Response: { message, recoveryCodes }
+ */
+router.post('/2fa/confirm',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  validateTwoFactorConfirm,           // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.confirmTwoFactor     // Enable 2FA
+);
+
+/**
+ * Disable two-factor authentication
+ * POST /api/auth/2fa/disable
+ * Headers: Authorization: Bearer <token>
+ * Body: { password, code?, recoveryCode? }
+ * Response: { message }
+ */
+router.post('/2fa/disable',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  validateTwoFactorDisable,           // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.disableTwoFactor     // Disable 2FA
+);
+
+/**
+ * Exchange a refresh token for a new access token
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ * Response: { token, refreshToken, userType }
+ */
+router.post('/refresh',
+  validateRefreshToken,               // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.refresh              // Rotate refresh token
+);
+
+/**
+ * Log out the current session
+ * POST /api/auth/logout
+ * Headers: Authorization: Bearer <token>
+ * Body: { refreshToken? }
+ * Response: { message }
+ */
+router.post('/logout',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  validateLogout,                     // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.logout               // Revoke current session
+);
+
+/**
+ * Log out every session of the current account
+ * POST /api/auth/logout-all
+ * Headers: Authorization: Bearer <token>
+ * Response: { message }
+ */
+router.post('/logout-all',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  AuthController.logoutAll            // Revoke all sessions
+);
+
 /**
  * Get all available expertise categories
  * GET /api/auth/expertise-categories
@@ -80,7 +271,7 @@ router.post('/forgot-password',
 /**
  * Reset password using token
  * POST /api/auth/reset-password
- * Body: { token, newPassword, userType }
+ * Body: { token, newPassword }
  * Response: { message }
  */
 router.post('/reset-password',
@@ -89,5 +280,169 @@ router.post('/reset-password',
   AuthController.resetPassword // Reset password
 );
 
+/**
+ * Change the password of the current account
+ * PUT /api/auth/password
+ * Headers: Authorization: Bearer <token>
+ * Body: { currentPassword, newPassword, signOutOtherSessions? }
+ * Response: { message } or { message, token, refreshToken, userType, user/serviceProvider }
+ *   when other sessions were signed out
+ */
+router.put('/password',
+  auth,                        // Verify JWT token
+  isAccount,                   // Refuse API keys
+  validateChangePassword,      // Validate input data
+  handleValidationErrors,      // Handle validation errors
+  AuthController.changePassword // Change password
+);
+
+// ===== PHONE VERIFICATION ROUTES (AUTHENTICATED) =====
+
+/**
+ * Send a verification code by SMS to the account's phone number
+ * POST /api/auth/phone/send-code
+ * Headers: Authorization: Bearer <token>
+ * Response: { message, expiresIn }
+ */
+router.post('/phone/send-code',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  AuthController.sendPhoneCode        // Send one-time code
+);
+
+/**
+ * Verify the account's phone number with the code from the SMS
+ * POST /api/auth/phone/verify
+ * Headers: Authorization: Bearer <token>
+ * Body: { code }
+ * Response: { message }
+ */
+router.post('/phone/verify',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  validatePhoneVerification,          // Validate code
+  handleValidationErrors,             // Handle validation errors
+  AuthController.verifyPhone          // Mark phone number as verified
+);
+
+// ===== PASSKEY ROUTES (AUTHENTICATED) =====
+
+/**
+ * Start registering a passkey for the current account
+ * POST /api/auth/passkeys/register/options
+ * Headers: Authorization: Bearer <token>
+ * Response: PublicKeyCredentialCreationOptions for navigator.credentials.create()
+ *   (binary fields base64url encoded)
+ */
+router.post('/passkeys/register/options',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  AuthController.getPasskeyRegistrationOptions // Issue registration challenge
+);
+
+/**
+ * Finish registering a passkey
+ * POST /api/auth/passkeys/register
+ * Headers: Authorization: Bearer <token>
+ * Body: { credential, name? } - PublicKeyCredential JSON with base64url encoded binary fields
+ * Response: { message, passkey }
+ */
+router.post('/passkeys/register',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  validatePasskeyRegistration,        // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.registerPasskey      // Verify attestation and store passkey
+);
+
+/**
+ * List the current account's passkeys
+ * GET /api/auth/passkeys
+ * Headers: Authorization: Bearer <token>
+ * Response: { passkeys }
+ */
+router.get('/passkeys',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  AuthController.getPasskeys          // Return passkeys
+);
+
+/**
+ * Remove a passkey from the current account
+ * DELETE /api/auth/passkeys/:id
+ * Headers: Authorization: Bearer <token>
+ * Response: { message }
+ */
+router.delete('/passkeys/:id',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  validatePasskeyId,                  // Validate passkey ID
+  handleValidationErrors,             // Handle validation errors
+  AuthController.removePasskey        // Remove passkey
+);
+
+// ===== EMAIL CHANGE ROUTES =====
+
+/**
+ * Request a change of the account's email address
+ * PUT /api/auth/email
+ * Headers: Authorization: Bearer <token>
+ * Body: { newEmail, password }
+ * Response: { message }
+ */
+router.put('/email',
+  auth,                               // Verify JWT token
+  isAccount,                          // Refuse API keys
+  validateEmailChange,                // Validate input data
+  handleValidationErrors,             // Handle validation errors
+  AuthController.requestEmailChange   // Send confirmation link to the new address
+);
+
+/**
+ * Open the confirmation link sent to the new address - changes nothing, so link scanners are harmless
+ * GET /api/auth/email/confirm?token=<token>
+ * Response: HTML page with a button that posts the token
+ */
+router.get('/email/confirm',
+  validateEmailChangeLink,            // Validate token
+  handleValidationErrors,             // Handle validation errors
+  AuthController.showEmailChangeConfirmation // Show the confirm button
+);
+
+/**
+ * Confirm an email change using the token from the link sent to the new address
+ * POST /api/auth/email/confirm
+ * Body: { token } (JSON or form-encoded)
+ * Response: { message } - or an HTML page for browsers submitting the button page
+ */
+router.post('/email/confirm',
+  validateEmailChangeToken,           // Validate token
+  handleValidationErrors,             // Handle validation errors
+  AuthController.confirmEmailChange   // Switch to the new address
+);
+
+/**
+ * Open the revert link sent to the old address - changes nothing, so link scanners are harmless
+ * GET /api/auth/email/revert?token=<token>
+ * Response: HTML page with a button that posts the token
+ */
+router.get('/email/revert',
+  validateEmailChangeLink,            // Validate token
+  handleValidationErrors,             // Handle validation errors
+  AuthController.showEmailChangeRevert // Show the revert button
+);
+
+/**
+ * Revert an email change using the token from the link sent to the old address
+ * POST /api/auth/email/revert
+ * Body: { token } (JSON or form-encoded)
+ * Response: { message } - or an HTML page for browsers submitting the button page
+ */
+router.post('/email/revert',
+  validateEmailChangeToken,           // Validate token
+  handleValidationErrors,             // Handle validation errors
+  AuthController.revertEmailChange    // Restore the old address
+);
+
 // Export the router
 module.exports = router;
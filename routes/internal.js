@@ -0,0 +1,50 @@
+/**
+ * Internal Routes
+ * Defines service-to-service API endpoints for other RepairO services
+ * All routes require service client credentials (HTTP Basic), not a user JWT
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controller and middleware
+const InternalController = require('../controllers/internalController');
+const { serviceAuth } = require('../middleware/auth');
+const {
+  validateIntrospection,
+  validateAccountsBatch,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// ===== INTERNAL SERVICE ROUTES (SERVICE AUTHENTICATED) =====
+
+/**
+ * Introspect an access token (RFC 7662 style)
+ * POST /api/internal/introspect
+ * Headers: Authorization: Basic <clientId:clientSecret>
+ * Body: { token, token_type_hint? } (JSON or form-encoded)
+ * Response: { active: false } or { active: true, token_type, sub, iss, iat, exp, jti, userType, account }
+ */
+router.post('/introspect',
+  serviceAuth,                        // Verify service client credentials
+  validateIntrospection,              // Validate token
+  handleValidationErrors,             // Handle validation errors
+  InternalController.introspect       // Check the token
+);
+
+/**
+ * Get basic account info for many accounts by ID
+ * POST /api/internal/accounts/batch
+ * Headers: Authorization: Basic <clientId:clientSecret>
+ * Body: { ids: Array<string>, userType? }
+ * Response: { accounts: Array<AccountSummary>, notFound: Array<string> }
+ */
+router.post('/accounts/batch',
+  serviceAuth,                        // Verify service client credentials
+  validateAccountsBatch,              // Validate IDs and account type
+  handleValidationErrors,             // Handle validation errors
+  InternalController.getAccountsBatch // Load account summaries
+);
+
+// Export the router
+module.exports = router;
@@ -9,9 +9,17 @@ const router = express.Router();
 
 // Import controller and middleware
 const ServiceProviderController = require('../controllers/serviceProviderController');
-const { auth, isServiceProvider } = require('../middleware/auth');
+const { auth, isServiceProvider, isAccount, authorize, requireVerifiedEmail } = require('../middleware/auth');
 const {
   validateServiceProviderUpdate,
+  validateLoginHistory,
+  validateRoleUpdate,
+  validateAccountStatus,
+  validateAccountActivity,
+  validateServiceProviderImport,
+  validateServiceProviderExport,
+  validateServiceProviderListing,
+  validateServiceProviderCard,
   handleValidationErrors
 } = require('../middleware/validation');
 
@@ -39,6 +47,7 @@ router.get('/profile',
 router.put('/profile', 
   auth,                                      // Verify JWT token
   isServiceProvider,                         // Ensure user is service provider
+  requireVerifiedEmail('allowProfileUpdates'), // Apply unverified account policy
   validateServiceProviderUpdate,             // Validate update data
   handleValidationErrors,                    // Handle validation errors
   ServiceProviderController.updateServiceProviderProfile // Update service provider profile
@@ -56,6 +65,20 @@ router.delete('/profile',
   ServiceProviderController.deleteServiceProvider // Delete service provider account
 );
 
+/**
+ * Get current service provider's login history
+ * GET /api/service-providers/login-history?limit=50
+ * Headers: Authorization: Bearer <token>
+ * Response: { loginHistory } - newest first
+ */
+router.get('/login-history',
+  auth,                                      // Verify JWT token
+  isServiceProvider,                         // Ensure user is service provider
+  validateLoginHistory,                      // Validate query parameters
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.getLoginHistory  // Return login history
+);
+
 // ===== EXPERTISE-BASED ROUTES =====
 
 /**
@@ -70,34 +93,154 @@ router.get('/expertise/categories',
 /**
  * Get service providers by specific expertise category
  * GET /api/service-providers/expertise/:expertise
- * Response: { serviceProviders }
+ * Response: { serviceProviders } - public cards, as for GET /:id/card
  */
 router.get('/expertise/:expertise', 
   ServiceProviderController.getServiceProvidersByExpertise // Return service providers by expertise
 );
 
+// ===== PUBLIC PROFILE ROUTES =====
+
+/**
+ * Get the public card of a service provider - no contact details, address or account state
+ * GET /api/service-providers/:id/card
+ * Response: { serviceProvider: { _id, firstName, lastName, expertise, businessBio, area } }
+ */
+router.get('/:id/card',
+  validateServiceProviderCard,               // Validate provider ID
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.getServiceProviderCard // Return the public card
+);
+
 // ===== ADMIN ROUTES (AUTHENTICATED) =====
 
+/**
+ * Import service providers from CSV or JSON (for admin purposes)
+ * POST /api/service-providers/import?dryRun=false&invite=false
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission providers:write)
+ * Content-Type: text/csv (header row naming the fields) or application/json
+ * Body: CSV, or [{ firstName, lastName, email, password?, phoneNumber, address, postcode, expertise, businessBio }]
+ * Response: { message, dryRun, total, succeeded, failed, rows: [{ row, email, status, id?, invited?, errors? }] }
+ */
+router.post('/import',
+  auth,                                      // Verify JWT token or API key
+  authorize('providers:write'),              // Require permission or API key scope
+  validateServiceProviderImport,             // Validate dryRun and invite
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.importServiceProviders // Check and create the accounts
+);
+
+/**
+ * Export service providers as CSV or JSON (for admin purposes)
+ * GET /api/service-providers/export?format=csv&fields=id,email&sort=-createdAt&(listing filters)
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission providers:read)
+ * Fields: comma-separated exportable fields - see README (default: all)
+ * Response: streamed CSV file or JSON array of accounts
+ */
+router.get('/export',
+  auth,                                      // Verify JWT token or API key
+  authorize('providers:read'),               // Require permission or API key scope
+  validateServiceProviderExport,             // Validate format, fields and filters
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.exportServiceProviders // Stream the accounts
+);
+
 /**
  * Get service provider by ID (for admin purposes)
  * GET /api/service-providers/:id
- * Headers: Authorization: Bearer <token>
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission providers:read)
  * Response: { serviceProvider }
  */
 router.get('/:id', 
-  auth,                                      // Verify JWT token
+  auth,                                      // Verify JWT token or API key
+  authorize('providers:read'),               // Require permission or API key scope
   ServiceProviderController.getServiceProviderById // Return service provider by ID
 );
 
 /**
- * Get all service providers (for admin purposes)
- * GET /api/service-providers
- * Headers: Authorization: Bearer <token>
- * Response: { serviceProviders }
+ * Unlock a service provider locked out after repeated failed logins (for admin purposes)
+ * POST /api/service-providers/:id/unlock
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission providers:write)
+ * Response: { message }
  */
-router.get('/', 
+router.post('/:id/unlock', 
+  auth,                                      // Verify JWT token or API key
+  authorize('providers:write'),              // Require permission or API key scope
+  ServiceProviderController.unlockServiceProvider // Clear login lockout
+);
+
+/**
+ * Suspend, ban or reinstate a service provider (for admin purposes)
+ * PUT /api/service-providers/:id/status
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission providers:write)
+ * Body: { status: 'active' | 'suspended' | 'banned', reason?, expiresAt? }
+ * Response: { message, accountStatus }
+ */
+router.put('/:id/status',
+  auth,                                      // Verify JWT token or API key
+  authorize('providers:write'),              // Require permission or API key scope
+  validateAccountStatus,                     // Validate status data
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.updateServiceProviderStatus // Change account status
+);
+
+/**
+ * Get a service provider's login history (for admin purposes)
+ * GET /api/service-providers/:id/login-history?limit=50
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission providers:read)
+ * Response: { loginHistory } - newest first
+ */
+router.get('/:id/login-history',
+  auth,                                      // Verify JWT token or API key
+  authorize('providers:read'),               // Require permission or API key scope
+  validateLoginHistory,                      // Validate query parameters
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.getServiceProviderLoginHistory // Return login history
+);
+
+/**
+ * Get a service provider's audit log activity - what it did and what was done to it (for admin purposes)
+ * GET /api/service-providers/:id/activity?page=1&limit=20&action=&from=&to=
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission audit:read)
+ * Response: { activity, pagination: { page, limit, total, totalPages, next, prev } } - newest first
+ */
+router.get('/:id/activity',
+  auth,                                      // Verify JWT token or API key
+  authorize('audit:read'),                   // Require permission or API key scope
+  validateAccountActivity,                   // Validate ID, filters and paging
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.getServiceProviderActivity // Return activity
+);
+
+/**
+ * Replace a service provider's staff roles (for admin purposes)
+ * PUT /api/service-providers/:id/roles
+ * Headers: Authorization: Bearer <token> (permission roles:manage)
+ * Body: { roles: Array<'admin' | 'support' | 'moderator'> }
+ * Response: { message, roles, permissions }
+ */
+router.put('/:id/roles',
   auth,                                      // Verify JWT token
-  ServiceProviderController.getAllServiceProviders // Return all service providers
+  isAccount,                                 // Refuse API keys
+  authorize('roles:manage'),                 // Require permission
+  validateRoleUpdate,                        // Validate roles
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.updateServiceProviderRoles // Replace roles
+);
+
+/**
+ * Get one page of service providers (for admin purposes)
+ * GET /api/service-providers?page=1&limit=20&sort=-createdAt&createdFrom=&createdTo=&postcode=&expertise=
+ *   &emailVerified=&phoneVerified=&status=
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission providers:read)
+ * Response: { serviceProviders, pagination: { page, limit, total, totalPages, next, prev } }
+ */
+router.get('/', 
+  auth,                                      // Verify JWT token or API key
+  authorize('providers:read'),               // Require permission or API key scope
+  validateServiceProviderListing,            // Validate paging, filter and sort options
+  handleValidationErrors,                    // Handle validation errors
+  ServiceProviderController.getAllServiceProviders // Return one page of service providers
 );
 
 // Export the router
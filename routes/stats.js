@@ -0,0 +1,36 @@
+/**
+ * Stats Routes
+ * Defines API endpoints for the admin statistics
+ * Figures are aggregated on request and are never stored
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controller and middleware
+const StatsController = require('../controllers/statsController');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  validateStatsQuery,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+// ===== ADMIN ROUTES (AUTHENTICATED) =====
+
+/**
+ * Get registration and account statistics (for admin purposes)
+ * GET /api/stats?from=&to=&interval=day|week|month
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission stats:read)
+ * Response: { range: { from, to }, interval, generatedAt, users, serviceProviders } - each with total, signups,
+ * postcodeAreas, verification and status; serviceProviders also has expertise
+ */
+router.get('/',
+  auth,                              // Verify JWT token or API key
+  authorize('stats:read'),           // Require permission or API key scope
+  validateStatsQuery,                // Validate date range and interval
+  handleValidationErrors,            // Handle validation errors
+  StatsController.getStats           // Return aggregated statistics
+);
+
+// Export the router
+module.exports = router;
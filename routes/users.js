@@ -1,7 +1,7 @@
 /**
  * User Routes
  * Defines API endpoints for user profile management
- * All routes require JWT authentication
+ * All routes require authentication; admin routes require a staff role permission or an API key scope
  */
 
 const express = require('express');
@@ -9,9 +9,16 @@ const router = express.Router();
 
 // Import controller and middleware
 const UserController = require('../controllers/userController');
-const { auth, isUser } = require('../middleware/auth');
+const { auth, isUser, isAccount, authorize, requireVerifiedEmail } = require('../middleware/auth');
 const {
   validateUserUpdate,
+  validateLoginHistory,
+  validateRoleUpdate,
+  validateAccountStatus,
+  validateAccountActivity,
+  validateUserImport,
+  validateUserExport,
+  validateUserListing,
   handleValidationErrors
 } = require('../middleware/validation');
 
@@ -39,6 +46,7 @@ router.get('/profile',
 router.put('/profile', 
   auth,                              // Verify JWT token
   isUser,                            // Ensure user is regular user
+  requireVerifiedEmail('allowProfileUpdates'), // Apply unverified account policy
   validateUserUpdate,                // Validate update data
   handleValidationErrors,            // Handle validation errors
   UserController.updateUserProfile    // Update user profile
@@ -56,28 +64,148 @@ router.delete('/profile',
   UserController.deleteUser           // Delete user account
 );
 
+/**
+ * Get current user's login history
+ * GET /api/users/login-history?limit=50
+ * Headers: Authorization: Bearer <token>
+ * Response: { loginHistory } - newest first
+ */
+router.get('/login-history',
+  auth,                              // Verify JWT token
+  isUser,                            // Ensure user is regular user
+  validateLoginHistory,              // Validate query parameters
+  handleValidationErrors,            // Handle validation errors
+  UserController.getLoginHistory      // Return login history
+);
+
 // ===== ADMIN ROUTES (AUTHENTICATED) =====
 
+/**
+ * Import users from CSV or JSON (for admin purposes)
+ * POST /api/users/import?dryRun=false&invite=false
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission users:write)
+ * Content-Type: text/csv (header row naming the fields) or application/json
+ * Body: CSV, or [{ firstName, lastName, email, password?, phoneNumber, address, postcode }]
+ * Response: { message, dryRun, total, succeeded, failed, rows: [{ row, email, status, id?, invited?, errors? }] }
+ */
+router.post('/import',
+  auth,                              // Verify JWT token or API key
+  authorize('users:write'),          // Require permission or API key scope
+  validateUserImport,                // Validate dryRun and invite
+  handleValidationErrors,            // Handle validation errors
+  UserController.importUsers         // Check and create the accounts
+);
+
+/**
+ * Export users as CSV or JSON (for admin purposes)
+ * GET /api/users/export?format=csv&fields=id,email&sort=-createdAt&(listing filters)
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission users:read)
+ * Fields: comma-separated exportable fields - see README (default: all)
+ * Response: streamed CSV file or JSON array of accounts
+ */
+router.get('/export',
+  auth,                              // Verify JWT token or API key
+  authorize('users:read'),           // Require permission or API key scope
+  validateUserExport,                // Validate format, fields and filters
+  handleValidationErrors,            // Handle validation errors
+  UserController.exportUsers         // Stream the accounts
+);
+
 /**
  * Get user by ID (for admin purposes)
  * GET /api/users/:id
- * Headers: Authorization: Bearer <token>
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission users:read)
  * Response: { user }
  */
 router.get('/:id', 
-  auth,                              // Verify JWT token
+  auth,                              // Verify JWT token or API key
+  authorize('users:read'),           // Require permission or API key scope
   UserController.getUserById          // Return user by ID
 );
 
 /**
- * Get all users (for admin purposes)
- * GET /api/users
- * Headers: Authorization: Bearer <token>
- * Response: { users }
+ * Unlock a user locked out after repeated failed logins (for admin purposes)
+ * POST /api/users/:id/unlock
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission users:write)
+ * Response: { message }
  */
-router.get('/', 
+router.post('/:id/unlock', 
+  auth,                              // Verify JWT token or API key
+  authorize('users:write'),          // Require permission or API key scope
+  UserController.unlockUser           // Clear login lockout
+);
+
+/**
+ * Suspend, ban or reinstate a user (for admin purposes)
+ * PUT /api/users/:id/status
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission users:write)
+ * Body: { status: 'active' | 'suspended' | 'banned', reason?, expiresAt? }
+ * Response: { message, accountStatus }
+ */
+router.put('/:id/status',
+  auth,                              // Verify JWT token or API key
+  authorize('users:write'),          // Require permission or API key scope
+  validateAccountStatus,             // Validate status data
+  handleValidationErrors,            // Handle validation errors
+  UserController.updateUserStatus    // Change account status
+);
+
+/**
+ * Get a user's login history (for admin purposes)
+ * GET /api/users/:id/login-history?limit=50
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission users:read)
+ * Response: { loginHistory } - newest first
+ */
+router.get('/:id/login-history',
+  auth,                              // Verify JWT token or API key
+  authorize('users:read'),           // Require permission or API key scope
+  validateLoginHistory,              // Validate query parameters
+  handleValidationErrors,            // Handle validation errors
+  UserController.getUserLoginHistory  // Return login history
+);
+
+/**
+ * Get a user's audit log activity - what it did and what was done to it (for admin purposes)
+ * GET /api/users/:id/activity?page=1&limit=20&action=&from=&to=
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission audit:read)
+ * Response: { activity, pagination: { page, limit, total, totalPages, next, prev } } - newest first
+ */
+router.get('/:id/activity',
+  auth,                              // Verify JWT token or API key
+  authorize('audit:read'),           // Require permission or API key scope
+  validateAccountActivity,           // Validate ID, filters and paging
+  handleValidationErrors,            // Handle validation errors
+  UserController.getUserActivity     // Return activity
+);
+
+/**
+ * Replace a user's staff roles (for admin purposes)
+ * PUT /api/users/:id/roles
+ * Headers: Authorization: Bearer <token> (permission roles:manage)
+ * Body: { roles: Array<'admin' | 'support' | 'moderator'> }
+ * Response: { message, roles, permissions }
+ */
+router.put('/:id/roles',
   auth,                              // Verify JWT token
-  UserController.getAllUsers          // Return all users
+  isAccount,                         // Refuse API keys
+  authorize('roles:manage'),         // Require permission
+  validateRoleUpdate,                // Validate roles
+  handleValidationErrors,            // Handle validation errors
+  UserController.updateUserRoles      // Replace roles
+);
+
+/**
+ * Get one page of users (for admin purposes)
+ * GET /api/users?page=1&limit=20&sort=-createdAt&createdFrom=&createdTo=&postcode=&emailVerified=&phoneVerified=&status=
+ * Headers: Authorization: Bearer <token> or X-API-Key: <key> (permission users:read)
+ * Response: { users, pagination: { page, limit, total, totalPages, next, prev } }
+ */
+router.get('/', 
+  auth,                              // Verify JWT token or API key
+  authorize('users:read'),           // Require permission or API key scope
+  validateUserListing,               // Validate paging, filter and sort options
+  handleValidationErrors,            // Handle validation errors
+  UserController.getAllUsers          // Return one page of users
 );
 
 // Export the router
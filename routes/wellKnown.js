@@ -0,0 +1,25 @@
+/**
+ * Well-Known Routes
+ * Defines the /.well-known discovery endpoints
+ * Lets downstream services verify access tokens without holding a secret
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controller
+const WellKnownController = require('../controllers/wellKnownController');
+
+// ===== DISCOVERY ROUTES =====
+
+/**
+ * Get the public signing keys as a JSON Web Key Set
+ * GET /.well-known/jwks.json
+ * Response: { keys: Array<JWK> }
+ */
+router.get('/jwks.json',
+  WellKnownController.getJwks // Return public signing keys
+);
+
+// Export the router
+module.exports = router;
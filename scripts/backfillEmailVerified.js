@@ -0,0 +1,61 @@
+/**
+ * Email Verification Backfill
+ * Marks users and service providers created before email verification existed as verified,
+ * so they keep logging in and appearing in expertise search under the unverified account policy
+ *
+ * Usage: node scripts/backfillEmailVerified.js [--dry-run]
+ *   --dry-run  Only count the accounts that would be marked, do not change them
+ *
+ * Only accounts without an emailVerified flag are changed; accounts registered since then
+ * keep their flag, so the backfill can be run again safely.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const User = require('../models/User');
+const ServiceProvider = require('../models/ServiceProvider');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+// Accounts stored before the emailVerified field was added
+const LEGACY_FILTER = { emailVerified: { $exists: false } };
+
+/**
+ * Mark the legacy accounts of one model as verified
+ * @param {Object} Model - Mongoose model to update
+ * @returns {Promise<number>} - Accounts marked, or that would be marked in a dry run
+ */
+const backfill = async (Model) => {
+  if (dryRun) {
+    return Model.countDocuments(LEGACY_FILTER);
+  }
+
+  // The account's creation date is the best record of when the address was in use
+  const result = await Model.updateMany(LEGACY_FILTER, [
+    { $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }
+  ]);
+  return result.modifiedCount;
+};
+
+/**
+ * Run the backfill
+ * @returns {Promise<Object>} - Backfill report
+ */
+const run = async () => ({
+  dryRun,
+  users: await backfill(User),
+  serviceProviders: await backfill(ServiceProvider)
+});
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(run)
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+  })
+  .catch((err) => {
+    console.error('Email verification backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
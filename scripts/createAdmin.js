@@ -0,0 +1,73 @@
+/**
+ * Create Admin
+ * Grants a staff role to an existing account - the bootstrap path for the first admin,
+ * since role assignment through the API already requires an admin
+ *
+ * Usage: node scripts/createAdmin.js --email <email> [--role admin|support|moderator]
+ *   --email <email>  Email address of a registered user or service provider
+ *   --role <role>    Role to grant (default: admin)
+ *
+ * Register the account through the API first. Existing roles are kept; the account
+ * gets the new permissions on its next request, without logging in again.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const AccountService = require('../services/accountService');
+const RoleService = require('../services/roleService');
+
+const args = process.argv.slice(2);
+const emailIndex = args.indexOf('--email');
+const roleIndex = args.indexOf('--role');
+const email = emailIndex !== -1 ? args[emailIndex + 1] : null;
+const role = roleIndex !== -1 ? args[roleIndex + 1] : 'admin';
+
+if (!email) {
+  console.error('Usage: node scripts/createAdmin.js --email <email> [--role admin|support|moderator]');
+  process.exit(1);
+}
+
+if (!RoleService.getRoleNames().includes(role)) {
+  console.error(`Unknown role "${role}". Use one of: ${RoleService.getRoleNames().join(', ')}`);
+  process.exit(1);
+}
+
+/**
+ * Grant the role to the account registered with the email address
+ * @returns {Promise<Object>} - The account's email, type, roles and permissions
+ */
+const grantRole = async () => {
+  const account = await AccountService.findByEmail(email);
+  if (!account) {
+    throw new Error(`No account is registered with ${email}. Register it through the API first`);
+  }
+
+  const { user, userType } = account;
+  if (!user.emailVerified) {
+    console.warn(`Warning: ${user.email} has not verified its email address`);
+  }
+
+  if (!user.roles.includes(role)) {
+    user.roles.push(role);
+    await user.save();
+  }
+
+  return {
+    email: user.email,
+    userType,
+    roles: user.roles,
+    permissions: RoleService.getPermissions(user.roles)
+  };
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(grantRole)
+  .then((result) => {
+    console.log(JSON.stringify(result, null, 2));
+  })
+  .catch((err) => {
+    console.error('Creating admin failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,121 @@
+/**
+ * Account Email Migration
+ * Fills the shared email registry from the existing users and service providers
+ * and reports every email address registered as both a user and a service provider
+ *
+ * Usage: node scripts/migrateAccountEmails.js [--dry-run] [--report <file>]
+ *   --dry-run        Only report, do not write registry entries
+ *   --report <file>  Also write the JSON report to a file
+ *
+ * Colliding addresses are left out of the registry; logins for them are refused until
+ * an admin resolves the collision (e.g. by changing or deleting one of the accounts)
+ * and the migration is run again.
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const User = require('../models/User');
+const ServiceProvider = require('../models/ServiceProvider');
+const AccountEmail = require('../models/AccountEmail');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const reportIndex = args.indexOf('--report');
+const reportFile = reportIndex !== -1 ? args[reportIndex + 1] : null;
+
+/**
+ * Make sure a registry entry exists for an account
+ * @param {Object} account - User or service provider document
+ * @param {string} userType - Type of account ('user' or 'serviceProvider')
+ * @param {Object} report - Report being built
+ * @returns {Promise<void>}
+ */
+const registerEmail = async (account, userType, report) => {
+  const existing = await AccountEmail.findOne({ email: account.email });
+
+  if (existing) {
+    if (!existing.userId.equals(account._id)) {
+      report.mismatches.push({
+        email: account.email,
+        registeredTo: { id: existing.userId, userType: existing.userType },
+        foundOn: { id: account._id, userType }
+      });
+    } else {
+      report.alreadyRegistered += 1;
+    }
+    return;
+  }
+
+  if (!dryRun) {
+    await AccountEmail.create({ email: account.email, userId: account._id, userType });
+  }
+  report.registered += 1;
+};
+
+/**
+ * Run the migration
+ * @returns {Promise<Object>} - Migration report
+ */
+const migrate = async () => {
+  const report = {
+    dryRun,
+    scanned: { users: 0, serviceProviders: 0 },
+    registered: 0,
+    alreadyRegistered: 0,
+    collisions: [],
+    mismatches: []
+  };
+
+  // Users - an address also used by a service provider is a collision
+  for await (const user of User.find({}, 'email createdAt').cursor()) {
+    report.scanned.users += 1;
+
+    const serviceProvider = await ServiceProvider.findOne({ email: user.email }, 'email createdAt');
+    if (serviceProvider) {
+      report.collisions.push({
+        email: user.email,
+        user: { id: user._id, createdAt: user.createdAt },
+        serviceProvider: { id: serviceProvider._id, createdAt: serviceProvider.createdAt }
+      });
+      continue;
+    }
+
+    await registerEmail(user, 'user', report);
+  }
+
+  // Service providers - collisions were already recorded while scanning users
+  for await (const serviceProvider of ServiceProvider.find({}, 'email createdAt').cursor()) {
+    report.scanned.serviceProviders += 1;
+
+    if (await User.exists({ email: serviceProvider.email })) {
+      continue;
+    }
+
+    await registerEmail(serviceProvider, 'serviceProvider', report);
+  }
+
+  return report;
+};
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then((report) => {
+    const output = JSON.stringify(report, null, 2);
+    console.log(output);
+
+    if (reportFile) {
+      fs.writeFileSync(reportFile, output);
+      console.log(`Report written to ${reportFile}`);
+    }
+
+    if (report.collisions.length > 0) {
+      console.warn(`${report.collisions.length} email address(es) are registered as both a user and a service provider`);
+    }
+  })
+  .catch((err) => {
+    console.error('Account email migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
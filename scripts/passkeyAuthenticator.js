@@ -0,0 +1,306 @@
+/**
+ * Software Passkey Authenticator
+ * Creates and uses WebAuthn passkeys without a browser or hardware, for testing the passkey
+ * endpoints end to end. Keys are ES256 and kept in a JSON file - never use it for real accounts.
+ *
+ * Usage:
+ *   node scripts/passkeyAuthenticator.js register --token <access token> [--name <name>]
+ *   node scripts/passkeyAuthenticator.js login
+ *
+ * Options:
+ *   --api <url>      API base URL (default: API_URL or http://localhost:3000)
+ *   --origin <url>   Origin reported to the API (default: the API URL's origin)
+ *   --file <path>    Credential file (default: ./passkey.json)
+ *
+ * The module also exports the SoftwareAuthenticator class for use in test suites:
+ *   const authenticator = new SoftwareAuthenticator({ origin });
+ *   const credential = authenticator.createCredential(registrationOptions);
+ *   const assertion = authenticator.getAssertion(loginOptions);
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+require('dotenv').config({ path: './config.env' });
+
+// Authenticator data flags set by this authenticator: user present, user verified, attested data
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+/**
+ * Encode the head (major type and argument) of a CBOR data item
+ * @param {number} majorType - CBOR major type
+ * @param {number} argument - Length, count or value
+ * @returns {Buffer} - Encoded head
+ */
+const encodeCborHead = (majorType, argument) => {
+  if (argument < 24) {
+    return Buffer.from([(majorType << 5) | argument]);
+  }
+  if (argument < 0x100) {
+    return Buffer.from([(majorType << 5) | 24, argument]);
+  }
+  if (argument < 0x10000) {
+    const head = Buffer.alloc(3);
+    head[0] = (majorType << 5) | 25;
+    head.writeUInt16BE(argument, 1);
+    return head;
+  }
+  const head = Buffer.alloc(5);
+  head[0] = (majorType << 5) | 26;
+  head.writeUInt32BE(argument, 1);
+  return head;
+};
+
+/**
+ * Encode a value as CBOR
+ * Supports integers, buffers, strings, arrays and maps (Map for integer keys, objects for text keys)
+ * @param {*} value - Value to encode
+ * @returns {Buffer} - Encoded value
+ */
+const encodeCbor = (value) => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? encodeCborHead(0, value) : encodeCborHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeCborHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeCborHead(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeCborHead(4, value.length), ...value.map(encodeCbor)]);
+  }
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    encodeCborHead(5, entries.length),
+    ...entries.flatMap(([key, entry]) => [encodeCbor(key), encodeCbor(entry)])
+  ]);
+};
+
+/**
+ * Software Authenticator Class
+ * Holds one discoverable ES256 credential
+ */
+class SoftwareAuthenticator {
+  /**
+   * @param {Object} options - Authenticator options
+   * @param {string} options.origin - Origin reported in the client data
+   * @param {Object} [options.credential] - Credential saved with toJSON()
+   */
+  constructor({ origin, credential = null }) {
+    this.origin = origin;
+    this.credential = credential;
+  }
+
+  /**
+   * Build the client data JSON the browser would send
+   * @param {string} type - 'webauthn.create' or 'webauthn.get'
+   * @param {string} challenge - base64url challenge from the options
+   * @returns {Buffer} - Client data JSON bytes
+   */
+  buildClientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+  }
+
+  /**
+   * Build authenticator data
+   * @param {string} rpId - Relying party ID
+   * @param {number} flags - Authenticator data flags
+   * @param {Buffer} [attestedCredentialData] - Attested credential data for registrations
+   * @returns {Buffer} - Authenticator data
+   */
+  buildAuthenticatorData(rpId, flags, attestedCredentialData = Buffer.alloc(0)) {
+    const signCount = Buffer.alloc(4);
+    signCount.writeUInt32BE(this.credential.signCount);
+
+    return Buffer.concat([
+      crypto.createHash('sha256').update(rpId).digest(),
+      Buffer.from([flags]),
+      signCount,
+      attestedCredentialData
+    ]);
+  }
+
+  /**
+   * Create a new credential, like navigator.credentials.create()
+   * @param {Object} options - PublicKeyCredentialCreationOptions JSON from the API
+   * @returns {Object} - PublicKeyCredential JSON to send back to the API
+   */
+  createCredential(options) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const credentialId = crypto.randomBytes(16);
+
+    this.credential = {
+      credentialId: credentialId.toString('base64url'),
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      rpId: options.rp.id,
+      userHandle: options.user.id,
+      signCount: 0
+    };
+
+    // COSE key: EC2 (1: 2), ES256 (3: -7), P-256 (-1: 1), x (-2) and y (-3)
+    const coseKey = encodeCbor(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+    const attestedCredentialData = Buffer.concat([Buffer.alloc(16), credentialIdLength, credentialId, coseKey]);
+
+    const authData = this.buildAuthenticatorData(
+      options.rp.id,
+      FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_CREDENTIAL_DATA,
+      attestedCredentialData
+    );
+
+    return {
+      id: this.credential.credentialId,
+      rawId: this.credential.credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: this.buildClientData('webauthn.create', options.challenge).toString('base64url'),
+        attestationObject: encodeCbor({ fmt: 'none', attStmt: {}, authData }).toString('base64url'),
+        transports: ['internal']
+      }
+    };
+  }
+
+  /**
+   * Sign a login challenge, like navigator.credentials.get()
+   * @param {Object} options - PublicKeyCredentialRequestOptions JSON from the API
+   * @returns {Object} - PublicKeyCredential JSON to send back to the API
+   * @throws {Error} - If the authenticator holds no credential for the relying party
+   */
+  getAssertion(options) {
+    if (!this.credential || this.credential.rpId !== options.rpId) {
+      throw new Error(`No passkey for ${options.rpId}`);
+    }
+
+    this.credential.signCount += 1;
+
+    const clientData = this.buildClientData('webauthn.get', options.challenge);
+    const authenticatorData = this.buildAuthenticatorData(
+      options.rpId, FLAG_USER_PRESENT | FLAG_USER_VERIFIED
+    );
+    const signature = crypto.sign(
+      'sha256',
+      Buffer.concat([authenticatorData, crypto.createHash('sha256').update(clientData).digest()]),
+      this.credential.privateKey
+    );
+
+    return {
+      id: this.credential.credentialId,
+      rawId: this.credential.credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientData.toString('base64url'),
+        authenticatorData: authenticatorData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: this.credential.userHandle
+      }
+    };
+  }
+
+  /**
+   * Get the credential for saving
+   * @returns {Object|null} - Credential including the private key
+   */
+  toJSON() {
+    return this.credential;
+  }
+}
+
+/**
+ * Call the API and fail on error responses
+ * @param {string} url - Endpoint URL
+ * @param {Object} [body] - JSON body
+ * @param {string} [token] - Access token
+ * @returns {Promise<Object>} - Response body
+ */
+const callApi = async (url, body = {}, token = null) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${data.message || response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * Run the command line interface
+ * @returns {Promise<void>}
+ */
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const option = (name, fallback = null) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : fallback;
+  };
+
+  const api = option('api', process.env.API_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const origin = option('origin', new URL(api).origin);
+  const file = option('file', './passkey.json');
+
+  if (command === 'register') {
+    const token = option('token');
+    if (!token) {
+      throw new Error('--token <access token> is required to register a passkey');
+    }
+
+    const authenticator = new SoftwareAuthenticator({ origin });
+    const options = await callApi(`${api}/api/auth/passkeys/register/options`, {}, token);
+    const credential = authenticator.createCredential(options);
+    const result = await callApi(
+      `${api}/api/auth/passkeys/register`,
+      { credential, name: option('name', 'Software authenticator') },
+      token
+    );
+
+    // The file holds a private key - keep it readable by the owner only
+    fs.writeFileSync(file, JSON.stringify(authenticator.toJSON(), null, 2), { mode: 0o600 });
+    console.log(`${result.message} (${result.passkey._id}); credential saved to ${file}`);
+    return;
+  }
+
+  if (command === 'login') {
+    const authenticator = new SoftwareAuthenticator({
+      origin,
+      credential: JSON.parse(fs.readFileSync(file, 'utf8'))
+    });
+    const options = await callApi(`${api}/api/auth/passkeys/login/options`);
+    const result = await callApi(`${api}/api/auth/passkeys/login`, {
+      credential: authenticator.getAssertion(options)
+    });
+
+    // Keep the signature counter in step with the server
+    fs.writeFileSync(file, JSON.stringify(authenticator.toJSON(), null, 2), { mode: 0o600 });
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  throw new Error('Usage: node scripts/passkeyAuthenticator.js register --token <token> | login');
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+// Export the SoftwareAuthenticator class
+module.exports = SoftwareAuthenticator;
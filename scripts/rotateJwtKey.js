@@ -0,0 +1,90 @@
+/**
+ * JWT Key Rotation
+ * Generates a new RS256 or ES256 signing key and retires the current one
+ *
+ * Usage: node scripts/rotateJwtKey.js [--alg RS256|ES256]
+ *
+ * The new key is published in the JWKS straight away but only starts signing once cached copies
+ * of the JWKS have expired; the current key keeps signing until then. The retired key keeps
+ * verifying tokens for JWT_KEY_GRACE_PERIOD_HOURS and stays in the published JWKS until then;
+ * keys past their grace window are removed from the key set.
+ * Running instances pick up the new key set automatically when the file changes.
+ *
+ * Run while JWT_ALGORITHM is still HS256, the script also starts the grace window in which
+ * HS256 access tokens keep verifying once JWT_ALGORITHM is switched to RS256 or ES256.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config({ path: './config.env' });
+
+const KeyService = require('../services/keyService');
+
+const args = process.argv.slice(2);
+const algIndex = args.indexOf('--alg');
+const configured = KeyService.getAlgorithm();
+const alg = algIndex !== -1 ? args[algIndex + 1] : (configured === 'ES256' ? 'ES256' : 'RS256');
+
+if (!['RS256', 'ES256'].includes(alg)) {
+  console.error(`Unsupported algorithm "${alg}". Use RS256 or ES256`);
+  process.exit(1);
+}
+
+/**
+ * Generate a PEM key pair for an algorithm
+ * @param {string} algorithm - 'RS256' or 'ES256'
+ * @returns {Object} - { privateKey, publicKey } as PEM strings
+ */
+const generateKeyPair = (algorithm) => {
+  const encoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  };
+
+  return algorithm === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1', ...encoding })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...encoding });
+};
+
+const file = KeyService.getKeysetFile();
+const keyset = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { keys: [] };
+const now = new Date();
+
+// Verifiers may still hold a JWKS without the new key, so it signs once their copies have expired.
+// The first key has no predecessor to keep signing and activates straight away
+const hasSigningKey = keyset.keys.some(key => !key.retiredAt);
+const activatesAt = hasSigningKey ? new Date(now.getTime() + KeyService.getJwksMaxAge() * 1000) : now;
+
+// Retire the current key when the new one activates and drop keys whose grace window is over
+keyset.keys = keyset.keys
+  .map(key => (key.retiredAt ? key : { ...key, retiredAt: activatesAt.toISOString() }))
+  .filter(key => new Date(key.retiredAt).getTime() + KeyService.getGracePeriod() > now.getTime());
+
+// Preparing the switch from HS256 - tokens signed with JWT_SECRET stay valid for the grace window
+if (!KeyService.isAsymmetric()) {
+  keyset.sharedSecretRetiredAt = now.toISOString();
+}
+
+const { privateKey, publicKey } = generateKeyPair(alg);
+const kid = `${now.toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+
+keyset.keys.unshift({
+  kid,
+  alg,
+  privateKey,
+  publicKey,
+  createdAt: now.toISOString(),
+  activatesAt: activatesAt.toISOString(),
+  retiredAt: null
+});
+
+// The key set holds private keys - keep it readable by the owner only
+fs.mkdirSync(path.dirname(file), { recursive: true });
+fs.writeFileSync(file, JSON.stringify(keyset, null, 2), { mode: 0o600 });
+
+console.log(`New ${alg} signing key ${kid} written to ${file}, signing from ${activatesAt.toISOString()}`);
+console.log(`${keyset.keys.length - 1} previous key(s) still accepted during their grace window`);
+if (configured !== alg) {
+  console.log(`Set JWT_ALGORITHM=${alg} to start signing with this key`);
+}
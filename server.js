@@ -14,6 +14,11 @@ require('dotenv').config({ path: './config.env' });
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const serviceProviderRoutes = require('./routes/serviceProviders');
+const wellKnownRoutes = require('./routes/wellKnown');
+const internalRoutes = require('./routes/internal');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditLogRoutes = require('./routes/auditLogs');
+const statsRoutes = require('./routes/stats');
 
 // Initialize Express application
 const app = express();
@@ -21,9 +26,24 @@ const PORT = process.env.PORT || 3000;
 
 // ===== MIDDLEWARE CONFIGURATION =====
 
+// Trust the reverse proxy's X-Forwarded-For header so req.ip is the real client IP
+// TRUST_PROXY accepts a hop count, "true", or a list of trusted proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // Enable CORS for cross-origin requests
 app.use(cors());
 
+// Bulk imports carry whole spreadsheets, so they get their own JSON and CSV parsers with a larger limit
+const importBodyLimit = process.env.IMPORT_MAX_BODY_SIZE || '5mb';
+app.use(
+  ['/api/users/import', '/api/service-providers/import'],
+  express.json({ limit: importBodyLimit }),
+  express.text({ type: 'text/csv', limit: importBodyLimit })
+);
+
 // Parse JSON payloads in request bodies
 app.use(express.json());
 
@@ -50,7 +70,12 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       users: '/api/users',
-      serviceProviders: '/api/service-providers'
+      serviceProviders: '/api/service-providers',
+      apiKeys: '/api/api-keys',
+      auditLogs: '/api/audit-logs',
+      stats: '/api/stats',
+      internal: '/api/internal',
+      jwks: '/.well-known/jwks.json'
     },
     documentation: 'API endpoints for user and service provider management'
   });
@@ -60,6 +85,11 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);           // Authentication routes
 app.use('/api/users', userRoutes);          // User management routes
 app.use('/api/service-providers', serviceProviderRoutes); // Service provider routes
+app.use('/api/api-keys', apiKeyRoutes);     // API key management routes
+app.use('/api/audit-logs', auditLogRoutes); // Audit log routes
+app.use('/api/stats', statsRoutes);         // Admin statistics routes
+app.use('/.well-known', wellKnownRoutes);   // Public signing keys (JWKS)
+app.use('/api/internal', internalRoutes);   // Service-to-service routes
 
 
 
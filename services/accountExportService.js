@@ -0,0 +1,152 @@
+/**
+ * Account Export Service
+ * Streams users and service providers out as CSV or JSON for admins
+ * Accounts are read through a database cursor, so exports of any size use constant memory
+ */
+
+const AccountService = require('./accountService');
+const PaginationService = require('./paginationService');
+const AccountStatusService = require('./accountStatusService');
+const AuditService = require('./auditService');
+
+// Fields that can be exported for each account type - security fields are never exported
+const EXPORT_FIELDS = {
+  user: [
+    'id', 'firstName', 'lastName', 'email', 'phoneNumber', 'address', 'postcode',
+    'emailVerified', 'phoneVerified', 'status', 'roles', 'createdAt', 'updatedAt'
+  ],
+  serviceProvider: [
+    'id', 'firstName', 'lastName', 'email', 'phoneNumber', 'address', 'postcode', 'expertise', 'businessBio',
+    'emailVerified', 'phoneVerified', 'status', 'roles', 'createdAt', 'updatedAt'
+  ]
+};
+
+// Joins list values, e.g. expertise, in a CSV cell - the import splits on the same character
+const LIST_SEPARATOR = ';';
+
+// Accounts read from the database per batch
+const CURSOR_BATCH_SIZE = 500;
+
+/**
+ * Format a value as a CSV cell (RFC 4180)
+ * Cells that a spreadsheet would run as a formula are prefixed with a quote;
+ * phone numbers such as +447700900123 are left alone
+ * @param {*} value - Field value
+ * @returns {string} - CSV cell
+ */
+const toCsvCell = (value) => {
+  let cell;
+  if (value === null || value === undefined) {
+    cell = '';
+  } else if (value instanceof Date) {
+    cell = value.toISOString();
+  } else if (Array.isArray(value)) {
+    cell = value.join(LIST_SEPARATOR);
+  } else {
+    cell = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(cell) && !/^[+-]?[\d\s().]+$/.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Account Export Service Class
+ * Contains all account export-related business logic
+ */
+class AccountExportService {
+
+  /**
+   * Get the fields that can be exported for an account type
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Array<string>} - Field names
+   */
+  static getFields(userType) {
+    return EXPORT_FIELDS[userType];
+  }
+
+  /**
+   * Pick the exported fields of an account
+   * @param {Object} account - Plain user or service provider object
+   * @param {Array<string>} fields - Fields to export
+   * @returns {Object} - Exported values by field name
+   */
+  static toRecord(account, fields) {
+    return fields.reduce((record, field) => {
+      if (field === 'id') {
+        record.id = String(account._id);
+      } else if (field === 'status') {
+        record.status = AccountStatusService.getEffectiveStatus(account);
+      } else {
+        record[field] = account[field] === undefined ? null : account[field];
+      }
+      return record;
+    }, {});
+  }
+
+  /**
+   * Export accounts as CSV or JSON, one chunk at a time
+   * The export is recorded in the audit log before the first account is read
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {Object} [options] - Export options
+   * @param {string} [options.format] - 'csv' (default) or 'json'
+   * @param {Array<string>} [options.fields] - Fields to export (default: all exportable fields)
+   * @param {string} [options.sort] - Sort parameter, as for the admin listings
+   * @param {Array<string>} [options.expertise] - Service providers only; any of these expertise categories
+   * (options also takes the filters of the admin listings: createdFrom, createdTo, postcode,
+   * emailVerified, phoneVerified and status)
+   * @param {Object} exportedBy - { userId, userType } of the admin or API key exporting
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {AsyncGenerator<string>} - CSV lines or pieces of the JSON array
+   */
+  static async *exportAccounts(userType, options = {}, exportedBy, context = {}) {
+    const format = options.format || 'csv';
+    const fields = options.fields && options.fields.length > 0 ? options.fields : this.getFields(userType);
+
+    const filter = PaginationService.buildAccountFilter(options);
+    if (userType === 'serviceProvider' && options.expertise && options.expertise.length > 0) {
+      filter.expertise = { $in: [].concat(options.expertise) };
+    }
+
+    await AuditService.record({
+      action: 'accounts.exported',
+      actor: exportedBy,
+      metadata: { userType, format, fields }
+    }, context);
+
+    // Read only the fields needed - status also needs its expiry to work out the status in force
+    const projection = fields
+      .filter(field => field !== 'id')
+      .concat(fields.includes('status') ? ['statusExpiresAt'] : []);
+
+    const cursor = AccountService.getModel(userType)
+      .find(filter)
+      .select(projection.join(' '))
+      .sort(PaginationService.buildSort(options.sort))
+      .lean()
+      .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+    if (format === 'json') {
+      yield '[';
+      let first = true;
+      for await (const account of cursor) {
+        yield `${first ? '' : ','}\n${JSON.stringify(this.toRecord(account, fields))}`;
+        first = false;
+      }
+      yield '\n]\n';
+      return;
+    }
+
+    yield `${fields.map(toCsvCell).join(',')}\r\n`;
+    for await (const account of cursor) {
+      const record = this.toRecord(account, fields);
+      yield `${fields.map(field => toCsvCell(record[field])).join(',')}\r\n`;
+    }
+  }
+}
+
+// Export the AccountExportService class
+module.exports = AccountExportService;
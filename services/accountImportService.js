@@ -0,0 +1,313 @@
+/**
+ * Account Import Service
+ * Creates users and service providers in bulk from CSV or JSON for admins
+ * Every account is checked with the registration rules and the model before anything is saved;
+ * imported accounts can be invited by email to set their own password
+ */
+
+const crypto = require('crypto');
+const emailService = require('./emailService');
+const TokenService = require('./tokenService');
+const AccountService = require('./accountService');
+const AuthService = require('./authService');
+const AuditService = require('./auditService');
+const EmailVerificationService = require('./emailVerificationService');
+
+// Fields read from each imported account - any other column is ignored
+const IMPORT_FIELDS = {
+  user: ['firstName', 'lastName', 'email', 'password', 'phoneNumber', 'address', 'postcode'],
+  serviceProvider: [
+    'firstName', 'lastName', 'email', 'password', 'phoneNumber', 'address', 'postcode', 'expertise', 'businessBio'
+  ]
+};
+
+// Separates list values, e.g. expertise, in a CSV cell - the export joins with the same character
+const LIST_SEPARATOR = ';';
+
+/**
+ * Read the import settings from environment variables
+ * @returns {Object} - Import settings
+ */
+const getSettings = () => ({
+  // Most accounts in one import
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000,
+  // Hours an invitation link stays valid
+  invitationExpiresHours: parseInt(process.env.INVITATION_EXPIRES_HOURS, 10) || 72
+});
+
+/**
+ * Parse CSV text (RFC 4180) into rows of cells
+ * Handles quoted cells with commas, doubled quotes and line breaks, and CRLF or LF line endings
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells, without blank lines
+ * @throws {Error} - If a quoted cell is never closed
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  // Skip the byte order mark spreadsheet programs put at the start of UTF-8 files
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Import CSV has a quoted value that is never closed');
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Account Import Service Class
+ * Contains all account import-related business logic
+ */
+class AccountImportService {
+
+  /**
+   * Get the fields read from each imported account
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Array<string>} - Field names
+   */
+  static getFields(userType) {
+    return IMPORT_FIELDS[userType];
+  }
+
+  /**
+   * Read the accounts of an import
+   * CSV needs a header row naming the fields; JSON is an array of accounts or { accounts: [...] }
+   * @param {string|Object|Array} payload - CSV text or parsed JSON body
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Array<Object>} - Accounts as plain objects, in file order
+   * @throws {Error} - If the import is empty, malformed or too large
+   */
+  static parseRecords(payload, format) {
+    let records;
+
+    if (format === 'csv') {
+      const [header, ...rows] = parseCsv(typeof payload === 'string' ? payload : '');
+      const columns = (header || []).map(column => column.trim());
+      records = rows.map(cells => columns.reduce((record, column, index) => {
+        record[column] = cells[index] === undefined ? '' : cells[index];
+        return record;
+      }, {}));
+    } else {
+      records = Array.isArray(payload) ? payload : payload && payload.accounts;
+      if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+        throw new Error('Import must be a CSV file or a JSON array of accounts');
+      }
+    }
+
+    if (records.length === 0) {
+      throw new Error('Import contains no accounts');
+    }
+
+    const { maxRows } = getSettings();
+    if (records.length > maxRows) {
+      throw new Error(`Import is limited to ${maxRows} accounts`);
+    }
+
+    return records;
+  }
+
+  /**
+   * Pick the imported fields of a record
+   * Expertise in CSV is a list separated by semicolons; empty CSV cells count as missing
+   * @param {Object} record - Account from the import
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Object} - Account data for validation
+   */
+  static toAccountData(record, userType) {
+    return this.getFields(userType).reduce((data, field) => {
+      let value = record[field];
+      if (value === '' || value === null) {
+        value = undefined;
+      }
+      if (field === 'expertise' && typeof value === 'string') {
+        value = value.split(LIST_SEPARATOR).map(category => category.trim()).filter(Boolean);
+      }
+      if (value !== undefined) {
+        data[field] = value;
+      }
+      return data;
+    }, {});
+  }
+
+  /**
+   * Collect the errors Mongoose reports for a new account
+   * @param {Object} account - Unsaved user or service provider document
+   * @returns {Promise<Array<Object>>} - Errors as { field, message }
+   */
+  static async validateModel(account) {
+    try {
+      await account.validate();
+      return [];
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      return Object.values(error.errors).map(fieldError => ({ field: fieldError.path, message: fieldError.message }));
+    }
+  }
+
+  /**
+   * Import accounts (for admin purposes)
+   * Accounts are checked and saved one at a time; a failing account does not stop the others.
+   * Without invitations every account needs a password and gets a verification email, as after registration;
+   * with invitations none may have one, and each account gets an emailed link to set its password instead,
+   * which also verifies the address.
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {Array<Object>} records - Accounts from parseRecords()
+   * @param {Object} options - Import options
+   * @param {Function} options.validateRow - Runs the registration rules: row => { errors, data }
+   * @param {boolean} [options.dryRun] - Check every account without saving anything or sending email
+   * @param {boolean} [options.invite] - Send invitation emails instead of requiring passwords
+   * @param {Object} importedBy - { userId, userType } of the admin or API key importing
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - { message, dryRun, total, succeeded, failed, rows } with one report per account
+   */
+  static async importAccounts(userType, records, options, importedBy, context = {}) {
+    try {
+      const { validateRow, dryRun = false, invite = false } = options;
+      const Model = AccountService.getModel(userType);
+      const { invitationExpiresHours } = getSettings();
+      const seenEmails = new Set();
+      const rows = [];
+
+      for (const [index, record] of records.entries()) {
+        const { errors, data } = await validateRow(this.toAccountData(record, userType));
+        const report = { row: index + 1, email: data.email || null };
+
+        if (invite && data.password) {
+          errors.push({ field: 'password', message: 'Passwords cannot be imported when invitations are sent' });
+        }
+        if (!invite && !data.password) {
+          errors.push({ field: 'password', message: 'Password is required unless invitations are sent' });
+        }
+
+        // Two rows for the same address would otherwise pass the checks below in a dry run
+        if (data.email && seenEmails.has(String(data.email).toLowerCase())) {
+          errors.push({ field: 'email', message: 'Email address appears more than once in the import' });
+        }
+        if (data.email) {
+          seenEmails.add(String(data.email).toLowerCase());
+        }
+
+        // Invited accounts get a random password nobody knows until they set their own
+        const account = new Model({
+          ...data,
+          password: invite ? crypto.randomBytes(32).toString('hex') : data.password
+        });
+
+        if (errors.length === 0) {
+          errors.push(...await this.validateModel(account));
+        }
+        if (errors.length === 0 && await AccountService.isEmailTaken(account.email)) {
+          errors.push({ field: 'email', message: 'An account with this email already exists' });
+        }
+
+        if (errors.length > 0) {
+          rows.push({ ...report, status: 'failed', errors });
+          continue;
+        }
+
+        if (dryRun) {
+          rows.push({ ...report, status: 'valid' });
+          continue;
+        }
+
+        let invitationToken = null;
+        if (invite) {
+          // Invitations use the password reset token - only its hash is stored
+          invitationToken = crypto.randomBytes(32).toString('hex');
+          account.resetPasswordToken = TokenService.hashToken(invitationToken);
+          account.resetPasswordExpires = new Date(Date.now() + invitationExpiresHours * 60 * 60 * 1000);
+        }
+
+        try {
+          await AccountService.claimEmail(account.email, account._id, userType);
+          try {
+            await account.save();
+          } catch (saveError) {
+            await AccountService.releaseEmail(account.email, account._id);
+            throw saveError;
+          }
+        } catch (error) {
+          // Another registration may have taken the address since the check above
+          if (error.message !== 'An account with this email already exists') {
+            throw error;
+          }
+          rows.push({ ...report, status: 'failed', errors: [{ field: 'email', message: error.message }] });
+          continue;
+        }
+
+        await AuditService.record({
+          action: 'account.imported',
+          actor: importedBy,
+          target: { userId: account._id, userType },
+          metadata: { invited: invite }
+        }, context);
+
+        // Invitations verify the address when accepted; other accounts verify it like after registration
+        if (invitationToken) {
+          const invitationUrl = AuthService.buildPasswordResetUrl(invitationToken);
+          emailService.sendInvitationEmail(account, invitationUrl, invitationExpiresHours)
+            .catch(error => console.error('Failed to send invitation email:', error));
+        } else {
+          EmailVerificationService.sendVerificationEmail(account, userType)
+            .catch(error => console.error('Failed to send verification email:', error));
+        }
+
+        rows.push({ ...report, status: 'imported', id: account._id, invited: invite });
+      }
+
+      const failed = rows.filter(row => row.status === 'failed').length;
+
+      return {
+        message: dryRun ? 'Dry run completed - no accounts were created' : 'Import completed',
+        dryRun,
+        total: rows.length,
+        succeeded: rows.length - failed,
+        failed,
+        rows
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the AccountImportService class
+module.exports = AccountImportService;
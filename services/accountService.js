@@ -0,0 +1,207 @@
+/**
+ * Account Service
+ * Handles lookups that span both account types
+ * Maintains the shared email registry so each email address belongs to exactly one account
+ */
+
+const User = require('../models/User');
+const ServiceProvider = require('../models/ServiceProvider');
+const AccountEmail = require('../models/AccountEmail');
+const AccountStatusService = require('./accountStatusService');
+
+// Fields loaded for the account summaries shared with other services
+const SUMMARY_FIELDS = {
+  user: 'firstName lastName emailVerified phoneVerified status statusExpiresAt createdAt',
+  serviceProvider: 'firstName lastName emailVerified phoneVerified expertise status statusExpiresAt createdAt'
+};
+
+/**
+ * Account Service Class
+ * Contains all cross-account-type business logic
+ */
+class AccountService {
+
+  /**
+   * Get the model for an account type
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Object} - Mongoose model
+   */
+  static getModel(userType) {
+    return userType === 'serviceProvider' ? ServiceProvider : User;
+  }
+
+  /**
+   * Find the account registered with an email address
+   * Uses the email registry; addresses not yet migrated into the registry are looked up in
+   * both collections, and an address found in both is treated as unresolvable
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} - { user, userType }, or null if no single account matches
+   */
+  static async findByEmail(email) {
+    const normalisedEmail = String(email).toLowerCase().trim();
+    const entry = await AccountEmail.findOne({ email: normalisedEmail });
+
+    if (entry) {
+      const user = await this.getModel(entry.userType).findById(entry.userId);
+      return user ? { user, userType: entry.userType } : null;
+    }
+
+    // Fall back to the collections for accounts created before the registry existed
+    const [user, serviceProvider] = await Promise.all([
+      User.findOne({ email: normalisedEmail }),
+      ServiceProvider.findOne({ email: normalisedEmail })
+    ]);
+
+    if (user && serviceProvider) {
+      console.warn(`Email ${normalisedEmail} is registered as both a user and a service provider; ` +
+        'run the account email migration to resolve it');
+      return null;
+    }
+
+    if (user) {
+      return { user, userType: 'user' };
+    }
+
+    if (serviceProvider) {
+      return { user: serviceProvider, userType: 'serviceProvider' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the account holding an unexpired password reset token
+   * @param {string} tokenHash - SHA-256 hash of the reset token
+   * @returns {Promise<Object|null>} - { user, userType }, or null if no account holds the token
+   */
+  static async findByResetToken(tokenHash) {
+    const query = {
+      resetPasswordToken: tokenHash,
+      resetPasswordExpires: { $gt: Date.now() }
+    };
+
+    const [user, serviceProvider] = await Promise.all([
+      User.findOne(query),
+      ServiceProvider.findOne(query)
+    ]);
+
+    if (user) {
+      return { user, userType: 'user' };
+    }
+
+    if (serviceProvider) {
+      return { user: serviceProvider, userType: 'serviceProvider' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an email address is already used by any account
+   * @param {string} email - Email address
+   * @returns {Promise<boolean>} - True if the address is taken
+   */
+  static async isEmailTaken(email) {
+    const normalisedEmail = String(email).toLowerCase().trim();
+    const [entry, user, serviceProvider] = await Promise.all([
+      AccountEmail.exists({ email: normalisedEmail }),
+      User.exists({ email: normalisedEmail }),
+      ServiceProvider.exists({ email: normalisedEmail })
+    ]);
+
+    return Boolean(entry || user || serviceProvider);
+  }
+
+  /**
+   * Reserve an email address for an account in the shared registry
+   * The registry's unique index makes concurrent registrations with the same address fail
+   * @param {string} email - Email address
+   * @param {string} userId - ID of the owning account
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Promise<void>}
+   * @throws {Error} - If the address already belongs to another account
+   */
+  static async claimEmail(email, userId, userType) {
+    try {
+      if (await this.isEmailTaken(email)) {
+        throw new Error('An account with this email already exists');
+      }
+
+      await AccountEmail.create({ email, userId, userType });
+    } catch (error) {
+      // Handle MongoDB duplicate key errors from a concurrent claim
+      if (error.code === 11000) {
+        throw new Error('An account with this email already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Release an email address held by an account
+   * @param {string} email - Email address
+   * @param {string} userId - ID of the account releasing it
+   * @returns {Promise<void>}
+   */
+  static async releaseEmail(email, userId) {
+    await AccountEmail.deleteOne({ email: String(email).toLowerCase().trim(), userId });
+  }
+
+  /**
+   * Build the basic account info shared with other RepairO services
+   * Contact details and addresses are deliberately left out
+   * @param {Object} user - User or service provider document
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Object} - Account summary
+   */
+  static toSummary(user, userType) {
+    const summary = {
+      id: user._id,
+      userType,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      emailVerified: Boolean(user.emailVerified),
+      phoneVerified: Boolean(user.phoneVerified),
+      status: AccountStatusService.getEffectiveStatus(user),
+      createdAt: user.createdAt
+    };
+
+    if (userType === 'serviceProvider') {
+      summary.expertise = user.expertise;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Find many accounts by ID in one call
+   * @param {Array<string>} ids - Account IDs
+   * @param {string} [userType] - Limit the lookup to one account type; both types are searched if omitted
+   * @returns {Promise<Object>} - { accounts, notFound } with account summaries in request order
+   */
+  static async findSummariesByIds(ids, userType) {
+    try {
+      const uniqueIds = [...new Set(ids.map(String))];
+      const userTypes = userType ? [userType] : ['user', 'serviceProvider'];
+
+      // Only load the fields the summary exposes
+      const results = await Promise.all(userTypes.map(type =>
+        this.getModel(type)
+          .find({ _id: { $in: uniqueIds } }, SUMMARY_FIELDS[type])
+          .then(accounts => accounts.map(account => this.toSummary(account, type)))
+      ));
+
+      const found = new Map(results.flat().map(summary => [String(summary.id), summary]));
+
+      return {
+        accounts: uniqueIds.filter(id => found.has(id)).map(id => found.get(id)),
+        notFound: uniqueIds.filter(id => !found.has(id))
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the AccountService class
+module.exports = AccountService;
@@ -0,0 +1,194 @@
+/**
+ * Account Status Service
+ * Handles suspending, banning and reinstating users and service providers
+ * Suspended and banned accounts cannot log in or use their sessions; suspensions may end on their own
+ */
+
+const emailService = require('./emailService');
+const TokenService = require('./tokenService');
+const RoleService = require('./roleService');
+
+// Statuses an account can have
+const STATUSES = ['active', 'suspended', 'banned'];
+
+// Error code and message returned for each restricted status
+const RESTRICTIONS = {
+  suspended: { message: 'Your account has been suspended', code: 'ACCOUNT_SUSPENDED' },
+  banned: { message: 'Your account has been banned', code: 'ACCOUNT_BANNED' }
+};
+
+/**
+ * Account Status Service Class
+ * Contains all account status-related business logic
+ */
+class AccountStatusService {
+
+  /**
+   * Get all statuses an account can have
+   * @returns {Array<string>} - Status names
+   */
+  static getStatuses() {
+    return STATUSES;
+  }
+
+  /**
+   * Get the status currently in force for an account
+   * A suspension whose expiry has passed counts as active
+   * @param {Object} account - User or service provider document
+   * @returns {string} - 'active', 'suspended' or 'banned'
+   */
+  static getEffectiveStatus(account) {
+    const status = account.status || 'active';
+
+    if (status === 'suspended' && account.statusExpiresAt && account.statusExpiresAt <= new Date()) {
+      return 'active';
+    }
+
+    return status;
+  }
+
+  /**
+   * Describe why an account may not be used
+   * @param {Object} account - User or service provider document
+   * @returns {Object|null} - { message, code, status, reason, expiresAt }, or null if the account is active
+   */
+  static getRestriction(account) {
+    const status = this.getEffectiveStatus(account);
+    if (status === 'active') {
+      return null;
+    }
+
+    return {
+      ...RESTRICTIONS[status],
+      status,
+      reason: account.statusReason || null,
+      expiresAt: account.statusExpiresAt || null
+    };
+  }
+
+  /**
+   * Refuse the account if it is suspended or banned
+   * @param {Object} account - User or service provider document
+   * @throws {Error} - With an accountStatus property ({ code, status, reason, expiresAt }) if the
+   * account is suspended or banned
+   */
+  static assertActive(account) {
+    const restriction = this.getRestriction(account);
+    if (!restriction) {
+      return;
+    }
+
+    const { message, ...accountStatus } = restriction;
+    const error = new Error(message);
+    error.accountStatus = accountStatus;
+    throw error;
+  }
+
+  /**
+   * Get the MongoDB filter that leaves out suspended and banned accounts
+   * Accounts stored before statuses existed have no status and count as active
+   * @returns {Object} - MongoDB filter
+   */
+  static getActiveFilter() {
+    return {
+      $nor: [this.getStatusFilter('banned'), this.getStatusFilter('suspended')]
+    };
+  }
+
+  /**
+   * Get the MongoDB filter that matches accounts whose status is currently in force
+   * @param {string} status - 'active', 'suspended' or 'banned'
+   * @returns {Object} - MongoDB filter
+   */
+  static getStatusFilter(status) {
+    if (status === 'active') {
+      return this.getActiveFilter();
+    }
+    if (status === 'suspended') {
+      return { status: 'suspended', statusExpiresAt: { $not: { $lte: new Date() } } };
+    }
+    return { status };
+  }
+
+  /**
+   * Change the status of an account and notify its owner
+   * Suspending or banning signs the account out of every session
+   * @param {Object} account - User or service provider document
+   * @param {string} userType - Type of the account ('user' or 'serviceProvider')
+   * @param {Object} statusData - New status
+   * @param {string} statusData.status - 'active', 'suspended' or 'banned'
+   * @param {string} [statusData.reason] - Why the status was set
+   * @param {Date|string} [statusData.expiresAt] - When a suspension ends on its own
+   * @param {Object} setBy - { userId, userType, roles } of the admin, or { userId, userType: 'apiKey' } of the API key
+   * @returns {Promise<Object>} - Result with message and the account's status
+   * @throws {Error} - If the status is unknown, an expiry is given for anything but a suspension,
+   * admins try to change their own status, or the account has a staff role and the caller cannot manage roles
+   */
+  static async setStatus(account, userType, { status, reason, expiresAt }, setBy) {
+    try {
+      if (!STATUSES.includes(status)) {
+        throw new Error(`Unknown status: ${status}`);
+      }
+
+      if (expiresAt && status !== 'suspended') {
+        throw new Error('Only suspensions can have an expiry');
+      }
+
+      // Keep admins from locking themselves out
+      if (String(account._id) === String(setBy.userId) && userType === setBy.userType) {
+        throw new Error('You cannot change your own account status');
+      }
+
+      // Staff accounts can only be restricted by those who could remove their roles anyway -
+      // otherwise support staff, moderators or API keys could lock out an admin
+      if (account.roles && account.roles.length > 0 && !RoleService.hasPermission(setBy.roles, 'roles:manage')) {
+        throw new Error('Only accounts with the roles:manage permission can change the status of a staff account');
+      }
+
+      account.status = status;
+      account.statusReason = reason || null;
+      account.statusSetBy = setBy.userId;
+      account.statusSetByType = setBy.userType;
+      account.statusSetAt = new Date();
+      account.statusExpiresAt = expiresAt ? new Date(expiresAt) : null;
+
+      // End every session - the auth middleware would refuse them anyway, but refresh tokens
+      // must not outlive a suspension
+      if (status !== 'active') {
+        account.tokenVersion += 1;
+        await TokenService.revokeAllRefreshTokens(account._id);
+      }
+
+      await account.save();
+
+      emailService.sendAccountStatusEmail(account, this.getStatusDetails(account))
+        .catch(error => console.error('Failed to send account status email:', error));
+
+      return {
+        message: 'Account status updated successfully',
+        accountStatus: this.getStatusDetails(account)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status fields of an account
+   * @param {Object} account - User or service provider document
+   * @returns {Object} - { status, reason, setBy, setByType, setAt, expiresAt }
+   */
+  static getStatusDetails(account) {
+    return {
+      status: account.status || 'active',
+      reason: account.statusReason || null,
+      setBy: account.statusSetBy || null,
+      setByType: account.statusSetByType || null,
+      setAt: account.statusSetAt || null,
+      expiresAt: account.statusExpiresAt || null
+    };
+  }
+}
+
+// Export the AccountStatusService class
+module.exports = AccountStatusService;
@@ -0,0 +1,106 @@
+/**
+ * Account View Service
+ * Shapes users and service providers for API responses - a public provider card, the owner's profile and the admin view
+ * Every view is built from a whitelist of fields, so fields added to the models later stay private until listed here
+ */
+
+const AccountStatusService = require('./accountStatusService');
+
+// Fields the owner of an account sees on their own profile
+const PROFILE_FIELDS = {
+  user: [
+    '_id', 'firstName', 'lastName', 'email', 'pendingEmail', 'emailVerified', 'emailVerifiedAt',
+    'phoneNumber', 'phoneVerified', 'phoneVerifiedAt', 'address', 'postcode',
+    'twoFactorEnabled', 'roles', 'statusReason', 'statusExpiresAt', 'createdAt', 'updatedAt'
+  ],
+  serviceProvider: [
+    '_id', 'firstName', 'lastName', 'email', 'pendingEmail', 'emailVerified', 'emailVerifiedAt',
+    'phoneNumber', 'phoneVerified', 'phoneVerifiedAt', 'address', 'postcode', 'expertise', 'businessBio',
+    'twoFactorEnabled', 'roles', 'statusReason', 'statusExpiresAt', 'createdAt', 'updatedAt'
+  ]
+};
+
+// Fields admins see in addition to the profile - who set the account status and when
+const ADMIN_FIELDS = ['statusSetBy', 'statusSetByType', 'statusSetAt'];
+
+// Full UK postcode, capturing the outward code (e.g. 'SW1A' in 'SW1A 1AA')
+const UK_POSTCODE = /^([A-Z]{1,2}\d[A-Z\d]?)\s*\d[A-Z]{2}$/;
+
+/**
+ * Get the area shown on a public provider card - the outward code of the postcode
+ * The rest of the postcode narrows it down to a few streets, so it is never shown
+ * @param {string} postcode - Postcode
+ * @returns {string|null} - Outward code, e.g. 'SW1A', or null if the postcode is not a UK postcode
+ */
+const getPostcodeArea = (postcode) => {
+  const match = UK_POSTCODE.exec(String(postcode || '').trim().toUpperCase());
+  return match ? match[1] : null;
+};
+
+/**
+ * Copy the listed fields of an account
+ * @param {Object} account - User or service provider document
+ * @param {Array<string>} fields - Fields to copy
+ * @returns {Object} - Plain object with the fields that have a value
+ */
+const pick = (account, fields) => fields.reduce((view, field) => {
+  if (account[field] !== undefined) {
+    view[field] = account[field];
+  }
+  return view;
+}, {});
+
+/**
+ * Account View Service Class
+ * Contains all account response-shaping logic
+ */
+class AccountViewService {
+
+  /**
+   * Build the public card of a service provider, shown to anyone without signing in
+   * Contact details, the address and account state are left out
+   * @param {Object} serviceProvider - Service provider document
+   * @returns {Object} - { _id, firstName, lastName, expertise, businessBio, area }
+   */
+  static toPublicCard(serviceProvider) {
+    return {
+      _id: serviceProvider._id,
+      firstName: serviceProvider.firstName,
+      lastName: serviceProvider.lastName,
+      expertise: serviceProvider.expertise,
+      businessBio: serviceProvider.businessBio,
+      area: getPostcodeArea(serviceProvider.postcode)
+    };
+  }
+
+  /**
+   * Build the profile the owner of an account sees
+   * Passwords, tokens and two-factor secrets are never included
+   * @param {Object} account - User or service provider document
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Object} - Profile fields with the status in force
+   */
+  static toOwnerProfile(account, userType) {
+    return {
+      ...pick(account, PROFILE_FIELDS[userType]),
+      status: AccountStatusService.getEffectiveStatus(account)
+    };
+  }
+
+  /**
+   * Build the view admins see of an account
+   * The owner's profile plus who set the account status and when
+   * @param {Object} account - User or service provider document
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Object} - Admin view of the account
+   */
+  static toAdminView(account, userType) {
+    return {
+      ...this.toOwnerProfile(account, userType),
+      ...pick(account, ADMIN_FIELDS)
+    };
+  }
+}
+
+// Export the AccountViewService class
+module.exports = AccountViewService;
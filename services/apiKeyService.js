@@ -0,0 +1,161 @@
+/**
+ * API Key Service
+ * Handles creation, listing, revocation and authentication of API keys
+ * API keys let backend jobs and other services call the API without a user login
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const TokenService = require('./tokenService');
+const AuditService = require('./auditService');
+
+// Marks a bearer credential as an API key rather than a JWT
+const KEY_PREFIX = 'rpk_';
+
+// Scopes an API key can be granted
+const SCOPES = [
+  'users:read',
+  'users:write',
+  'providers:read',
+  'providers:write',
+  'audit:read',
+  'stats:read'
+];
+
+// Only record lastUsedAt once per interval to avoid a write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * API Key Service Class
+ * Contains all API key-related business logic
+ */
+class ApiKeyService {
+
+  /**
+   * Get all scopes an API key can be granted
+   * @returns {Array<string>} - Scope names
+   */
+  static getScopes() {
+    return SCOPES;
+  }
+
+  /**
+   * Check whether a bearer credential looks like an API key
+   * @param {string} credential - Value from the Authorization or X-API-Key header
+   * @returns {boolean} - True if the value has the API key prefix
+   */
+  static isApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create a new API key
+   * @param {Object} keyData - { name, scopes, expiresAt? }
+   * @param {Object} createdBy - { userId, userType } of the admin creating the key
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message, key details and the plaintext key
+   */
+  static async createApiKey(keyData, createdBy, context = {}) {
+    try {
+      const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+      const apiKey = new ApiKey({
+        name: keyData.name,
+        prefix: key.slice(0, KEY_PREFIX.length + 8),
+        keyHash: TokenService.hashToken(key),
+        scopes: [...new Set(keyData.scopes)],
+        expiresAt: keyData.expiresAt || null,
+        createdBy
+      });
+      await apiKey.save();
+
+      await AuditService.record({
+        action: 'api_key.created',
+        actor: createdBy,
+        target: { userId: apiKey._id, userType: 'apiKey' },
+        metadata: { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+      }, context);
+
+      return {
+        message: 'API key created successfully. Store the key now - it will not be shown again',
+        apiKey: apiKey.toJSON(),
+        key
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all API keys, newest first
+   * @returns {Promise<Array>} - API keys without their hashes
+   */
+  static async getAllApiKeys() {
+    try {
+      return await ApiKey.find({}).select('-keyHash').sort({ createdAt: -1 });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} apiKeyId - ID of the key
+   * @param {Object} revokedBy - { userId, userType } of the admin revoking the key
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Success message
+   * @throws {Error} - If the key is not found
+   */
+  static async revokeApiKey(apiKeyId, revokedBy, context = {}) {
+    try {
+      const apiKey = await ApiKey.findById(apiKeyId);
+
+      if (!apiKey) {
+        throw new Error('API key not found');
+      }
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+
+        await AuditService.record({
+          action: 'api_key.revoked',
+          actor: revokedBy,
+          target: { userId: apiKey._id, userType: 'apiKey' },
+          metadata: { name: apiKey.name }
+        }, context);
+      }
+
+      return { message: 'API key revoked successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active API key for a presented key
+   * @param {string} key - Plaintext API key
+   * @returns {Promise<Object|null>} - API key document, or null if unknown, revoked or expired
+   */
+  static async authenticate(key) {
+    try {
+      const apiKey = await ApiKey.findOne({ keyHash: TokenService.hashToken(key) });
+
+      if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+        return null;
+      }
+
+      // Record usage so admins can spot unused keys
+      if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+      }
+
+      return apiKey;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the ApiKeyService class
+module.exports = ApiKeyService;
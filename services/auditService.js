@@ -0,0 +1,229 @@
+/**
+ * Audit Service
+ * Records who changed what on accounts, sessions and API keys, and serves the audit log to admins
+ * Entries are append-only; personal data in changed fields is redacted before it is stored
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const PaginationService = require('./paginationService');
+
+// Every action that is recorded
+const ACTIONS = [
+  'account.registered',
+  'account.imported',
+  'account.deleted',
+  'profile.updated',
+  'login.succeeded',
+  'login.failed',
+  'password.changed',
+  'password.reset',
+  'email.change_confirmed',
+  'email.change_reverted',
+  'two_factor.enabled',
+  'two_factor.disabled',
+  'passkey.registered',
+  'passkey.removed',
+  'sessions.revoked',
+  'account.unlocked',
+  'roles.updated',
+  'status.updated',
+  'accounts.exported',
+  'api_key.created',
+  'api_key.revoked'
+];
+
+// Fields whose values are personal data - only the fact that they changed is recorded
+const REDACTED_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'pendingEmail',
+  'phoneNumber',
+  'address',
+  'postcode',
+  'password'
+];
+
+// Value stored in place of redacted data
+const REDACTED = '[REDACTED]';
+
+// Longest User-Agent header stored
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Convert a field value to something that can be compared and stored
+ * @param {*} value - Field value from a document
+ * @returns {*} - Plain JSON value
+ */
+const toPlainValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Audit Service Class
+ * Contains all audit log-related business logic
+ */
+class AuditService {
+
+  /**
+   * Get every action that is recorded
+   * @returns {Array<string>} - Action names
+   */
+  static getActions() {
+    return ACTIONS;
+  }
+
+  /**
+   * Describe the changes between two versions of a document
+   * Unchanged fields are left out; personal data is replaced by a placeholder
+   * @param {Object} before - Document or object before the change
+   * @param {Object} after - Document or object after the change
+   * @param {Array<string>} fields - Fields to compare
+   * @returns {Array<Object>} - Changes as { field, from, to }
+   */
+  static diff(before, after, fields) {
+    return fields
+      .map(field => ({ field, from: toPlainValue(before[field]), to: toPlainValue(after[field]) }))
+      .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to))
+      .map(change => (REDACTED_FIELDS.includes(change.field)
+        ? { field: change.field, from: REDACTED, to: REDACTED }
+        : change));
+  }
+
+  /**
+   * Record an action
+   * Never throws - a failed audit write must not undo or fail the action itself
+   * @param {Object} entry - The action to record
+   * @param {string} entry.action - One of the recorded actions, e.g. 'profile.updated'
+   * @param {Object} [entry.actor] - { userId, userType } of the account or API key performing the action
+   * @param {Object} [entry.target] - { userId, userType } of the account or API key acted on
+   * @param {Array<Object>} [entry.changes] - Changes from diff()
+   * @param {Object} [entry.metadata] - Extra details - must not contain personal data
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client User-Agent header
+   * @returns {Promise<Object|null>} - The recorded entry, or null if it could not be recorded
+   */
+  static async record({ action, actor, target, changes = [], metadata = {} }, context = {}) {
+    try {
+      return await AuditLog.create({
+        action,
+        actorId: actor ? actor.userId : null,
+        actorType: actor ? actor.userType : null,
+        targetId: target ? target.userId : null,
+        targetType: target ? target.userType : null,
+        changes,
+        metadata,
+        ip: context.ip || null,
+        userAgent: context.userAgent ? String(context.userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null
+      });
+    } catch (error) {
+      console.error(`Failed to record audit log entry ${action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the MongoDB filter for an audit log query
+   * @param {Object} filters - Query filters
+   * @param {string} [filters.actorId] - Only entries by this account or API key
+   * @param {string} [filters.actorType] - Only entries by this kind of actor
+   * @param {string} [filters.targetId] - Only entries about this account or API key
+   * @param {string} [filters.targetType] - Only entries about this kind of target
+   * @param {Array<string>} [filters.action] - Only entries with one of these actions
+   * @param {Date} [filters.from] - Only entries created at or after this date
+   * @param {Date} [filters.to] - Only entries created at or before this date
+   * @returns {Object} - MongoDB filter
+   */
+  static buildFilter({ actorId, actorType, targetId, targetType, action, from, to } = {}) {
+    const filter = {};
+
+    if (actorId) {
+      filter.actorId = new mongoose.Types.ObjectId(actorId);
+    }
+    if (actorType) {
+      filter.actorType = actorType;
+    }
+    if (targetId) {
+      filter.targetId = new mongoose.Types.ObjectId(targetId);
+    }
+    if (targetType) {
+      filter.targetType = targetType;
+    }
+    if (action && action.length > 0) {
+      filter.action = { $in: [].concat(action) };
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        filter.createdAt.$lte = new Date(to);
+      }
+    }
+
+    return filter;
+  }
+
+  /**
+   * Find one page of audit log entries, newest first
+   * @param {Object} filter - MongoDB filter
+   * @param {Object} options - Paging options ({ page, limit })
+   * @returns {Promise<Object>} - { entries, pagination: { page, limit, total, totalPages } }
+   */
+  static async findPage(filter, options) {
+    const page = PaginationService.getPage(options);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(page.skip)
+        .limit(page.limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return { entries, pagination: PaginationService.buildPagination(page, total) };
+  }
+
+  /**
+   * Query the audit log (for admin purposes)
+   * @param {Object} [options] - Filters from buildFilter() and paging options ({ page, limit })
+   * @returns {Promise<Object>} - { auditLogs, pagination: { page, limit, total, totalPages } }
+   */
+  static async getAuditLogs(options = {}) {
+    try {
+      const { entries, pagination } = await this.findPage(this.buildFilter(options), options);
+      return { auditLogs: entries, pagination };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the activity of an account - everything it did and everything done to it
+   * @param {Object} accountId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {Object} [options] - Action and date filters from buildFilter() and paging options
+   * @returns {Promise<Object>} - { activity, pagination: { page, limit, total, totalPages } }
+   */
+  static async getActivity(accountId, userType, options = {}) {
+    try {
+      const { action, from, to } = options;
+      const filter = {
+        ...this.buildFilter({ action, from, to }),
+        $or: [
+          { actorId: accountId, actorType: userType },
+          { targetId: accountId, targetType: userType }
+        ]
+      };
+
+      const { entries, pagination } = await this.findPage(filter, options);
+      return { activity: entries, pagination };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the AuditService class
+module.exports = AuditService;
@@ -4,11 +4,81 @@
  * Manages JWT token generation and user verification
  */
 
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const ServiceProvider = require('../models/ServiceProvider');
 const emailService = require('./emailService');
+const TokenService = require('./tokenService');
+const EmailVerificationService = require('./emailVerificationService');
+const TwoFactorService = require('./twoFactorService');
+const LoginThrottleService = require('./loginThrottleService');
+const PasswordPolicyService = require('./passwordPolicyService');
+const AccountService = require('./accountService');
+const KeyService = require('./keyService');
+const RateLimitService = require('./rateLimitService');
+const LoginHistoryService = require('./loginHistoryService');
+const AccountStatusService = require('./accountStatusService');
+const AuditService = require('./auditService');
+const AccountViewService = require('./accountViewService');
+
+// Hash compared against when no account matches, so unknown emails take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('repairo-dummy-password', 10);
+
+// Responses that are identical whether or not an account exists for the email address
+const USER_REGISTERED_MESSAGE = 'User registered successfully. Please check your email to verify your account';
+const PROVIDER_REGISTERED_MESSAGE =
+  'Service provider registered successfully. Please check your email to verify your account';
+const PASSWORD_RESET_REQUESTED_MESSAGE =
+  'If an account exists for this email address, a password reset link has been sent';
+const MAGIC_LINK_REQUESTED_MESSAGE =
+  'If an account that can use magic links exists for this email address, a login link has been sent';
+
+// Purpose claim that distinguishes magic link tokens from access tokens
+const MAGIC_LINK_PURPOSE = 'magic-link';
+
+/**
+ * Read the forgot password throttling settings from environment variables
+ * @returns {Object} - Throttling settings
+ */
+const getPasswordResetLimits = () => ({
+  // Reset emails per address per window - further requests are silently dropped
+  maxPerEmail: parseInt(process.env.FORGOT_PASSWORD_MAX_PER_EMAIL, 10) || 3,
+  // Reset requests per client IP per window - further requests are refused
+  maxPerIp: parseInt(process.env.FORGOT_PASSWORD_MAX_PER_IP, 10) || 20,
+  // Window length in milliseconds
+  windowMs: (parseInt(process.env.FORGOT_PASSWORD_WINDOW_MINUTES, 10) || 60) * 60 * 1000
+});
+
+/**
+ * Read the magic link settings from environment variables
+ * @returns {Object} - Magic link settings
+ */
+const getMagicLinkSettings = () => ({
+  // Account types allowed to log in with a magic link, e.g. "user" or "user,serviceProvider"
+  accountTypes: (process.env.MAGIC_LINK_ACCOUNT_TYPES || '')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean),
+  // Minutes until a link expires
+  expiresMinutes: parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES, 10) || 15,
+  // Links per address per window - further requests are silently dropped
+  maxPerEmail: parseInt(process.env.MAGIC_LINK_MAX_PER_EMAIL, 10) || 3,
+  // Link requests per client IP per window - further requests are refused
+  maxPerIp: parseInt(process.env.MAGIC_LINK_MAX_PER_IP, 10) || 20,
+  // Window length in milliseconds
+  windowMs: (parseInt(process.env.MAGIC_LINK_WINDOW_MINUTES, 10) || 60) * 60 * 1000
+});
+
+/**
+ * Send an email without holding up the response
+ * Keeps response times the same whether or not an email goes out, and however slow SMTP is
+ * @param {Promise} sending - Pending email send
+ * @param {string} description - Email description for the error log
+ */
+const sendInBackground = (sending, description) => {
+  sending.catch((error) => console.error(`Failed to send ${description}:`, error));
+};
 
 /**
  * Authentication Service Class
@@ -17,18 +87,42 @@ const emailService = require('./emailService');
 class AuthService {
   
   /**
-   * Generate JWT token for authenticated users
-   * @param {string} userId - The user's ID to encode in the token
+   * Generate short-lived JWT access token for authenticated users
+   * Each token carries a unique ID (jti), the account type and the account's current token version
+   * Signed with the shared secret or the active asymmetric key, depending on JWT_ALGORITHM
+   * @param {Object} user - User or service provider document to encode in the token
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
    * @returns {string} - JWT token string
    */
-  static generateToken(userId) {
-    return jwt.sign(
-      { userId },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+  static generateToken(user, userType) {
+    return KeyService.sign(
+      { userId: user._id, userType, tokenVersion: user.tokenVersion || 0 },
+      {
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+        jwtid: crypto.randomUUID()
+      }
     );
   }
 
+  /**
+   * Start a new session - issue an access token and a refresh token
+   * @param {Object} user - Authenticated user or service provider document
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Promise<Object>} - Access token, refresh token, user type and account data
+   */
+  static async createSession(user, userType) {
+    const token = this.generateToken(user, userType);
+    const { refreshToken } = await TokenService.issueRefreshToken(user._id, userType);
+
+    // Return tokens, user type, and the owner's view of the account
+    return {
+      token,
+      refreshToken,
+      userType,
+      [userType]: AccountViewService.toOwnerProfile(user, userType)
+    };
+  }
+
   /**
    * Register a new user in the system
    * @param {Object} userData - User registration data
@@ -39,38 +133,42 @@ class AuthService {
    * @param {string} userData.phoneNumber - User's phone number
    * @param {string} userData.address - User's address
    * @param {string} userData.postcode - User's postcode
-   * @returns {Promise<Object>} - Registration result with message and userId
-   * @throws {Error} - If user already exists or validation fails
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Registration result with message - the same whether or not the email is taken
+   * @throws {Error} - If validation fails
    */
-  static async registerUser(userData) {
+  static async registerUser(userData, context = {}) {
     try {
-      // Check if user with this email already exists
-      const existingUser = await User.findOne({ email: userData.email });
-      if (existingUser) {
-        throw new Error('User with this email already exists');
-      }
-
-      // Create new user instance and save to database
-      const user = new User(userData);
-      await user.save();
+      // Create new user instance from the registration fields only
+      const { firstName, lastName, email, password, phoneNumber, address, postcode } = userData;
+      const user = new User({ firstName, lastName, email, password, phoneNumber, address, postcode });
 
-      // Send welcome email
+      // Reserve the email address across users and service providers, then save to database
+      await AccountService.claimEmail(user.email, user._id, 'user');
       try {
-        await emailService.sendWelcomeEmail(user);
-      } catch (emailError) {
-        console.error('Failed to send welcome email:', emailError);
-        // Don't fail registration if email fails
+        await user.save();
+      } catch (saveError) {
+        await AccountService.releaseEmail(user.email, user._id);
+        throw saveError;
       }
 
+      const account = { userId: user._id, userType: 'user' };
+      await AuditService.record({ action: 'account.registered', actor: account, target: account }, context);
+
+      // Send email verification link
+      sendInBackground(EmailVerificationService.sendVerificationEmail(user, 'user'), 'verification email');
+
       // Return success response
       return {
-        message: 'User registered successfully',
-        userId: user._id
+        message: USER_REGISTERED_MESSAGE
       };
     } catch (error) {
-      // Handle MongoDB duplicate key errors
-      if (error.code === 11000) {
-        throw new Error('User with this email already exists');
+      // An existing account gets a notice instead of an error, so registration cannot reveal it
+      if (error.code === 11000 || error.message === 'An account with this email already exists') {
+        await this.handleDuplicateRegistration(userData.email, userData.password);
+        return {
+          message: USER_REGISTERED_MESSAGE
+        };
       }
       throw error;
     }
@@ -88,81 +186,518 @@ class AuthService {
    * @param {string} providerData.postcode - Provider's postcode
    * @param {Array<string>} providerData.expertise - Provider's expertise categories
    * @param {string} providerData.businessBio - Provider's business description
-   * @returns {Promise<Object>} - Registration result with message and serviceProviderId
-   * @throws {Error} - If service provider already exists or validation fails
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Registration result with message - the same whether or not the email is taken
+   * @throws {Error} - If validation fails
    */
-  static async registerServiceProvider(providerData) {
+  static async registerServiceProvider(providerData, context = {}) {
     try {
-      // Check if service provider with this email already exists
-      const existingProvider = await ServiceProvider.findOne({ email: providerData.email });
-      if (existingProvider) {
-        throw new Error('Service provider with this email already exists');
-      }
-
-      // Create new service provider instance and save to database
-      const serviceProvider = new ServiceProvider(providerData);
-      await serviceProvider.save();
+      // Create new service provider instance from the registration fields only
+      const {
+        firstName, lastName, email, password, phoneNumber, address, postcode, expertise, businessBio
+      } = providerData;
+      const serviceProvider = new ServiceProvider({
+        firstName, lastName, email, password, phoneNumber, address, postcode, expertise, businessBio
+      });
 
-      // Send welcome email
+      // Reserve the email address across users and service providers, then save to database
+      await AccountService.claimEmail(serviceProvider.email, serviceProvider._id, 'serviceProvider');
       try {
-        await emailService.sendWelcomeEmail(serviceProvider);
-      } catch (emailError) {
-        console.error('Failed to send welcome email:', emailError);
-        // Don't fail registration if email fails
+        await serviceProvider.save();
+      } catch (saveError) {
+        await AccountService.releaseEmail(serviceProvider.email, serviceProvider._id);
+        throw saveError;
       }
 
+      const account = { userId: serviceProvider._id, userType: 'serviceProvider' };
+      await AuditService.record({ action: 'account.registered', actor: account, target: account }, context);
+
+      // Send email verification link
+      sendInBackground(
+        EmailVerificationService.sendVerificationEmail(serviceProvider, 'serviceProvider'),
+        'verification email'
+      );
+
       // Return success response
       return {
-        message: 'Service provider registered successfully',
-        serviceProviderId: serviceProvider._id
+        message: PROVIDER_REGISTERED_MESSAGE
       };
     } catch (error) {
-      // Handle MongoDB duplicate key errors
-      if (error.code === 11000) {
-        throw new Error('Service provider with this email already exists');
+      // An existing account gets a notice instead of an error, so registration cannot reveal it
+      if (error.code === 11000 || error.message === 'An account with this email already exists') {
+        await this.handleDuplicateRegistration(providerData.email, providerData.password);
+        return {
+          message: PROVIDER_REGISTERED_MESSAGE
+        };
       }
       throw error;
     }
   }
 
+  /**
+   * Handle a registration attempt for an email address that already has an account
+   * Tells the owner by email and spends the same hashing time as a real registration
+   * @param {string} email - Email address used to register
+   * @param {string} password - Password sent with the registration
+   * @returns {Promise<void>}
+   */
+  static async handleDuplicateRegistration(email, password) {
+    // Match the cost of hashing the new account's password
+    await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+
+    const account = await AccountService.findByEmail(email);
+    if (account) {
+      sendInBackground(emailService.sendAccountExistsEmail(account.user), 'account exists email');
+    }
+  }
+
   /**
    * Authenticate user or service provider login
+   * Accounts with 2FA enabled receive a short-lived challenge token instead of a session
+   * Repeated failures are throttled per account and per client IP
    * @param {string} email - User's email address
    * @param {string} password - User's password
-   * @returns {Promise<Object>} - Login result with token and user/serviceProvider data
-   * @throws {Error} - If credentials are invalid
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client User-Agent header
+   * @returns {Promise<Object>} - Login result with tokens and user/serviceProvider data,
+   *   or { twoFactorRequired, challengeToken } when a second factor is needed
+   * @throws {Error} - If credentials are invalid, the attempt is throttled or the account is
+   * suspended or banned
    */
-  static async login(email, password) {
+  static async login(email, password, context = {}) {
+    let account = null;
     try {
-      // Try to find user in users collection first
-      let user = await User.findOne({ email });
-      let userType = 'user';
+      // Refuse the attempt while the account or client IP is throttled
+      await LoginThrottleService.assertAllowed(email, context.ip);
 
-      // If not found in users, try service providers collection
-      if (!user) {
-        user = await ServiceProvider.findOne({ email });
-        userType = 'serviceProvider';
-      }
+      // Find the single account registered with this email
+      account = await AccountService.findByEmail(email);
 
-      // If no user found in either collection, throw error
-      if (!user) {
+      // If no account found, fail the same way as a wrong password
+      if (!account) {
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        await this.handleFailedLogin(email, null, context);
         throw new Error('Invalid email or password');
       }
+      const { user, userType } = account;
 
       // Verify password using bcrypt comparison
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
+        await this.handleFailedLogin(email, user, context);
         throw new Error('Invalid email or password');
       }
 
-      // Generate JWT token for successful authentication
-      const token = this.generateToken(user._id);
+      // Apply the unverified account policy
+      if (!user.emailVerified && !EmailVerificationService.getPolicy().allowLogin) {
+        throw new Error('Please verify your email address before logging in');
+      }
+
+      // Require the second factor before issuing any session tokens
+      if (user.twoFactorEnabled) {
+        return await this.startTwoFactorLogin(user, userType, 'password', context);
+      }
+
+      // Issue access and refresh tokens for successful authentication
+      return await this.completeLogin(user, userType, 'password', context);
+    } catch (error) {
+      await LoginHistoryService.recordAttempt(
+        { method: 'password', outcome: 'failure', email, ...account, failureReason: error.message },
+        context
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a two-step login with the second factor
+   * Wrong codes count as failed login attempts for the account
+   * @param {string} challengeToken - Challenge token returned by the password step
+   * @param {Object} credentials - Second factor supplied by the user
+   * @param {string} [credentials.code] - TOTP code from the authenticator app
+   * @param {string} [credentials.recoveryCode] - One-time recovery code
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client User-Agent header
+   * @returns {Promise<Object>} - Login result with tokens and user/serviceProvider data
+   * @throws {Error} - If the challenge or the second factor is invalid or the attempt is throttled
+   */
+  static async loginWithTwoFactor(challengeToken, credentials, context = {}) {
+    let account = null;
+    try {
+      account = await TwoFactorService.decodeChallenge(challengeToken);
+      const { user, userType } = account;
+
+      // Refuse the attempt while the account or client IP is throttled
+      await LoginThrottleService.assertAllowed(user.email, context.ip);
+
+      if (!(await TwoFactorService.verifySecondFactor(user, userType, credentials))) {
+        await this.handleFailedLogin(user.email, user, context);
+        throw new Error('Invalid two-factor code');
+      }
+
+      // Issue access and refresh tokens for successful authentication
+      return await this.completeLogin(user, userType, 'two_factor', context);
+    } catch (error) {
+      // Invalid challenges belong to no known account and are not recorded
+      if (account) {
+        await LoginHistoryService.recordAttempt(
+          { method: 'two_factor', outcome: 'failure', ...account, failureReason: error.message },
+          context
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a successful login - clear the failure counter, record the login and start a session
+   * @param {Object} user - Authenticated user or service provider document
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {string} method - Login method ('password', 'two_factor', 'magic_link' or 'passkey')
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Access token, refresh token, user type and account data
+   * @throws {Error} - With an accountStatus property if the account is suspended or banned
+   */
+  static async completeLogin(user, userType, method, context = {}) {
+    // Checked only once the credentials are proven, so the status is not revealed to others
+    AccountStatusService.assertActive(user);
+
+    await LoginThrottleService.recordSuccess(user.email);
+    await LoginHistoryService.recordAttempt({ method, outcome: 'success', user, userType }, context);
+    return this.createSession(user, userType);
+  }
+
+  /**
+   * Ask for the second factor instead of starting a session
+   * @param {Object} user - User or service provider document with 2FA enabled
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {string} method - Method used for the first step ('password', 'magic_link' or 'passkey')
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - { twoFactorRequired, challengeToken }
+   * @throws {Error} - With an accountStatus property if the account is suspended or banned
+   */
+  static async startTwoFactorLogin(user, userType, method, context = {}) {
+    AccountStatusService.assertActive(user);
+
+    await LoginHistoryService.recordAttempt({ method, outcome: 'two_factor_required', user, userType }, context);
+    return {
+      twoFactorRequired: true,
+      challengeToken: TwoFactorService.generateChallengeToken(user, userType)
+    };
+  }
+
+  /**
+   * Check whether an account type may log in with a magic link
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {boolean} - True if MAGIC_LINK_ACCOUNT_TYPES includes the account type
+   */
+  static isMagicLinkEnabled(userType) {
+    return getMagicLinkSettings().accountTypes.includes(userType);
+  }
+
+  /**
+   * Build the link sent in magic link emails
+   * Falls back to the API root when MAGIC_LINK_URL is not set
+   * @param {string} token - Signed magic link token
+   * @returns {string} - Login URL with the token in the query string
+   */
+  static buildMagicLinkUrl(token) {
+    const loginUrl = process.env.MAGIC_LINK_URL
+      ? new URL(process.env.MAGIC_LINK_URL)
+      : new URL(`${process.env.API_URL || 'http://localhost:3000'}?magicLink=true`);
+
+    loginUrl.searchParams.set('token', token);
+    return loginUrl.toString();
+  }
+
+  /**
+   * Email a single-use login link
+   * Always returns the same response so it cannot be used to discover accounts or their type
+   * @param {string} email - Email address the link is requested for
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @returns {Promise<Object>} - Result with message
+   * @throws {Error} - If magic links are turned off for every account type, or with a retryAfter
+   * property (seconds) if the client IP sent too many requests
+   */
+  static async requestMagicLink(email, context = {}) {
+    try {
+      const { accountTypes, expiresMinutes, maxPerEmail, maxPerIp, windowMs } = getMagicLinkSettings();
+
+      if (accountTypes.length === 0) {
+        throw new Error('Magic link login is not enabled');
+      }
+
+      const normalisedEmail = String(email).toLowerCase().trim();
+
+      // Refuse clients that keep requesting links, whichever addresses they use
+      if (context.ip) {
+        const ipLimit = await RateLimitService.hit(`magic-link:ip:${context.ip}`, maxPerIp, windowMs);
+        if (!ipLimit.allowed) {
+          const error = new Error('Too many login link requests. Please try again later.');
+          error.retryAfter = ipLimit.retryAfter;
+          throw error;
+        }
+      }
+
+      // Stop sending to an address that keeps being targeted, without changing the response
+      const emailLimit = await RateLimitService.hit(`magic-link:email:${normalisedEmail}`, maxPerEmail, windowMs);
+      if (!emailLimit.allowed) {
+        return {
+          message: MAGIC_LINK_REQUESTED_MESSAGE
+        };
+      }
+
+      // Only accounts of an enabled type get a link
+      const account = await AccountService.findByEmail(normalisedEmail);
+      if (!account || !this.isMagicLinkEnabled(account.userType)) {
+        return {
+          message: MAGIC_LINK_REQUESTED_MESSAGE
+        };
+      }
+      const { user, userType } = account;
+
+      // The link is tied to the address and token version, so an email change or
+      // signing out everywhere invalidates links that are still unused
+      const token = KeyService.signPurposeToken(
+        {
+          userId: user._id,
+          userType,
+          email: user.email,
+          tokenVersion: user.tokenVersion || 0,
+          purpose: MAGIC_LINK_PURPOSE
+        },
+        { expiresIn: expiresMinutes * 60, jwtid: crypto.randomUUID() }
+      );
+
+      sendInBackground(
+        emailService.sendMagicLinkEmail(user, this.buildMagicLinkUrl(token), expiresMinutes),
+        'magic link email'
+      );
 
-      // Return token, user type, and user data (password excluded via toJSON method)
       return {
-        token,
+        message: MAGIC_LINK_REQUESTED_MESSAGE
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Log in with a magic link
+   * Each link works once. Opening it proves the account owns the address, so the email is marked
+   * verified; accounts with two-factor authentication still have to pass the second step
+   * @param {string} token - Token from the emailed link
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client User-Agent header
+   * @returns {Promise<Object>} - Login result with tokens and user/serviceProvider data, or a
+   * two-factor challenge
+   * @throws {Error} - If the link is invalid, expired or already used, or the attempt is throttled
+   */
+  static async loginWithMagicLink(token, context = {}) {
+    let account = null;
+    try {
+      let decoded;
+      try {
+        decoded = KeyService.verifyPurposeToken(token);
+      } catch (jwtError) {
+        throw new Error('Invalid or expired login link');
+      }
+
+      if (decoded.purpose !== MAGIC_LINK_PURPOSE || !decoded.jti || !this.isMagicLinkEnabled(decoded.userType)) {
+        throw new Error('Invalid or expired login link');
+      }
+
+      const user = await AccountService.getModel(decoded.userType).findById(decoded.userId);
+      if (!user || user.email !== decoded.email || (user.tokenVersion || 0) !== decoded.tokenVersion) {
+        throw new Error('Invalid or expired login link');
+      }
+      const { userType } = decoded;
+      account = { user, userType };
+
+      // Refuse the attempt while the account or client IP is throttled
+      await LoginThrottleService.assertAllowed(user.email, context.ip);
+
+      // Use up the link before anything else so it cannot be replayed
+      if (!(await TokenService.consumeSingleUseToken(decoded.jti, decoded.exp))) {
+        throw new Error('Invalid or expired login link');
+      }
+
+      // The link was delivered to the address, which proves the account owns it
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+
+      // Require the second factor before issuing any session tokens
+      if (user.twoFactorEnabled) {
+        return await this.startTwoFactorLogin(user, userType, 'magic_link', context);
+      }
+
+      // Issue access and refresh tokens for successful authentication
+      return await this.completeLogin(user, userType, 'magic_link', context);
+    } catch (error) {
+      // Links that do not resolve to an account are not recorded
+      if (account) {
+        await LoginHistoryService.recordAttempt(
+          { method: 'magic_link', outcome: 'failure', ...account, failureReason: error.message },
+          context
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed login attempt and notify the owner if the account just got locked
+   * @param {string} email - Email address used to log in
+   * @param {Object|null} user - Matching account, or null if no account exists
+   * @param {Object} context - Request context with the client IP
+   * @returns {Promise<void>}
+   */
+  static async handleFailedLogin(email, user, context) {
+    const { accountLockedUntil } = await LoginThrottleService.recordFailure(email, context.ip);
+
+    if (accountLockedUntil && user) {
+      try {
+        await emailService.sendAccountLockedEmail(user, accountLockedUntil);
+      } catch (emailError) {
+        console.error('Failed to send account locked email:', emailError);
+        // Don't fail the login response if email fails
+      }
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a rotated refresh token
+   * @param {string} refreshToken - Refresh token issued at login or by a previous refresh
+   * @returns {Promise<Object>} - New access token, new refresh token and user type
+   * @throws {Error} - If the refresh token is invalid, expired or reused, or the account is
+   * suspended or banned
+   */
+  static async refreshSession(refreshToken) {
+    try {
+      // Rotate the refresh token - reuse of a rotated token revokes its family
+      const rotated = await TokenService.rotateRefreshToken(refreshToken);
+
+      // Make sure the account still exists before issuing a new access token
+      const user = await AccountService.getModel(rotated.userType).findById(rotated.userId);
+      if (!user) {
+        throw new Error('Invalid or expired refresh token');
+      }
+
+      // Suspended and banned accounts cannot renew their sessions
+      AccountStatusService.assertActive(user);
+
+      return {
+        token: this.generateToken(user, rotated.userType),
+        refreshToken: rotated.refreshToken,
+        userType: rotated.userType
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Log out the current session
+   * Revokes the presented access token and, if given, the session's refresh token family
+   * @param {Object} decodedToken - Decoded access token of the current request
+   * @param {string} [refreshToken] - Refresh token belonging to the same session
+   * @returns {Promise<Object>} - Result with message
+   */
+  static async logout(decodedToken, refreshToken) {
+    try {
+      // Deny-list the access token until it would have expired anyway
+      await TokenService.revokeAccessToken(decodedToken.jti, decodedToken.exp);
+
+      // Revoke the refresh token family so the session cannot be renewed
+      if (refreshToken) {
+        await TokenService.revokeRefreshToken(refreshToken, decodedToken.userId);
+      }
+
+      return {
+        message: 'Logged out successfully'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of an account
+   * Bumps the token version so all issued access tokens fail verification
+   * and revokes all refresh tokens. Used by logout-all, password resets and admin actions.
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message
+   */
+  static async revokeAllSessions(userId, userType, context = {}) {
+    try {
+      await AccountService.getModel(userType).updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+      await TokenService.revokeAllRefreshTokens(userId);
+
+      const account = { userId, userType };
+      await AuditService.record({ action: 'sessions.revoked', actor: account, target: account }, context);
+
+      return {
+        message: 'All sessions have been signed out'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Introspect an access token for another RepairO service (RFC 7662 style)
+   * Applies the same checks as the auth middleware; any failure yields an inactive result
+   * @param {string} token - Access token presented to the calling service
+   * @returns {Promise<Object>} - { active: false } or the token's claims with an account summary
+   */
+  static async introspectToken(token) {
+    try {
+      let decoded;
+      try {
+        decoded = KeyService.verify(token);
+      } catch (jwtError) {
+        return { active: false };
+      }
+
+      // Single-purpose tokens and unknown account types are never valid access tokens
+      const { userType } = decoded;
+      if (decoded.purpose || (userType !== 'user' && userType !== 'serviceProvider')) {
+        return { active: false };
+      }
+
+      if (!decoded.jti || await TokenService.isAccessTokenRevoked(decoded.jti)) {
+        return { active: false };
+      }
+
+      const user = await AccountService.getModel(userType).findById(decoded.userId);
+      if (!user || decoded.tokenVersion !== user.tokenVersion) {
+        return { active: false };
+      }
+
+      // Tokens of suspended and banned accounts are refused like in the auth middleware
+      if (AccountStatusService.getRestriction(user)) {
+        return { active: false };
+      }
+
+      return {
+        active: true,
+        token_type: 'access_token',
+        sub: String(user._id),
+        iss: decoded.iss,
+        iat: decoded.iat,
+        exp: decoded.exp,
+        jti: decoded.jti,
         userType,
-        [userType]: user.toJSON()
+        account: AccountService.toSummary(user, userType)
       };
     } catch (error) {
       throw error;
@@ -179,79 +714,142 @@ class AuthService {
 
   /**
    * Generate password reset token and send forgot password email
-   * @param {string} email - User's email address
+   * Always returns the same response so it cannot be used to discover accounts;
+   * an address without an account is told so by email instead
+   * @param {string} email - Email address the reset is requested for
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
    * @returns {Promise<Object>} - Result with message
-   * @throws {Error} - If user not found
+   * @throws {Error} - With a retryAfter property (seconds) if the client IP sent too many requests
    */
-  static async forgotPassword(email) {
+  static async forgotPassword(email, context = {}) {
     try {
-      // Try to find user in users collection first
-      let user = await User.findOne({ email });
-      let userType = 'user';
+      const normalisedEmail = String(email).toLowerCase().trim();
+      const { maxPerEmail, maxPerIp, windowMs } = getPasswordResetLimits();
 
-      // If not found in users, try service providers collection
-      if (!user) {
-        user = await ServiceProvider.findOne({ email });
-        userType = 'serviceProvider';
+      // Refuse clients that keep requesting resets, whichever addresses they use
+      if (context.ip) {
+        const ipLimit = await RateLimitService.hit(`forgot-password:ip:${context.ip}`, maxPerIp, windowMs);
+        if (!ipLimit.allowed) {
+          const error = new Error('Too many password reset requests. Please try again later.');
+          error.retryAfter = ipLimit.retryAfter;
+          throw error;
+        }
       }
 
-      // If no user found in either collection, throw error
-      if (!user) {
-        throw new Error('No account found with this email address');
+      // Stop sending to an address that keeps being targeted, without changing the response
+      const emailLimit = await RateLimitService.hit(`forgot-password:email:${normalisedEmail}`, maxPerEmail, windowMs);
+      if (!emailLimit.allowed) {
+        return {
+          message: PASSWORD_RESET_REQUESTED_MESSAGE
+        };
+      }
+
+      // Find the single account registered with this email
+      const account = await AccountService.findByEmail(normalisedEmail);
+
+      // Tell the address owner that no account uses it
+      if (!account) {
+        sendInBackground(emailService.sendPasswordResetNoAccountEmail(normalisedEmail), 'password reset notice email');
+        return {
+          message: PASSWORD_RESET_REQUESTED_MESSAGE
+        };
       }
+      const { user } = account;
 
-      // Generate reset token
+      // Generate reset token - only its hash is stored, so a database leak cannot be used to reset passwords
       const resetToken = crypto.randomBytes(32).toString('hex');
       const resetTokenExpiry = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
 
-      // Save reset token to user
-      user.resetPasswordToken = resetToken;
+      // Save the hash on the account - this replaces, and so invalidates, any earlier reset token
+      user.resetPasswordToken = TokenService.hashToken(resetToken);
       user.resetPasswordExpires = resetTokenExpiry;
       await user.save();
 
-              // Generate reset URL - pointing to the API with reset parameters
-        const resetUrl = `${process.env.API_URL || 'http://localhost:3000'}?reset=true&token=${resetToken}&type=${userType}`;
+      // Generate reset URL - PASSWORD_RESET_URL points at the page that collects the new password
+      const resetUrl = this.buildPasswordResetUrl(resetToken);
 
       // Send forgot password email
-      await emailService.sendForgotPasswordEmail(user, resetToken, resetUrl);
+      sendInBackground(emailService.sendForgotPasswordEmail(user, resetToken, resetUrl), 'forgot password email');
 
       return {
-        message: 'Password reset email sent successfully'
+        message: PASSWORD_RESET_REQUESTED_MESSAGE
       };
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Build the link sent in forgot password emails
+   * Falls back to the API root when PASSWORD_RESET_URL is not set
+   * @param {string} resetToken - Plaintext password reset token
+   * @returns {string} - Reset URL with the token in the query string
+   */
+  static buildPasswordResetUrl(resetToken) {
+    const resetUrl = process.env.PASSWORD_RESET_URL
+      ? new URL(process.env.PASSWORD_RESET_URL)
+      : new URL(`${process.env.API_URL || 'http://localhost:3000'}?reset=true`);
+
+    resetUrl.searchParams.set('token', resetToken);
+    return resetUrl.toString();
+  }
+
   /**
    * Reset password using reset token
+   * The token identifies the account by itself - the account type is never taken from the client
+   * Resetting also verifies the email address the link was sent to
    * @param {string} token - Password reset token
    * @param {string} newPassword - New password
-   * @param {string} userType - Type of user ('user' or 'serviceProvider')
+   * @param {Object} [context] - Request context with the client IP and User-Agent
    * @returns {Promise<Object>} - Result with message
-   * @throws {Error} - If token invalid or expired
+   * @throws {Error} - If token invalid, expired or already used, or the password breaks the policy
    */
-  static async resetPassword(token, newPassword, userType) {
+  static async resetPassword(token, newPassword, context = {}) {
     try {
-      // Select the appropriate model based on user type
-      const Model = userType === 'serviceProvider' ? ServiceProvider : User;
+      const tokenHash = TokenService.hashToken(String(token));
 
-      // Find user with valid reset token
-      const user = await Model.findOne({
-        resetPasswordToken: token,
-        resetPasswordExpires: { $gt: Date.now() }
-      });
+      // Find the account holding a valid reset token with this hash
+      const account = await AccountService.findByResetToken(tokenHash);
 
-      if (!user) {
+      if (!account) {
+        throw new Error('Invalid or expired reset token');
+      }
+      const { user, userType } = account;
+
+      // Enforce the password policy, including the account's own name and email
+      PasswordPolicyService.assertValid(newPassword, user, 'newPassword');
+
+      // Consume the token atomically so it can only be used once, even by concurrent requests
+      const consumed = await AccountService.getModel(userType).updateOne(
+        { _id: user._id, resetPasswordToken: tokenHash },
+        { $set: { resetPasswordToken: null, resetPasswordExpires: null } }
+      );
+
+      if (consumed.modifiedCount === 0) {
         throw new Error('Invalid or expired reset token');
       }
 
-      // Update password and clear reset token
+      // Update password
       user.password = newPassword;
       user.resetPasswordToken = null;
       user.resetPasswordExpires = null;
+
+      // The link was delivered to the address, which proves the account owns it - this is also
+      // how invited accounts from an import get verified
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
       await user.save();
 
+      // Sign out every existing session now that the password has changed
+      await this.revokeAllSessions(user._id, userType, context);
+
+      // The reset link proves control of the mailbox, so the account itself is the actor
+      const resetAccount = { userId: user._id, userType };
+      await AuditService.record({ action: 'password.reset', actor: resetAccount, target: resetAccount }, context);
+
       return {
         message: 'Password reset successfully'
       };
@@ -259,6 +857,85 @@ class AuthService {
       throw error;
     }
   }
+
+  /**
+   * Change the password of a logged-in account
+   * Requires the current password and applies the password policy to the new one
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {string} currentPassword - The account's current password
+   * @param {string} newPassword - New password
+   * @param {Object} [options] - Change options
+   * @param {boolean} [options.signOutOtherSessions] - Revoke every other session of the account
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client User-Agent header
+   * @returns {Promise<Object>} - Result with message, plus fresh tokens if other sessions were signed out
+   * @throws {Error} - If the current password is wrong or the new password breaks the policy
+   */
+  static async changePassword(userId, userType, currentPassword, newPassword, options = {}, context = {}) {
+    try {
+      const Model = AccountService.getModel(userType);
+      const user = await Model.findById(userId);
+
+      if (!user) {
+        throw new Error('Account not found');
+      }
+
+      // Guessing the current password is throttled like a login attempt
+      await LoginThrottleService.assertAllowed(user.email, context.ip);
+
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        await this.handleFailedLogin(user.email, user, context);
+        throw new Error('Current password is incorrect');
+      }
+
+      if (await user.comparePassword(newPassword)) {
+        throw new Error('New password must be different from the current password');
+      }
+
+      // Enforce the password policy, including the account's own name and email
+      PasswordPolicyService.assertValid(newPassword, user, 'newPassword');
+
+      user.password = newPassword;
+      await user.save();
+
+      const account = { userId: user._id, userType };
+      await AuditService.record({
+        action: 'password.changed',
+        actor: account,
+        target: account,
+        metadata: { signOutOtherSessions: Boolean(options.signOutOtherSessions) }
+      }, context);
+
+      // Let the owner know in case the change wasn't them
+      try {
+        await emailService.sendPasswordChangedEmail(user);
+      } catch (emailError) {
+        console.error('Failed to send password changed email:', emailError);
+        // Don't fail the password change if email fails
+      }
+
+      if (!options.signOutOtherSessions) {
+        return {
+          message: 'Password changed successfully'
+        };
+      }
+
+      // Revoke every session, then start a new one for the caller
+      await this.revokeAllSessions(user._id, userType, context);
+      const refreshed = await Model.findById(user._id);
+      const session = await this.createSession(refreshed, userType);
+
+      return {
+        message: 'Password changed successfully. All other sessions have been signed out',
+        ...session
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 // Export the AuthService class
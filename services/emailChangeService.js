@@ -0,0 +1,241 @@
+/**
+ * Email Change Service
+ * Handles changing the email address of users and service providers
+ * The new address is confirmed with a signed link, and the old address is told about the change
+ * with a link that reverts it
+ */
+
+const emailService = require('./emailService');
+const AccountService = require('./accountService');
+const AuthService = require('./authService');
+const LoginThrottleService = require('./loginThrottleService');
+const KeyService = require('./keyService');
+const AuditService = require('./auditService');
+
+// Purpose claims that distinguish email change tokens from access tokens
+const CONFIRM_PURPOSE = 'email-change';
+const REVERT_PURPOSE = 'email-change-revert';
+
+// Response for change requests, whether or not the new address is free
+const CHANGE_REQUESTED_MESSAGE =
+  'Please check the new email address for a link to confirm the change. Your email address stays the same until then';
+
+/**
+ * Build a link to an email change endpoint
+ * @param {string} envVar - Environment variable that overrides the link target
+ * @param {string} path - API path used when the variable is not set
+ * @param {string} token - Signed token to include in the link
+ * @returns {string} - Link with the token in the query string
+ */
+const buildUrl = (envVar, path, token) => {
+  const baseUrl = process.env[envVar] || `${process.env.API_URL || 'http://localhost:3000'}${path}`;
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Email Change Service Class
+ * Contains all email change-related business logic
+ */
+class EmailChangeService {
+
+  /**
+   * Verify a signed email change token
+   * @param {string} token - Token from the emailed link
+   * @param {string} purpose - Expected purpose claim
+   * @param {string} errorMessage - Message thrown for invalid tokens
+   * @returns {Promise<Object>} - { decoded, user } with the account the token belongs to
+   * @throws {Error} - If the token is invalid, expired or for another purpose
+   */
+  static async verifyToken(token, purpose, errorMessage) {
+    let decoded;
+    try {
+      decoded = KeyService.verifyPurposeToken(token);
+    } catch (jwtError) {
+      throw new Error(errorMessage);
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new Error(errorMessage);
+    }
+
+    const user = await AccountService.getModel(decoded.userType).findById(decoded.userId);
+    if (!user) {
+      throw new Error(errorMessage);
+    }
+
+    return { decoded, user };
+  }
+
+  /**
+   * Start changing an account's email address
+   * Requires the current password; the change only happens once the new address is confirmed
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {string} newEmail - New email address
+   * @param {string} password - The account's current password
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @returns {Promise<Object>} - Result with message
+   * @throws {Error} - If the password is wrong or the address is unchanged
+   */
+  static async requestChange(userId, userType, newEmail, password, context = {}) {
+    try {
+      const user = await AccountService.getModel(userType).findById(userId);
+
+      if (!user) {
+        throw new Error('Account not found');
+      }
+
+      // Guessing the password is throttled like a login attempt
+      await LoginThrottleService.assertAllowed(user.email, context.ip);
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        await AuthService.handleFailedLogin(user.email, user, context);
+        throw new Error('Password is incorrect');
+      }
+
+      const normalisedEmail = String(newEmail).toLowerCase().trim();
+      if (normalisedEmail === user.email) {
+        throw new Error('New email address must be different from the current one');
+      }
+
+      // Remember the requested address - only the latest request can be confirmed
+      user.pendingEmail = normalisedEmail;
+      await user.save();
+
+      // Addresses already in use get no link, and the response stays the same so it reveals nothing -
+      // the email goes out in the background so neither SMTP time nor SMTP failures show which case applied
+      if (!(await AccountService.isEmailTaken(normalisedEmail))) {
+        const token = KeyService.signPurposeToken(
+          { userId: user._id, userType, email: user.email, newEmail: normalisedEmail, purpose: CONFIRM_PURPOSE },
+          { expiresIn: process.env.EMAIL_CHANGE_EXPIRES_IN || '1h' }
+        );
+        const confirmUrl = buildUrl('EMAIL_CHANGE_CONFIRM_URL', '/api/auth/email/confirm', token);
+
+        emailService.sendEmailChangeConfirmationEmail(user, normalisedEmail, confirmUrl)
+          .catch(error => console.error('Failed to send email change confirmation email:', error));
+      }
+
+      return {
+        message: CHANGE_REQUESTED_MESSAGE
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm an email change using the link sent to the new address
+   * Moves the account to the new address and sends a revert link to the old one
+   * @param {string} token - Confirmation token from the emailed link
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message
+   * @throws {Error} - If the token is invalid or the address has been taken in the meantime
+   */
+  static async confirmChange(token, context = {}) {
+    try {
+      const { decoded, user } = await this.verifyToken(
+        token, CONFIRM_PURPOSE, 'Invalid or expired email change token'
+      );
+
+      // The token is only valid for the latest request and while the old address is unchanged
+      if (user.pendingEmail !== decoded.newEmail || user.email !== decoded.email) {
+        throw new Error('Invalid or expired email change token');
+      }
+
+      const oldEmail = user.email;
+
+      // Reserve the new address across users and service providers before switching
+      await AccountService.claimEmail(decoded.newEmail, user._id, decoded.userType);
+      try {
+        user.email = decoded.newEmail;
+        user.pendingEmail = null;
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      } catch (saveError) {
+        await AccountService.releaseEmail(decoded.newEmail, user._id);
+        throw saveError;
+      }
+      await AccountService.releaseEmail(oldEmail, user._id);
+
+      const account = { userId: user._id, userType: decoded.userType };
+      await AuditService.record({
+        action: 'email.change_confirmed',
+        actor: account,
+        target: account,
+        changes: AuditService.diff({ email: oldEmail }, { email: user.email }, ['email'])
+      }, context);
+
+      // Let the old address undo the change in case the account was taken over
+      const revertToken = KeyService.signPurposeToken(
+        { userId: user._id, userType: decoded.userType, email: oldEmail, newEmail: user.email, purpose: REVERT_PURPOSE },
+        { expiresIn: process.env.EMAIL_CHANGE_REVERT_EXPIRES_IN || '7d' }
+      );
+      const revertUrl = buildUrl('EMAIL_CHANGE_REVERT_URL', '/api/auth/email/revert', revertToken);
+      await emailService.sendEmailChangedEmail(user, oldEmail, revertUrl);
+
+      return {
+        message: 'Email address changed successfully'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revert an email change using the link sent to the old address
+   * Restores the old address and signs out every session, since the change may not have been the owner
+   * @param {string} token - Revert token from the emailed link
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message
+   * @throws {Error} - If the token is invalid or the old address has been taken in the meantime
+   */
+  static async revertChange(token, context = {}) {
+    try {
+      const { decoded, user } = await this.verifyToken(
+        token, REVERT_PURPOSE, 'Invalid or expired email revert token'
+      );
+
+      // Only the change the link was sent for can be reverted
+      if (user.email !== decoded.newEmail) {
+        throw new Error('Invalid or expired email revert token');
+      }
+
+      // Take the old address back before giving up the new one
+      await AccountService.claimEmail(decoded.email, user._id, decoded.userType);
+      try {
+        user.email = decoded.email;
+        user.pendingEmail = null;
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      } catch (saveError) {
+        await AccountService.releaseEmail(decoded.email, user._id);
+        throw saveError;
+      }
+      await AccountService.releaseEmail(decoded.newEmail, user._id);
+
+      const account = { userId: user._id, userType: decoded.userType };
+      await AuditService.record({
+        action: 'email.change_reverted',
+        actor: account,
+        target: account,
+        changes: AuditService.diff({ email: decoded.newEmail }, { email: user.email }, ['email'])
+      }, context);
+
+      // Whoever changed the address may still be signed in
+      await AuthService.revokeAllSessions(user._id, decoded.userType, context);
+
+      return {
+        message: 'Email address restored. All sessions have been signed out - please reset your password if you did not make this change'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the EmailChangeService class
+module.exports = EmailChangeService;
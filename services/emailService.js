@@ -1,10 +1,55 @@
 /**
  * Email Service
  * Handles email functionality using Nodemailer with Gmail SMTP
- * Provides welcome email and forgot password email services
+ * Provides welcome, email verification, forgot password and account security email services
  */
 const nodemailer = require('nodemailer');
 
+/**
+ * Escape a value for use in HTML email content
+ * Used for values the client controls, such as the User-Agent header
+ * @param {string} value - Raw value
+ * @returns {string} - HTML-safe value
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Login methods as shown in emails
+const LOGIN_METHOD_NAMES = {
+  password: 'Password',
+  two_factor: 'Password and two-factor code',
+  magic_link: 'Email login link',
+  passkey: 'Passkey'
+};
+
+// Subjects of the account status emails
+const ACCOUNT_STATUS_SUBJECTS = {
+  active: 'Your RepairO Account Has Been Reinstated',
+  suspended: 'Your RepairO Account Has Been Suspended',
+  banned: 'Your RepairO Account Has Been Banned'
+};
+
+/**
+ * Describe an account status change in one sentence
+ * @param {Object} accountStatus - New status with expiry
+ * @returns {string} - Sentence for the email body
+ */
+const describeAccountStatus = ({ status, expiresAt }) => {
+  if (status === 'active') {
+    return 'Your RepairO account has been reinstated. You can log in and use RepairO again.';
+  }
+  if (status === 'banned') {
+    return 'Your RepairO account has been banned. You can no longer log in or use RepairO.';
+  }
+  return expiresAt
+    ? `Your RepairO account has been suspended until ${expiresAt.toUTCString()}. You cannot log in until then.`
+    : 'Your RepairO account has been suspended until further notice. You cannot log in while it is suspended.';
+};
+
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -97,6 +142,286 @@ class EmailService {
     }
   }
 
+  /**
+   * Send email address verification email
+   * @param {Object} user - User object with name and email
+   * @param {string} verificationUrl - Signed email verification URL
+   * @returns {Promise<Object>} API response
+   */
+  async sendVerificationEmail(user, verificationUrl) {
+    try {
+      const emailData = {
+        to: user.email,
+        subject: 'Verify Your RepairO Email Address',
+        html: this.generateVerificationEmailHTML(user, verificationUrl),
+        text: this.generateVerificationEmailText(user, verificationUrl)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error and provide helpful information
+      console.error('Failed to send verification email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      // Re-throw so callers can decide whether the failure is critical
+      throw new Error('Email service unavailable. Please try again later.');
+    }
+  }
+
+  /**
+   * Send email change confirmation email to the new address
+   * @param {Object} user - User object with name and current email
+   * @param {string} newEmail - Requested new email address
+   * @param {string} confirmUrl - Signed email change confirmation URL
+   * @returns {Promise<Object>} API response
+   */
+  async sendEmailChangeConfirmationEmail(user, newEmail, confirmUrl) {
+    try {
+      const emailData = {
+        to: newEmail,
+        subject: 'Confirm Your New RepairO Email Address',
+        html: this.generateEmailChangeConfirmationEmailHTML(user, newEmail, confirmUrl),
+        text: this.generateEmailChangeConfirmationEmailText(user, newEmail, confirmUrl)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error and provide helpful information
+      console.error('Failed to send email change confirmation email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      // Re-throw since the change cannot be confirmed without the link
+      throw new Error('Email service unavailable. Please try again later.');
+    }
+  }
+
+  /**
+   * Send email changed security notification to the old address
+   * @param {Object} user - User object with name and new email
+   * @param {string} oldEmail - Previous email address
+   * @param {string} revertUrl - Signed URL that reverts the change
+   * @returns {Promise<Object>} API response
+   */
+  async sendEmailChangedEmail(user, oldEmail, revertUrl) {
+    try {
+      const emailData = {
+        to: oldEmail,
+        subject: 'Your RepairO Email Address Was Changed',
+        html: this.generateEmailChangedEmailHTML(user, oldEmail, revertUrl),
+        text: this.generateEmailChangedEmailText(user, oldEmail, revertUrl)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error but don't fail the email change
+      console.error('Failed to send email changed email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      return { message: 'Email changed (email service temporarily unavailable)' };
+    }
+  }
+
+  /**
+   * Send account locked notification email
+   * @param {Object} user - User object with name and email
+   * @param {Date} lockedUntil - When the lockout ends
+   * @returns {Promise<Object>} API response
+   */
+  async sendAccountLockedEmail(user, lockedUntil) {
+    try {
+      const emailData = {
+        to: user.email,
+        subject: 'Your RepairO Account Has Been Temporarily Locked',
+        html: this.generateAccountLockedEmailHTML(user, lockedUntil),
+        text: this.generateAccountLockedEmailText(user, lockedUntil)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error but don't fail the login response
+      console.error('Failed to send account locked email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      return { message: 'Account locked (email service temporarily unavailable)' };
+    }
+  }
+
+  /**
+   * Send security alert for a login from a new device or IP address
+   * @param {Object} user - User object with name and email
+   * @param {Object} loginEvent - Recorded login with createdAt, ip, userAgent and method
+   * @returns {Promise<Object>} API response
+   */
+  async sendNewDeviceLoginEmail(user, loginEvent) {
+    try {
+      const emailData = {
+        to: user.email,
+        subject: 'New Login to Your RepairO Account',
+        html: this.generateNewDeviceLoginEmailHTML(user, loginEvent),
+        text: this.generateNewDeviceLoginEmailText(user, loginEvent)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error but don't fail the login response
+      console.error('Failed to send new device login email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      return { message: 'Login alert not sent (email service temporarily unavailable)' };
+    }
+  }
+
+  /**
+   * Send notice that an admin changed the status of an account
+   * @param {Object} user - User object with name and email
+   * @param {Object} accountStatus - New status with reason and expiry
+   * @returns {Promise<Object>} API response
+   */
+  async sendAccountStatusEmail(user, accountStatus) {
+    try {
+      const emailData = {
+        to: user.email,
+        subject: ACCOUNT_STATUS_SUBJECTS[accountStatus.status],
+        html: this.generateAccountStatusEmailHTML(user, accountStatus),
+        text: this.generateAccountStatusEmailText(user, accountStatus)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error but don't fail the status change
+      console.error('Failed to send account status email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      return { message: 'Account status notice not sent (email service temporarily unavailable)' };
+    }
+  }
+
+  /**
+   * Send password changed security notification email
+   * @param {Object} user - User object with name and email
+   * @returns {Promise<Object>} API response
+   */
+  async sendPasswordChangedEmail(user) {
+    try {
+      const emailData = {
+        to: user.email,
+        subject: 'Your RepairO Password Was Changed',
+        html: this.generatePasswordChangedEmailHTML(user),
+        text: this.generatePasswordChangedEmailText(user)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error but don't fail the password change
+      console.error('Failed to send password changed email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      return { message: 'Password changed (email service temporarily unavailable)' };
+    }
+  }
+
+  /**
+   * Send notice that a password reset was requested for an address with no account
+   * @param {string} email - Email address the reset was requested for
+   * @returns {Promise<Object>} API response
+   */
+  async sendPasswordResetNoAccountEmail(email) {
+    try {
+      const emailData = {
+        to: email,
+        subject: 'RepairO Password Reset Request',
+        html: this.generatePasswordResetNoAccountEmailHTML(email),
+        text: this.generatePasswordResetNoAccountEmailText(email)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error - the requester always gets the same response
+      console.error('Failed to send password reset notice email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      return { message: 'Reset notice not sent (email service temporarily unavailable)' };
+    }
+  }
+
+  /**
+   * Send notice that someone tried to register with an address that already has an account
+   * @param {Object} user - Existing user object with name and email
+   * @returns {Promise<Object>} API response
+   */
+  async sendAccountExistsEmail(user) {
+    try {
+      const emailData = {
+        to: user.email,
+        subject: 'Someone Tried to Register With Your RepairO Email',
+        html: this.generateAccountExistsEmailHTML(user),
+        text: this.generateAccountExistsEmailText(user)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error - the registration response is the same either way
+      console.error('Failed to send account exists email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      return { message: 'Account exists notice not sent (email service temporarily unavailable)' };
+    }
+  }
+
+  /**
+   * Send a one-time magic login link
+   * @param {Object} user - User object with name and email
+   * @param {string} loginUrl - Signed magic link URL
+   * @param {number} expiresInMinutes - Minutes until the link expires
+   * @returns {Promise<Object>} API response
+   */
+  async sendMagicLinkEmail(user, loginUrl, expiresInMinutes) {
+    try {
+      const emailData = {
+        to: user.email,
+        subject: 'Your RepairO Login Link',
+        html: this.generateMagicLinkEmailHTML(user, loginUrl, expiresInMinutes),
+        text: this.generateMagicLinkEmailText(user, loginUrl, expiresInMinutes)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error and provide helpful information
+      console.error('Failed to send magic link email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      // Re-throw so callers can decide whether the failure is critical
+      throw new Error('Email service unavailable. Please try again later.');
+    }
+  }
+
+  /**
+   * Send an invitation to an account created by an admin import
+   * @param {Object} user - Imported user or service provider
+   * @param {string} invitationUrl - Link to the page that sets the password
+   * @param {number} expiresInHours - Hours until the link expires
+   * @returns {Promise<Object>} API response
+   */
+  async sendInvitationEmail(user, invitationUrl, expiresInHours) {
+    try {
+      const emailData = {
+        to: user.email,
+        subject: 'You have been invited to RepairO',
+        html: this.generateInvitationEmailHTML(user, invitationUrl, expiresInHours),
+        text: this.generateInvitationEmailText(user, invitationUrl, expiresInHours)
+      };
+
+      return await this.sendEmail(emailData);
+    } catch (error) {
+      // Log the error and provide helpful information
+      console.error('Failed to send invitation email:', error.message);
+      console.log('💡 To fix this, check Gmail SMTP configuration');
+
+      // Re-throw so callers can decide whether the failure is critical
+      throw new Error('Email service unavailable. Please try again later.');
+    }
+  }
+
   /**
    * Generate HTML content for welcome email
    * @param {Object} user - User object
@@ -184,19 +509,19 @@ The RepairO Team
   }
 
   /**
-   * Generate HTML content for forgot password email
+   * Generate HTML content for email verification email
    * @param {Object} user - User object
-   * @param {string} resetUrl - Password reset URL
+   * @param {string} verificationUrl - Email verification URL
    * @returns {string} HTML content
    */
-  generateForgotPasswordEmailHTML(user, resetUrl) {
+  generateVerificationEmailHTML(user, verificationUrl) {
     return `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Reset Your Password</title>
+        <title>Verify Your Email Address</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
@@ -210,27 +535,23 @@ The RepairO Team
       <body>
         <div class="container">
           <div class="header">
-            <h1>🔐 Reset Your Password</h1>
-            <p>RepairO Account Security</p>
+            <h1>✉️ Verify Your Email</h1>
+            <p>One more step to activate your RepairO account</p>
           </div>
           <div class="content">
             <h2>Hello ${user.firstName}!</h2>
-            <p>We received a request to reset your password for your RepairO account. If you didn't make this request, you can safely ignore this email.</p>
+            <p>Thanks for signing up to RepairO. Please confirm that this is your email address by clicking the button below. If you didn't create a RepairO account, you can safely ignore this email.</p>
             
             <div class="warning">
-              <strong>⚠️ Important:</strong> This link will expire in 1 hour for security reasons.
+              <strong>⚠️ Important:</strong> This link will expire in 24 hours for security reasons.
             </div>
             
-            <p>To reset your password, click the button below:</p>
-            
             <div style="text-align: center;">
-              <a href="${resetUrl}" class="button">Reset Password</a>
+              <a href="${verificationUrl}" class="button">Verify Email Address</a>
             </div>
             
             <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
-            <p style="word-break: break-all; color: #667eea;">${resetUrl}</p>
-            
-            <p>If you have any questions or need assistance, please contact our support team.</p>
+            <p style="word-break: break-all; color: #667eea;">${verificationUrl}</p>
           </div>
           <div class="footer">
             <p>© 2025 RepairO. All rights reserved.</p>
@@ -243,25 +564,892 @@ The RepairO Team
   }
 
   /**
-   * Generate text content for forgot password email
+   * Generate text content for email verification email
    * @param {Object} user - User object
-   * @param {string} resetUrl - Password reset URL
+   * @param {string} verificationUrl - Email verification URL
    * @returns {string} Text content
    */
-  generateForgotPasswordEmailText(user, resetUrl) {
+  generateVerificationEmailText(user, verificationUrl) {
     return `
-Reset Your Password
+Verify Your Email Address
 
 Hello ${user.firstName}!
 
-We received a request to reset your password for your RepairO account. If you didn't make this request, you can safely ignore this email.
+Thanks for signing up to RepairO. Please confirm that this is your email address by visiting the link below. If you didn't create a RepairO account, you can safely ignore this email.
 
-IMPORTANT: This link will expire in 1 hour for security reasons.
+IMPORTANT: This link will expire in 24 hours for security reasons.
 
-To reset your password, visit this link:
-${resetUrl}
+${verificationUrl}
 
-If you have any questions or need assistance, please contact our support team.
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for email change confirmation email
+   * @param {Object} user - User object
+   * @param {string} newEmail - Requested new email address
+   * @param {string} confirmUrl - Email change confirmation URL
+   * @returns {string} HTML content
+   */
+  generateEmailChangeConfirmationEmailHTML(user, newEmail, confirmUrl) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Confirm Your New Email Address</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>✉️ Confirm Your New Email</h1>
+            <p>RepairO Account Security</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>You asked to use this address for your RepairO account. Please confirm the change by clicking the button below. Your account keeps its current email address until you do.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Important:</strong> This link expires soon for security reasons. If you didn't ask for this change, you can safely ignore this email.
+            </div>
+            
+            <div style="text-align: center;">
+              <a href="${confirmUrl}" class="button">Confirm New Email Address</a>
+            </div>
+            
+            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #667eea;">${confirmUrl}</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${newEmail}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for email change confirmation email
+   * @param {Object} user - User object
+   * @param {string} newEmail - Requested new email address
+   * @param {string} confirmUrl - Email change confirmation URL
+   * @returns {string} Text content
+   */
+  generateEmailChangeConfirmationEmailText(user, newEmail, confirmUrl) {
+    return `
+Confirm Your New Email Address
+
+Hello ${user.firstName}!
+
+You asked to use this address (${newEmail}) for your RepairO account. Please confirm the change by visiting the link below. Your account keeps its current email address until you do.
+
+IMPORTANT: This link expires soon for security reasons. If you didn't ask for this change, you can safely ignore this email.
+
+${confirmUrl}
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for email changed email
+   * @param {Object} user - User object
+   * @param {string} oldEmail - Previous email address
+   * @param {string} revertUrl - URL that reverts the change
+   * @returns {string} HTML content
+   */
+  generateEmailChangedEmailHTML(user, oldEmail, revertUrl) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Email Address Changed</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📧 Email Address Changed</h1>
+            <p>RepairO Account Security</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>The email address of your RepairO account was changed from this address to ${user.email} on ${new Date().toUTCString()}.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Wasn't you?</strong> Click the button below to switch the account back to this address and sign out every session, then reset your password.
+            </div>
+            
+            <div style="text-align: center;">
+              <a href="${revertUrl}" class="button">Undo This Change</a>
+            </div>
+            
+            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #667eea;">${revertUrl}</p>
+            
+            <p>If you made this change, no further action is needed.</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${oldEmail}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for email changed email
+   * @param {Object} user - User object
+   * @param {string} oldEmail - Previous email address
+   * @param {string} revertUrl - URL that reverts the change
+   * @returns {string} Text content
+   */
+  generateEmailChangedEmailText(user, oldEmail, revertUrl) {
+    return `
+Email Address Changed
+
+Hello ${user.firstName}!
+
+The email address of your RepairO account was changed from this address (${oldEmail}) to ${user.email} on ${new Date().toUTCString()}.
+
+Wasn't you? Visit the link below to switch the account back to this address and sign out every session, then reset your password.
+
+${revertUrl}
+
+If you made this change, no further action is needed.
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for account locked email
+   * @param {Object} user - User object
+   * @param {Date} lockedUntil - When the lockout ends
+   * @returns {string} HTML content
+   */
+  generateAccountLockedEmailHTML(user, lockedUntil) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Temporarily Locked</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔒 Account Temporarily Locked</h1>
+            <p>RepairO Account Security</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>We noticed several unsuccessful attempts to log in to your RepairO account, so we have temporarily locked it to keep it safe.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Locked until:</strong> ${lockedUntil.toUTCString()}
+            </div>
+            
+            <p>If these attempts were you, you can log in again once the lock has expired, or reset your password using "Forgot password".</p>
+            <p>If they weren't you, we recommend resetting your password as soon as the lock expires. If you need help sooner, please contact our support team.</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for account locked email
+   * @param {Object} user - User object
+   * @param {Date} lockedUntil - When the lockout ends
+   * @returns {string} Text content
+   */
+  generateAccountLockedEmailText(user, lockedUntil) {
+    return `
+Account Temporarily Locked
+
+Hello ${user.firstName}!
+
+We noticed several unsuccessful attempts to log in to your RepairO account, so we have temporarily locked it to keep it safe.
+
+Locked until: ${lockedUntil.toUTCString()}
+
+If these attempts were you, you can log in again once the lock has expired, or reset your password using "Forgot password".
+If they weren't you, we recommend resetting your password as soon as the lock expires. If you need help sooner, please contact our support team.
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for new device login email
+   * @param {Object} user - User object
+   * @param {Object} loginEvent - Recorded login
+   * @returns {string} HTML content
+   */
+  generateNewDeviceLoginEmailHTML(user, loginEvent) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New Login to Your Account</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔔 New Login Detected</h1>
+            <p>RepairO Account Security</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>Your RepairO account was just logged in to from a device or location we haven't seen before.</p>
+            
+            <div class="warning">
+              <strong>Time:</strong> ${loginEvent.createdAt.toUTCString()}<br>
+              <strong>IP address:</strong> ${escapeHtml(loginEvent.ip || 'Unknown')}<br>
+              <strong>Device:</strong> ${escapeHtml(loginEvent.userAgent || 'Unknown')}<br>
+              <strong>Method:</strong> ${LOGIN_METHOD_NAMES[loginEvent.method] || loginEvent.method}
+            </div>
+            
+            <p>If this was you, you can ignore this email.</p>
+            <p>If it wasn't you, please reset your password using "Forgot password" and sign out all sessions straight away, then contact our support team.</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for new device login email
+   * @param {Object} user - User object
+   * @param {Object} loginEvent - Recorded login
+   * @returns {string} Text content
+   */
+  generateNewDeviceLoginEmailText(user, loginEvent) {
+    return `
+New Login Detected
+
+Hello ${user.firstName}!
+
+Your RepairO account was just logged in to from a device or location we haven't seen before.
+
+Time: ${loginEvent.createdAt.toUTCString()}
+IP address: ${loginEvent.ip || 'Unknown'}
+Device: ${loginEvent.userAgent || 'Unknown'}
+Method: ${LOGIN_METHOD_NAMES[loginEvent.method] || loginEvent.method}
+
+If this was you, you can ignore this email.
+If it wasn't you, please reset your password using "Forgot password" and sign out all sessions straight away, then contact our support team.
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for account status email
+   * @param {Object} user - User object
+   * @param {Object} accountStatus - New status with reason and expiry
+   * @returns {string} HTML content
+   */
+  generateAccountStatusEmailHTML(user, accountStatus) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Status Changed</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${accountStatus.status === 'active' ? '✅ Account Reinstated' : '⛔ Account Restricted'}</h1>
+            <p>RepairO Account Status</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>${describeAccountStatus(accountStatus)}</p>
+            ${accountStatus.reason ? `
+            <div class="warning">
+              <strong>Reason:</strong> ${escapeHtml(accountStatus.reason)}
+            </div>` : ''}
+            
+            <p>If you have questions about this decision, please reply to this email or contact our support team.</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for account status email
+   * @param {Object} user - User object
+   * @param {Object} accountStatus - New status with reason and expiry
+   * @returns {string} Text content
+   */
+  generateAccountStatusEmailText(user, accountStatus) {
+    return `
+${accountStatus.status === 'active' ? 'Account Reinstated' : 'Account Restricted'}
+
+Hello ${user.firstName}!
+
+${describeAccountStatus(accountStatus)}
+${accountStatus.reason ? `
+Reason: ${accountStatus.reason}
+` : ''}
+If you have questions about this decision, please reply to this email or contact our support team.
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for password changed email
+   * @param {Object} user - User object
+   * @returns {string} HTML content
+   */
+  generatePasswordChangedEmailHTML(user) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Password Changed</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔑 Password Changed</h1>
+            <p>RepairO Account Security</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>The password for your RepairO account was changed on ${new Date().toUTCString()}.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Wasn't you?</strong> Reset your password straight away using "Forgot password" and contact our support team.
+            </div>
+            
+            <p>If you made this change, no further action is needed.</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for password changed email
+   * @param {Object} user - User object
+   * @returns {string} Text content
+   */
+  generatePasswordChangedEmailText(user) {
+    return `
+Password Changed
+
+Hello ${user.firstName}!
+
+The password for your RepairO account was changed on ${new Date().toUTCString()}.
+
+Wasn't you? Reset your password straight away using "Forgot password" and contact our support team.
+
+If you made this change, no further action is needed.
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for password reset notice email (no account)
+   * @param {string} email - Email address the reset was requested for
+   * @returns {string} HTML content
+   */
+  generatePasswordResetNoAccountEmailHTML(email) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Password Reset Request</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔐 Password Reset Request</h1>
+            <p>RepairO Account Security</p>
+          </div>
+          <div class="content">
+            <h2>Hello!</h2>
+            <p>Someone asked to reset the password of a RepairO account for this email address, but no RepairO account uses it.</p>
+            
+            <p>If this was you, you may have signed up with a different email address. Try again with that address, or create a new account.</p>
+            
+            <div class="warning">
+              <strong>Didn't request this?</strong> You can safely ignore this email - nothing has changed.
+            </div>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for password reset notice email (no account)
+   * @param {string} email - Email address the reset was requested for
+   * @returns {string} Text content
+   */
+  generatePasswordResetNoAccountEmailText(email) {
+    return `
+Password Reset Request
+
+Hello!
+
+Someone asked to reset the password of a RepairO account for this email address (${email}), but no RepairO account uses it.
+
+If this was you, you may have signed up with a different email address. Try again with that address, or create a new account.
+
+Didn't request this? You can safely ignore this email - nothing has changed.
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for account exists email
+   * @param {Object} user - User object
+   * @returns {string} HTML content
+   */
+  generateAccountExistsEmailHTML(user) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Registration Attempt</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>👋 You Already Have an Account</h1>
+            <p>RepairO Account Security</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>Someone tried to create a new RepairO account with this email address on ${new Date().toUTCString()}. Your existing account has not been changed.</p>
+            
+            <p>If this was you, simply log in. If you can't remember your password, use "Forgot password" on the login page.</p>
+            
+            <div class="warning">
+              <strong>Didn't try to register?</strong> You can safely ignore this email.
+            </div>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for account exists email
+   * @param {Object} user - User object
+   * @returns {string} Text content
+   */
+  generateAccountExistsEmailText(user) {
+    return `
+You Already Have an Account
+
+Hello ${user.firstName}!
+
+Someone tried to create a new RepairO account with this email address on ${new Date().toUTCString()}. Your existing account has not been changed.
+
+If this was you, simply log in. If you can't remember your password, use "Forgot password" on the login page.
+
+Didn't try to register? You can safely ignore this email.
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for forgot password email
+   * @param {Object} user - User object
+   * @param {string} resetUrl - Password reset URL
+   * @returns {string} HTML content
+   */
+  generateForgotPasswordEmailHTML(user, resetUrl) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Reset Your Password</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔐 Reset Your Password</h1>
+            <p>RepairO Account Security</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>We received a request to reset your password for your RepairO account. If you didn't make this request, you can safely ignore this email.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Important:</strong> This link will expire in 1 hour for security reasons.
+            </div>
+            
+            <p>To reset your password, click the button below:</p>
+            
+            <div style="text-align: center;">
+              <a href="${resetUrl}" class="button">Reset Password</a>
+            </div>
+            
+            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #667eea;">${resetUrl}</p>
+            
+            <p>If you have any questions or need assistance, please contact our support team.</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for forgot password email
+   * @param {Object} user - User object
+   * @param {string} resetUrl - Password reset URL
+   * @returns {string} Text content
+   */
+  generateForgotPasswordEmailText(user, resetUrl) {
+    return `
+Reset Your Password
+
+Hello ${user.firstName}!
+
+We received a request to reset your password for your RepairO account. If you didn't make this request, you can safely ignore this email.
+
+IMPORTANT: This link will expire in 1 hour for security reasons.
+
+To reset your password, visit this link:
+${resetUrl}
+
+If you have any questions or need assistance, please contact our support team.
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for magic link email
+   * @param {Object} user - User object
+   * @param {string} loginUrl - Magic link URL
+   * @param {number} expiresInMinutes - Minutes until the link expires
+   * @returns {string} HTML content
+   */
+  generateMagicLinkEmailHTML(user, loginUrl, expiresInMinutes) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your RepairO Login Link</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔑 Log In to RepairO</h1>
+            <p>No password needed</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.firstName}!</h2>
+            <p>We received a request to log in to your RepairO account with this email address. Click the button below to log in.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Important:</strong> This link can only be used once and expires in ${expiresInMinutes} minutes. Never forward it to anyone. If you didn't ask to log in, you can safely ignore this email.
+            </div>
+            
+            <div style="text-align: center;">
+              <a href="${loginUrl}" class="button">Log In</a>
+            </div>
+            
+            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #667eea;">${loginUrl}</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for magic link email
+   * @param {Object} user - User object
+   * @param {string} loginUrl - Magic link URL
+   * @param {number} expiresInMinutes - Minutes until the link expires
+   * @returns {string} Text content
+   */
+  generateMagicLinkEmailText(user, loginUrl, expiresInMinutes) {
+    return `
+Log In to RepairO
+
+Hello ${user.firstName}!
+
+We received a request to log in to your RepairO account with this email address. If you didn't ask to log in, you can safely ignore this email.
+
+IMPORTANT: This link can only be used once and expires in ${expiresInMinutes} minutes. Never forward it to anyone.
+
+To log in, visit this link:
+${loginUrl}
+
+Best regards,
+The RepairO Team
+
+© 2025 RepairO. All rights reserved.
+    `;
+  }
+
+  /**
+   * Generate HTML content for invitation email
+   * Names come from an imported file, so they are escaped
+   * @param {Object} user - User object
+   * @param {string} invitationUrl - Link to the page that sets the password
+   * @param {number} expiresInHours - Hours until the link expires
+   * @returns {string} HTML content
+   */
+  generateInvitationEmailHTML(user, invitationUrl, expiresInHours) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>You have been invited to RepairO</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          .warning { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>👋 Welcome to RepairO</h1>
+            <p>Your account is ready</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${escapeHtml(user.firstName)}!</h2>
+            <p>A RepairO account has been created for you with this email address. Choose a password by clicking the button below to start using it.</p>
+            
+            <div class="warning">
+              <strong>⚠️ Important:</strong> This link can only be used once and expires in ${expiresInHours} hours. If you weren't expecting this invitation, you can safely ignore this email.
+            </div>
+            
+            <div style="text-align: center;">
+              <a href="${invitationUrl}" class="button">Set Your Password</a>
+            </div>
+            
+            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #667eea;">${invitationUrl}</p>
+          </div>
+          <div class="footer">
+            <p>© 2025 RepairO. All rights reserved.</p>
+            <p>This email was sent to ${escapeHtml(user.email)}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate text content for invitation email
+   * @param {Object} user - User object
+   * @param {string} invitationUrl - Link to the page that sets the password
+   * @param {number} expiresInHours - Hours until the link expires
+   * @returns {string} Text content
+   */
+  generateInvitationEmailText(user, invitationUrl, expiresInHours) {
+    return `
+Welcome to RepairO
+
+Hello ${user.firstName}!
+
+A RepairO account has been created for you with this email address. Choose a password to start using it. If you weren't expecting this invitation, you can safely ignore this email.
+
+IMPORTANT: This link can only be used once and expires in ${expiresInHours} hours.
+
+To set your password, visit this link:
+${invitationUrl}
 
 Best regards,
 The RepairO Team
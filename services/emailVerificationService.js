@@ -0,0 +1,143 @@
+/**
+ * Email Verification Service
+ * Handles email address verification for users and service providers
+ * Issues signed, expiring verification links and applies the unverified account policy
+ */
+
+const emailService = require('./emailService');
+const AccountService = require('./accountService');
+const KeyService = require('./keyService');
+
+// Purpose claim that distinguishes verification tokens from access tokens
+const TOKEN_PURPOSE = 'email-verification';
+
+/**
+ * Email Verification Service Class
+ * Contains all email verification-related business logic
+ */
+class EmailVerificationService {
+
+  /**
+   * Get the policy for accounts that have not verified their email address
+   * Each flag can be changed through environment variables
+   * @returns {Object} - Policy flags
+   */
+  static getPolicy() {
+    return {
+      // Whether unverified accounts may log in
+      allowLogin: process.env.UNVERIFIED_ALLOW_LOGIN !== 'false',
+      // Whether unverified accounts may update their profile
+      allowProfileUpdates: process.env.UNVERIFIED_ALLOW_PROFILE_UPDATES !== 'false',
+      // Whether unverified service providers appear in expertise search
+      listUnverifiedProviders: process.env.UNVERIFIED_PROVIDERS_LISTED === 'true'
+    };
+  }
+
+  /**
+   * Generate a signed verification token bound to the account's current email address
+   * @param {Object} user - User or service provider document
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {string} - Signed verification token
+   */
+  static generateVerificationToken(user, userType) {
+    return KeyService.signPurposeToken(
+      { userId: user._id, userType, email: user.email, purpose: TOKEN_PURPOSE },
+      { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+    );
+  }
+
+  /**
+   * Send a verification link to the account's email address
+   * @param {Object} user - User or service provider document
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Promise<Object>} - Email service response
+   */
+  static async sendVerificationEmail(user, userType) {
+    const token = this.generateVerificationToken(user, userType);
+    const baseUrl = process.env.EMAIL_VERIFICATION_URL ||
+      `${process.env.API_URL || 'http://localhost:3000'}/api/auth/verify-email`;
+    const verificationUrl = `${baseUrl}?token=${encodeURIComponent(token)}`;
+
+    return await emailService.sendVerificationEmail(user, verificationUrl);
+  }
+
+  /**
+   * Verify an email address using a verification token
+   * @param {string} token - Verification token from the emailed link
+   * @returns {Promise<Object>} - Result with message
+   * @throws {Error} - If token invalid or expired
+   */
+  static async verifyEmail(token) {
+    try {
+      let decoded;
+      try {
+        decoded = KeyService.verifyPurposeToken(token);
+      } catch (jwtError) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      if (decoded.purpose !== TOKEN_PURPOSE) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      // Select the appropriate model based on the account type in the token
+      const user = await AccountService.getModel(decoded.userType).findById(decoded.userId);
+
+      // The token is only valid for the address it was issued for
+      if (!user || user.email !== decoded.email) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      if (user.emailVerified) {
+        return {
+          message: 'Email address already verified'
+        };
+      }
+
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      // Welcome the account now that the address is confirmed
+      try {
+        await emailService.sendWelcomeEmail(user);
+      } catch (emailError) {
+        console.error('Failed to send welcome email:', emailError);
+        // Don't fail verification if email fails
+      }
+
+      return {
+        message: 'Email address verified successfully'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resend the verification link for an unverified account
+   * Always returns the same response so it cannot be used to discover accounts
+   * @param {string} email - Email address of the account
+   * @returns {Promise<Object>} - Result with message
+   */
+  static async resendVerification(email) {
+    try {
+      // Find the single account registered with this email
+      const account = await AccountService.findByEmail(email);
+
+      // Only unverified accounts get a new link
+      if (account && !account.user.emailVerified) {
+        await this.sendVerificationEmail(account.user, account.userType);
+      }
+
+      return {
+        message: 'If an unverified account exists for this email, a new verification link has been sent'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the EmailVerificationService class
+module.exports = EmailVerificationService;
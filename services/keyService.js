@@ -0,0 +1,267 @@
+/**
+ * Key Service
+ * Handles signing and verification of access tokens and single-purpose tokens (email links, login challenges)
+ * Supports the shared-secret HS256 setup as well as RS256/ES256 with key IDs,
+ * key rotation with a grace window for previous keys, and a public JWKS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Algorithms that sign with a private key and publish a public key
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+// How long verifiers may cache the published JWKS, in seconds - new keys are published this long before they sign
+const JWKS_MAX_AGE_SECONDS = 300;
+
+// Default location of the key set written by scripts/rotateJwtKey.js
+const DEFAULT_KEYSET_FILE = path.join(__dirname, '..', 'keys', 'jwt-keyset.json');
+
+// Key set cache - reloaded whenever the file changes on disk
+let cachedKeyset = null;
+let cachedMtime = 0;
+
+/**
+ * Key Service Class
+ * Contains all access token signing-related business logic
+ */
+class KeyService {
+
+  /**
+   * Get the configured signing algorithm
+   * @returns {string} - 'HS256', 'RS256' or 'ES256'
+   */
+  static getAlgorithm() {
+    return process.env.JWT_ALGORITHM || 'HS256';
+  }
+
+  /**
+   * Get the key set file location
+   * @returns {string} - Path to the key set file
+   */
+  static getKeysetFile() {
+    return process.env.JWT_KEYSET_FILE || DEFAULT_KEYSET_FILE;
+  }
+
+  /**
+   * Get how long a retired key keeps verifying tokens, in milliseconds
+   * Must be at least as long as the access token lifetime
+   * @returns {number} - Grace window in milliseconds
+   */
+  static getGracePeriod() {
+    const hours = parseFloat(process.env.JWT_KEY_GRACE_PERIOD_HOURS) || 24;
+    return hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Check whether access tokens are signed with a private key
+   * @returns {boolean} - True for RS256 and ES256
+   */
+  static isAsymmetric() {
+    return ASYMMETRIC_ALGORITHMS.includes(this.getAlgorithm());
+  }
+
+  /**
+   * Get the secret single-purpose tokens are signed with
+   * JWT_SECRET is shared with other services under HS256, so once access tokens are signed with a
+   * private key these tokens need a secret that only this service holds
+   * @returns {string} - TOKEN_SECRET, or JWT_SECRET while access tokens use HS256 and TOKEN_SECRET is not set
+   * @throws {Error} - If TOKEN_SECRET is missing under RS256/ES256
+   */
+  static getTokenSecret() {
+    if (process.env.TOKEN_SECRET) {
+      return process.env.TOKEN_SECRET;
+    }
+
+    if (this.isAsymmetric()) {
+      throw new Error('TOKEN_SECRET must be set when access tokens are signed with RS256 or ES256');
+    }
+
+    return process.env.JWT_SECRET;
+  }
+
+  /**
+   * Get how long verifiers may cache the published JWKS
+   * A rotated key only starts signing once every cached copy of the JWKS includes it
+   * @returns {number} - Cache lifetime in seconds
+   */
+  static getJwksMaxAge() {
+    return JWKS_MAX_AGE_SECONDS;
+  }
+
+  /**
+   * Get the issuer claim for access tokens
+   * @returns {string} - Issuer
+   */
+  static getIssuer() {
+    return process.env.JWT_ISSUER || 'repairo-user-management';
+  }
+
+  /**
+   * Load the key set from disk, reusing the cached copy while the file is unchanged
+   * @returns {Object} - Key set with a keys array
+   * @throws {Error} - If the key set file is missing
+   */
+  static loadKeyset() {
+    const file = this.getKeysetFile();
+
+    let stats;
+    try {
+      stats = fs.statSync(file);
+    } catch (error) {
+      throw new Error(`JWT key set not found at ${file}. Run "npm run rotate-jwt-key" to create it`);
+    }
+
+    if (!cachedKeyset || stats.mtimeMs !== cachedMtime) {
+      cachedKeyset = JSON.parse(fs.readFileSync(file, 'utf8'));
+      cachedMtime = stats.mtimeMs;
+    }
+
+    return cachedKeyset;
+  }
+
+  /**
+   * Get the key currently used for signing
+   * A rotated key takes over once its activatesAt has passed; until then the previous key keeps signing
+   * @returns {Object} - Active key entry
+   * @throws {Error} - If the key set has no active key
+   */
+  static getActiveKey() {
+    const now = Date.now();
+
+    // Keys are stored newest first
+    const activeKey = this.loadKeyset().keys.find(key =>
+      (!key.activatesAt || new Date(key.activatesAt).getTime() <= now) &&
+      (!key.retiredAt || new Date(key.retiredAt).getTime() > now)
+    );
+
+    if (!activeKey) {
+      throw new Error('JWT key set has no active key. Run "npm run rotate-jwt-key" to create one');
+    }
+
+    return activeKey;
+  }
+
+  /**
+   * Get every key that may still verify tokens - the active key, keys about to activate
+   * and retired keys within their grace window
+   * @returns {Array<Object>} - Key entries
+   */
+  static getVerificationKeys() {
+    const now = Date.now();
+    const gracePeriod = this.getGracePeriod();
+
+    return this.loadKeyset().keys.filter(key =>
+      !key.retiredAt || new Date(key.retiredAt).getTime() + gracePeriod > now
+    );
+  }
+
+  /**
+   * Sign an access token payload
+   * @param {Object} payload - Token claims
+   * @param {Object} options - jsonwebtoken sign options (expiresIn, jwtid, ...)
+   * @returns {string} - Signed JWT
+   */
+  static sign(payload, options) {
+    const signOptions = { ...options, issuer: this.getIssuer() };
+
+    if (!this.isAsymmetric()) {
+      return jwt.sign(payload, process.env.JWT_SECRET, { ...signOptions, algorithm: 'HS256' });
+    }
+
+    const activeKey = this.getActiveKey();
+    return jwt.sign(payload, activeKey.privateKey, {
+      ...signOptions,
+      algorithm: activeKey.alg,
+      keyid: activeKey.kid
+    });
+  }
+
+  /**
+   * Check whether HS256 access tokens are still accepted after switching to RS256/ES256
+   * They are for JWT_KEY_GRACE_PERIOD_HOURS after the key set replaced the shared secret
+   * @returns {boolean} - True while the shared secret is within its grace window
+   */
+  static isSharedSecretInGracePeriod() {
+    const { sharedSecretRetiredAt } = this.loadKeyset();
+
+    return Boolean(process.env.JWT_SECRET && sharedSecretRetiredAt) &&
+      new Date(sharedSecretRetiredAt).getTime() + this.getGracePeriod() > Date.now();
+  }
+
+  /**
+   * Verify an access token signed by this service
+   * Throws the usual jsonwebtoken errors (JsonWebTokenError, TokenExpiredError)
+   * @param {string} token - JWT access token
+   * @returns {Object} - Decoded token claims
+   */
+  static verify(token) {
+    const verifyOptions = { issuer: this.getIssuer() };
+
+    if (!this.isAsymmetric()) {
+      return jwt.verify(token, process.env.JWT_SECRET, { ...verifyOptions, algorithms: ['HS256'] });
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+
+    // Tokens issued before the switch from HS256 keep working for the grace window
+    if (decoded && decoded.header.alg === 'HS256' && this.isSharedSecretInGracePeriod()) {
+      return jwt.verify(token, process.env.JWT_SECRET, { ...verifyOptions, algorithms: ['HS256'] });
+    }
+
+    // Pick the verification key named in the token header
+    const key = decoded && this.getVerificationKeys().find(candidate => candidate.kid === decoded.header.kid);
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { ...verifyOptions, algorithms: [key.alg] });
+  }
+
+  /**
+   * Sign a single-purpose token, such as an email link or a login challenge
+   * The payload carries a purpose claim, checked by the service that verifies the token
+   * @param {Object} payload - Token claims
+   * @param {Object} options - jsonwebtoken sign options (expiresIn, jwtid, ...)
+   * @returns {string} - Signed JWT
+   */
+  static signPurposeToken(payload, options) {
+    return jwt.sign(payload, this.getTokenSecret(), { ...options, algorithm: 'HS256' });
+  }
+
+  /**
+   * Verify a single-purpose token signed by this service
+   * Throws the usual jsonwebtoken errors (JsonWebTokenError, TokenExpiredError)
+   * @param {string} token - Single-purpose JWT
+   * @returns {Object} - Decoded token claims
+   */
+  static verifyPurposeToken(token) {
+    return jwt.verify(token, this.getTokenSecret(), { algorithms: ['HS256'] });
+  }
+
+  /**
+   * Build the public JSON Web Key Set for downstream services
+   * Under HS256 the keys are published once a key set exists, so verifiers have them before the switch
+   * @returns {Object} - JWKS document
+   */
+  static getJwks() {
+    if (!this.isAsymmetric() && !fs.existsSync(this.getKeysetFile())) {
+      return { keys: [] };
+    }
+
+    return {
+      keys: this.getVerificationKeys().map(key => ({
+        ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+// Export the KeyService class
+module.exports = KeyService;
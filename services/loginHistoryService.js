@@ -0,0 +1,146 @@
+/**
+ * Login History Service
+ * Records every login attempt of users and service providers and serves the login history
+ * Sends a security alert when a successful login comes from a device or IP not seen for the account before
+ */
+
+const LoginEvent = require('../models/LoginEvent');
+const emailService = require('./emailService');
+const TokenService = require('./tokenService');
+const AuditService = require('./auditService');
+
+// Audit log action for each login outcome - attempts still waiting for a second factor are not audited
+const AUDIT_ACTIONS = {
+  success: 'login.succeeded',
+  failure: 'login.failed'
+};
+
+// Longest User-Agent header stored
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Read the login history settings from environment variables
+ * @returns {Object} - Login history settings
+ */
+const getSettings = () => ({
+  // Days a login event is kept
+  retentionDays: parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 90,
+  // Events returned when no limit is given
+  defaultLimit: 50,
+  // Most events returned in one response
+  maxLimit: 100
+});
+
+/**
+ * Login History Service Class
+ * Contains all login history-related business logic
+ */
+class LoginHistoryService {
+
+  /**
+   * Record a login attempt
+   * Successful and failed attempts on a known account also go to the audit log
+   * Never throws - a history write must not change the outcome of the login
+   * @param {Object} attempt - The attempt to record
+   * @param {string} attempt.method - 'password', 'two_factor', 'magic_link' or 'passkey'
+   * @param {string} attempt.outcome - 'success', 'failure' or 'two_factor_required'
+   * @param {string} [attempt.email] - Email address used for the attempt
+   * @param {Object} [attempt.user] - Matching user or service provider document
+   * @param {string} [attempt.userType] - Type of the matching account
+   * @param {string} [attempt.failureReason] - Why the attempt failed
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client User-Agent header
+   * @returns {Promise<Object|null>} - The recorded event, or null if nothing could be recorded
+   */
+  static async recordAttempt({ method, outcome, email, user, userType, failureReason }, context = {}) {
+    try {
+      const userAgent = context.userAgent ? String(context.userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null;
+      const deviceHash = userAgent ? TokenService.hashToken(userAgent) : null;
+      const ip = context.ip || null;
+
+      // Compare with earlier successful logins before this one is stored
+      const newDevice = Boolean(user) && outcome === 'success' &&
+        await this.isNewDevice(user._id, deviceHash, ip);
+
+      const event = await LoginEvent.create({
+        userId: user ? user._id : null,
+        userType: user ? userType : null,
+        email: user ? user.email : (email ? String(email) : null),
+        method,
+        outcome,
+        failureReason: failureReason || null,
+        ip,
+        userAgent,
+        deviceHash,
+        newDevice,
+        expiresAt: new Date(Date.now() + getSettings().retentionDays * 24 * 60 * 60 * 1000)
+      });
+
+      if (newDevice) {
+        emailService.sendNewDeviceLoginEmail(user, event)
+          .catch(error => console.error('Failed to send new device login email:', error));
+      }
+
+      if (user && AUDIT_ACTIONS[outcome]) {
+        const account = { userId: user._id, userType };
+        await AuditService.record({
+          action: AUDIT_ACTIONS[outcome],
+          actor: account,
+          target: account,
+          metadata: { method, failureReason: failureReason || null, newDevice }
+        }, context);
+      }
+
+      return event;
+    } catch (error) {
+      console.error('Failed to record login attempt:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a login comes from a device or IP the account has not logged in from before
+   * The first login of an account is never reported, since there is nothing to compare it with
+   * @param {string} userId - The account's ID
+   * @param {string|null} deviceHash - Hash of the client User-Agent
+   * @param {string|null} ip - Client IP address
+   * @returns {Promise<boolean>} - True if the device or the IP is new
+   */
+  static async isNewDevice(userId, deviceHash, ip) {
+    const previous = { userId, outcome: 'success' };
+
+    const [anyLogin, knownDevice, knownIp] = await Promise.all([
+      LoginEvent.exists(previous),
+      LoginEvent.exists({ ...previous, deviceHash }),
+      LoginEvent.exists({ ...previous, ip })
+    ]);
+
+    return Boolean(anyLogin) && !(knownDevice && knownIp);
+  }
+
+  /**
+   * Get the login history of an account
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {number} [limit] - Most events to return (at most 100)
+   * @returns {Promise<Array>} - Login events, newest first
+   */
+  static async getHistory(userId, userType, limit) {
+    try {
+      const { defaultLimit, maxLimit } = getSettings();
+      const count = Math.min(Math.max(parseInt(limit, 10) || defaultLimit, 1), maxLimit);
+
+      const events = await LoginEvent.find({ userId, userType })
+        .sort({ createdAt: -1 })
+        .limit(count);
+
+      return events.map(event => event.toJSON());
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the LoginHistoryService class
+module.exports = LoginHistoryService;
@@ -0,0 +1,177 @@
+/**
+ * Login Throttle Service
+ * Protects the login flow against brute-force attacks
+ * Tracks failed attempts per account and per client IP, applies progressive delays
+ * and temporarily locks accounts and IP addresses that keep failing
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Read the throttling settings from environment variables
+ * @returns {Object} - Throttling settings
+ */
+const getSettings = () => ({
+  // Failures per account before progressive delays start
+  delayAfterFailures: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES, 10) || 3,
+  // Upper bound for the progressive delay in seconds
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 60,
+  // Failures per account before it is locked
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 10,
+  // Failures per client IP before it is locked
+  maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50,
+  // Lockout duration, also the window after which failures are forgotten
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15
+});
+
+/**
+ * Build the counter key for an account
+ * Keyed by email so unknown addresses are throttled exactly like real accounts
+ * @param {string} email - Email address used to log in
+ * @returns {string} - Counter key
+ */
+const accountKey = (email) => `login:account:${String(email).toLowerCase()}`;
+
+/**
+ * Build the counter key for a client IP address
+ * @param {string} ip - Client IP address
+ * @returns {string} - Counter key
+ */
+const ipKey = (ip) => `login:ip:${ip}`;
+
+/**
+ * Login Throttle Service Class
+ * Contains all brute-force protection-related business logic
+ */
+class LoginThrottleService {
+
+  /**
+   * Work out how long a counter still blocks further attempts
+   * @param {Object|null} counter - Rate limit document
+   * @param {boolean} progressive - Whether progressive delays apply to this counter
+   * @returns {number} - Seconds until the next attempt is allowed, 0 if allowed now
+   */
+  static getRetryAfter(counter, progressive) {
+    if (!counter) {
+      return 0;
+    }
+
+    const now = Date.now();
+
+    // Locked counters block until the lockout ends
+    if (counter.lockedUntil && counter.lockedUntil.getTime() > now) {
+      return Math.ceil((counter.lockedUntil.getTime() - now) / 1000);
+    }
+
+    // Progressive delay doubles with every failure past the threshold
+    const { delayAfterFailures, maxDelaySeconds } = getSettings();
+    if (progressive && counter.count >= delayAfterFailures && counter.lastAttemptAt) {
+      const delaySeconds = Math.min(2 ** (counter.count - delayAfterFailures), maxDelaySeconds);
+      const nextAllowedAt = counter.lastAttemptAt.getTime() + delaySeconds * 1000;
+      if (nextAllowedAt > now) {
+        return Math.ceil((nextAllowedAt - now) / 1000);
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Ensure a login attempt is currently allowed for the account and client IP
+   * @param {string} email - Email address used to log in
+   * @param {string} [ip] - Client IP address
+   * @returns {Promise<void>}
+   * @throws {Error} - With a retryAfter property (seconds) if the attempt is throttled
+   */
+  static async assertAllowed(email, ip) {
+    const [accountCounter, ipCounter] = await Promise.all([
+      RateLimit.findOne({ key: accountKey(email) }),
+      ip ? RateLimit.findOne({ key: ipKey(ip) }) : null
+    ]);
+
+    // Shared IPs only get the hard lockout so one attacker cannot slow everyone down
+    const retryAfter = Math.max(
+      this.getRetryAfter(accountCounter, true),
+      this.getRetryAfter(ipCounter, false)
+    );
+
+    if (retryAfter > 0) {
+      const error = new Error('Too many login attempts. Please try again later.');
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failure against a key and lock it once the limit is reached
+   * @param {string} key - Counter key
+   * @param {number} maxFailures - Failures allowed before locking
+   * @returns {Promise<Date|null>} - Lockout end if this failure locked the key, otherwise null
+   */
+  static async countFailure(key, maxFailures) {
+    const { lockoutMinutes } = getSettings();
+    const windowMs = lockoutMinutes * 60 * 1000;
+    const now = new Date();
+
+    const counter = await RateLimit.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $set: { lastAttemptAt: now, expiresAt: new Date(now.getTime() + windowMs) }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (counter.count < maxFailures) {
+      return null;
+    }
+
+    // Lock the key and start counting again once the lockout is over
+    const lockedUntil = new Date(now.getTime() + windowMs);
+    await RateLimit.updateOne(
+      { key },
+      { $set: { count: 0, lockedUntil, expiresAt: new Date(lockedUntil.getTime() + windowMs) } }
+    );
+
+    return lockedUntil;
+  }
+
+  /**
+   * Record a failed login attempt for the account and client IP
+   * @param {string} email - Email address used to log in
+   * @param {string} [ip] - Client IP address
+   * @returns {Promise<Object>} - { accountLockedUntil } set when this failure locked the account
+   */
+  static async recordFailure(email, ip) {
+    const { maxAccountFailures, maxIpFailures } = getSettings();
+
+    const [accountLockedUntil] = await Promise.all([
+      this.countFailure(accountKey(email), maxAccountFailures),
+      ip ? this.countFailure(ipKey(ip), maxIpFailures) : null
+    ]);
+
+    return { accountLockedUntil };
+  }
+
+  /**
+   * Clear the failure counter of an account after a successful login
+   * The IP counter is kept so one valid login cannot reset an attacker's budget
+   * @param {string} email - Email address used to log in
+   * @returns {Promise<void>}
+   */
+  static async recordSuccess(email) {
+    await RateLimit.deleteOne({ key: accountKey(email) });
+  }
+
+  /**
+   * Remove the lockout and failure counter of an account
+   * @param {string} email - Email address of the account
+   * @returns {Promise<void>}
+   */
+  static async unlockAccount(email) {
+    await RateLimit.deleteOne({ key: accountKey(email) });
+  }
+}
+
+// Export the LoginThrottleService class
+module.exports = LoginThrottleService;
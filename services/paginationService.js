@@ -0,0 +1,189 @@
+/**
+ * Pagination Service
+ * Shared paging, filtering and sorting for the admin listing endpoints
+ * Account listings are paged by page number and always sorted on a whitelisted field, with the ID as tie-breaker
+ */
+
+const AccountStatusService = require('./accountStatusService');
+
+// Fields the admin listings can be sorted on
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'firstName', 'lastName', 'email', 'postcode'];
+
+// Sort used when none is given - newest accounts first
+const DEFAULT_SORT = '-createdAt';
+
+/**
+ * Read the paging settings
+ * @returns {Object} - Paging settings
+ */
+const getSettings = () => ({
+  // Accounts per page when no limit is given
+  defaultLimit: 20,
+  // Most accounts per page
+  maxLimit: 100
+});
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pagination Service Class
+ * Contains all listing-related helpers
+ */
+class PaginationService {
+
+  /**
+   * Get the fields the admin listings can be sorted on
+   * @returns {Array<string>} - Field names
+   */
+  static getSortFields() {
+    return SORT_FIELDS;
+  }
+
+  /**
+   * Get the most accounts a page can hold
+   * @returns {number} - Page size limit
+   */
+  static getMaxLimit() {
+    return getSettings().maxLimit;
+  }
+
+  /**
+   * Build the MongoDB sort for a sort parameter
+   * A leading '-' sorts descending; unknown fields fall back to the default sort
+   * @param {string} [sort] - Sort parameter, e.g. 'lastName' or '-createdAt'
+   * @returns {Object} - MongoDB sort document
+   */
+  static buildSort(sort) {
+    const value = SORT_FIELDS.includes(String(sort).replace(/^-/, '')) ? String(sort) : DEFAULT_SORT;
+    const direction = value.startsWith('-') ? -1 : 1;
+
+    // The ID keeps the order stable between pages when the sort field has equal values
+    return { [value.replace(/^-/, '')]: direction, _id: direction };
+  }
+
+  /**
+   * Build the filter shared by user and service provider listings
+   * @param {Object} options - Listing options
+   * @param {Date} [options.createdFrom] - Only accounts created at or after this date
+   * @param {Date} [options.createdTo] - Only accounts created at or before this date
+   * @param {string} [options.postcode] - Postcode prefix, matched case-insensitively
+   * @param {boolean} [options.emailVerified] - Only accounts with this email verification status
+   * @param {boolean} [options.phoneVerified] - Only accounts with this phone verification status
+   * @param {string} [options.status] - Only accounts with this status in force ('active', 'suspended' or 'banned')
+   * @returns {Object} - MongoDB filter
+   */
+  static buildAccountFilter({ createdFrom, createdTo, postcode, emailVerified, phoneVerified, status } = {}) {
+    const filter = {};
+
+    if (createdFrom || createdTo) {
+      filter.createdAt = {};
+      if (createdFrom) {
+        filter.createdAt.$gte = new Date(createdFrom);
+      }
+      if (createdTo) {
+        filter.createdAt.$lte = new Date(createdTo);
+      }
+    }
+
+    if (postcode) {
+      filter.postcode = { $regex: `^${escapeRegExp(String(postcode).trim())}`, $options: 'i' };
+    }
+
+    if (typeof emailVerified === 'boolean') {
+      filter.emailVerified = emailVerified;
+    }
+
+    if (typeof phoneVerified === 'boolean') {
+      filter.phoneVerified = phoneVerified;
+    }
+
+    if (status) {
+      Object.assign(filter, AccountStatusService.getStatusFilter(status));
+    }
+
+    return filter;
+  }
+
+  /**
+   * Work out which page to return
+   * @param {Object} options - Paging options
+   * @param {number} [options.page] - Page number, starting at 1
+   * @param {number} [options.limit] - Documents per page (at most 100)
+   * @returns {Object} - { page, limit, skip }
+   */
+  static getPage({ page, limit } = {}) {
+    const { defaultLimit, maxLimit } = getSettings();
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || defaultLimit, 1), maxLimit);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+  }
+
+  /**
+   * Describe a page for the response
+   * @param {Object} page - Page returned by getPage()
+   * @param {number} total - Documents matching the filter
+   * @returns {Object} - { page, limit, total, totalPages }
+   */
+  static buildPagination({ page, limit }, total) {
+    return { page, limit, total, totalPages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * Find one page of accounts
+   * @param {Object} Model - Mongoose model to query
+   * @param {Object} filter - MongoDB filter
+   * @param {Object} options - Paging options
+   * @param {number} [options.page] - Page number, starting at 1
+   * @param {number} [options.limit] - Documents per page (at most 100)
+   * @param {string} [options.sort] - Sort parameter
+   * @returns {Promise<Object>} - { items, pagination: { page, limit, total, totalPages } }
+   */
+  static async paginate(Model, filter, options = {}) {
+    const page = this.getPage(options);
+
+    const [items, total] = await Promise.all([
+      Model.find(filter)
+        .select('-password')
+        .sort(this.buildSort(options.sort))
+        .skip(page.skip)
+        .limit(page.limit),
+      Model.countDocuments(filter)
+    ]);
+
+    return { items, pagination: this.buildPagination(page, total) };
+  }
+
+  /**
+   * Build the links to the next and previous pages
+   * The links keep every other query parameter of the request
+   * @param {string} path - Path of the listing, e.g. '/api/users'
+   * @param {Object} query - Query parameters of the request
+   * @param {Object} pagination - Pagination returned by paginate()
+   * @returns {Object} - { next, prev }, each a relative URL or null
+   */
+  static buildLinks(path, query, { page, limit, totalPages }) {
+    const linkTo = (targetPage) => {
+      const params = new URLSearchParams();
+      Object.entries(query).forEach(([key, value]) => {
+        [].concat(value).forEach(item => params.append(key, item instanceof Date ? item.toISOString() : item));
+      });
+      params.set('page', targetPage);
+      params.set('limit', limit);
+      return `${path}?${params.toString()}`;
+    };
+
+    return {
+      next: page < totalPages ? linkTo(page + 1) : null,
+      prev: page > 1 ? linkTo(Math.min(page - 1, Math.max(totalPages, 1))) : null
+    };
+  }
+}
+
+// Export the PaginationService class
+module.exports = PaginationService;
@@ -0,0 +1,340 @@
+/**
+ * Passkey Service
+ * Handles WebAuthn passkey registration, passkey login and passkey management
+ * Challenges are stored server-side and can be answered once; protocol checks live in WebAuthnService
+ */
+
+const Passkey = require('../models/Passkey');
+const AuthChallenge = require('../models/AuthChallenge');
+const WebAuthnService = require('./webAuthnService');
+const AccountService = require('./accountService');
+const AuthService = require('./authService');
+const EmailVerificationService = require('./emailVerificationService');
+const LoginThrottleService = require('./loginThrottleService');
+const RateLimitService = require('./rateLimitService');
+const LoginHistoryService = require('./loginHistoryService');
+const AuditService = require('./auditService');
+
+/**
+ * Read the passkey login throttling settings from environment variables
+ * @returns {Object} - Throttling settings
+ */
+const getLoginLimits = () => ({
+  // Login challenges per client IP per window
+  maxPerIp: parseInt(process.env.PASSKEY_LOGIN_MAX_PER_IP, 10) || 30,
+  // Window length in milliseconds
+  windowMs: (parseInt(process.env.PASSKEY_LOGIN_WINDOW_MINUTES, 10) || 5) * 60 * 1000
+});
+
+/**
+ * Get the WebAuthn user handle of an account
+ * The handle is the account ID's bytes, so it identifies the account without personal data
+ * @param {Object|string} userId - The account's ID
+ * @returns {string} - base64url user handle
+ */
+const getUserHandle = (userId) => Buffer.from(String(userId), 'hex').toString('base64url');
+
+/**
+ * Store a new challenge
+ * @param {string} ceremony - 'registration' or 'authentication'
+ * @param {Object} [owner] - { userId, userType } of the registering account
+ * @returns {Promise<string>} - base64url challenge
+ */
+const createChallenge = async (ceremony, owner = {}) => {
+  const challenge = WebAuthnService.generateChallenge();
+  const { challengeExpiresMinutes } = WebAuthnService.getSettings();
+
+  await AuthChallenge.create({
+    challenge,
+    ceremony,
+    userId: owner.userId || null,
+    userType: owner.userType || null,
+    expiresAt: new Date(Date.now() + challengeExpiresMinutes * 60 * 1000)
+  });
+
+  return challenge;
+};
+
+/**
+ * Use up the challenge a response answers
+ * The challenge is deleted whether or not the response turns out to be valid
+ * @param {Object} credential - PublicKeyCredential JSON from the client
+ * @param {string} ceremony - 'registration' or 'authentication'
+ * @returns {Promise<Object|null>} - The stored challenge, or null if it is unknown, used or expired
+ */
+const consumeChallenge = async (credential, ceremony) => {
+  const challenge = WebAuthnService.getChallenge(credential);
+  if (!challenge) {
+    return null;
+  }
+
+  return AuthChallenge.findOneAndDelete({ challenge, ceremony, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Passkey Service Class
+ * Contains all passkey-related business logic
+ */
+class PasskeyService {
+
+  /**
+   * Start registering a passkey for the logged-in account
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Promise<Object>} - PublicKeyCredentialCreationOptions for navigator.credentials.create()
+   * @throws {Error} - If the account no longer exists
+   */
+  static async generateRegistrationOptions(userId, userType) {
+    try {
+      const user = await AccountService.getModel(userType).findById(userId);
+
+      if (!user) {
+        throw new Error('Account not found');
+      }
+
+      const { rpId, rpName, challengeExpiresMinutes, userVerification } = WebAuthnService.getSettings();
+      const challenge = await createChallenge('registration', { userId: user._id, userType });
+
+      // Stop the authenticator from creating a second passkey for the same account
+      const existing = await Passkey.find({ userId: user._id }, 'credentialId transports');
+
+      return {
+        rp: { id: rpId, name: rpName },
+        user: {
+          id: getUserHandle(user._id),
+          name: user.email,
+          displayName: `${user.firstName} ${user.lastName}`
+        },
+        challenge,
+        pubKeyCredParams: WebAuthnService.getSupportedAlgorithms().map(alg => ({ type: 'public-key', alg })),
+        timeout: challengeExpiresMinutes * 60 * 1000,
+        attestation: 'none',
+        excludeCredentials: existing.map(passkey => ({
+          type: 'public-key',
+          id: passkey.credentialId,
+          transports: passkey.transports
+        })),
+        // Discoverable credentials let the user log in without typing an email address
+        authenticatorSelection: {
+          residentKey: 'required',
+          requireResidentKey: true,
+          userVerification
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Finish registering a passkey
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.create()
+   * @param {string} [name] - Name to show in the passkey list
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message and the stored passkey
+   * @throws {Error} - If the challenge is unknown or expired, the response fails verification or the
+   * passkey is already registered
+   */
+  static async verifyRegistration(userId, userType, credential, name, context = {}) {
+    try {
+      const challenge = await consumeChallenge(credential, 'registration');
+
+      // Registration challenges only count for the account they were issued to
+      if (!challenge || String(challenge.userId) !== String(userId) || challenge.userType !== userType) {
+        throw new Error('Invalid or expired passkey challenge');
+      }
+
+      const verified = WebAuthnService.verifyRegistrationResponse(credential, challenge.challenge);
+
+      const passkey = await Passkey.create({
+        userId,
+        userType,
+        ...verified,
+        name: name || undefined
+      });
+
+      const account = { userId: passkey.userId, userType };
+      await AuditService.record({
+        action: 'passkey.registered',
+        actor: account,
+        target: account,
+        metadata: { passkeyId: passkey._id }
+      }, context);
+
+      return {
+        message: 'Passkey registered successfully',
+        passkey: passkey.toJSON()
+      };
+    } catch (error) {
+      // Handle MongoDB duplicate key errors for the credential ID
+      if (error.code === 11000) {
+        throw new Error('Passkey is already registered');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start a passkey login
+   * No email address is needed: the authenticator offers the passkeys it holds for this site
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @returns {Promise<Object>} - PublicKeyCredentialRequestOptions for navigator.credentials.get()
+   * @throws {Error} - With a retryAfter property (seconds) if the client IP requested too many challenges
+   */
+  static async generateAuthenticationOptions(context = {}) {
+    try {
+      // Every challenge is stored, so limit how many one client can create
+      if (context.ip) {
+        const { maxPerIp, windowMs } = getLoginLimits();
+        const ipLimit = await RateLimitService.hit(`passkey-login:ip:${context.ip}`, maxPerIp, windowMs);
+        if (!ipLimit.allowed) {
+          const error = new Error('Too many passkey login attempts. Please try again later.');
+          error.retryAfter = ipLimit.retryAfter;
+          throw error;
+        }
+      }
+
+      const { rpId, challengeExpiresMinutes, userVerification } = WebAuthnService.getSettings();
+      const challenge = await createChallenge('authentication');
+
+      return {
+        challenge,
+        rpId,
+        timeout: challengeExpiresMinutes * 60 * 1000,
+        userVerification,
+        allowCredentials: []
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Log in with a passkey
+   * Returns the same payload as a password login. A user-verified passkey already combines the
+   * device with a PIN or biometrics, so only unverified assertions go through the two-factor step
+   * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.get()
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client User-Agent header
+   * @returns {Promise<Object>} - Login result with tokens and user/serviceProvider data, or a
+   * two-factor challenge
+   * @throws {Error} - If the challenge or passkey is unknown, the response fails verification or
+   * the attempt is throttled
+   */
+  static async login(credential, context = {}) {
+    let account = null;
+    try {
+      const challenge = await consumeChallenge(credential, 'authentication');
+      if (!challenge) {
+        throw new Error('Invalid or expired passkey challenge');
+      }
+
+      const passkey = credential && typeof credential.id === 'string'
+        ? await Passkey.findOne({ credentialId: credential.id })
+        : null;
+      if (!passkey) {
+        throw new Error('Passkey not recognised');
+      }
+
+      const { userType } = passkey;
+      const user = await AccountService.getModel(userType).findById(passkey.userId);
+      if (!user) {
+        throw new Error('Passkey not recognised');
+      }
+      account = { user, userType };
+
+      // Refuse the attempt while the account or client IP is throttled
+      await LoginThrottleService.assertAllowed(user.email, context.ip);
+
+      let result;
+      try {
+        result = WebAuthnService.verifyAuthenticationResponse(
+          credential, challenge.challenge, passkey, getUserHandle(user._id)
+        );
+      } catch (verificationError) {
+        await AuthService.handleFailedLogin(user.email, user, context);
+        throw verificationError;
+      }
+
+      passkey.signCount = result.signCount;
+      passkey.backedUp = result.backedUp;
+      passkey.lastUsedAt = new Date();
+      await passkey.save();
+
+      // Apply the unverified account policy
+      if (!user.emailVerified && !EmailVerificationService.getPolicy().allowLogin) {
+        throw new Error('Please verify your email address before logging in');
+      }
+
+      // Without user verification the passkey is a single factor
+      if (user.twoFactorEnabled && !result.userVerified) {
+        return await AuthService.startTwoFactorLogin(user, userType, 'passkey', context);
+      }
+
+      // Issue access and refresh tokens for successful authentication
+      return await AuthService.completeLogin(user, userType, 'passkey', context);
+    } catch (error) {
+      // Unknown passkeys belong to no account and are not recorded
+      if (account) {
+        await LoginHistoryService.recordAttempt(
+          { method: 'passkey', outcome: 'failure', ...account, failureReason: error.message },
+          context
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the passkeys of an account
+   * @param {string} userId - The account's ID
+   * @returns {Promise<Array>} - Passkeys, newest first, without key material
+   */
+  static async listPasskeys(userId) {
+    try {
+      const passkeys = await Passkey.find({ userId }).sort({ createdAt: -1 });
+      return passkeys.map(passkey => passkey.toJSON());
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a passkey from an account
+   * @param {string} userId - The account's ID
+   * @param {string} passkeyId - ID of the passkey to remove
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message
+   * @throws {Error} - If the account has no passkey with this ID
+   */
+  static async removePasskey(userId, passkeyId, context = {}) {
+    try {
+      const passkey = await Passkey.findOneAndDelete({ _id: passkeyId, userId });
+
+      if (!passkey) {
+        throw new Error('Passkey not found');
+      }
+
+      const account = { userId: passkey.userId, userType: passkey.userType };
+      await AuditService.record({
+        action: 'passkey.removed',
+        actor: account,
+        target: account,
+        metadata: { passkeyId: passkey._id }
+      }, context);
+
+      return {
+        message: 'Passkey removed successfully'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the PasskeyService class
+module.exports = PasskeyService;
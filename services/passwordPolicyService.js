@@ -0,0 +1,155 @@
+/**
+ * Password Policy Service
+ * Central password policy used by registration, password resets and password changes
+ * Enforces length limits, rejects personal information and checks a bundled
+ * list of known-breached and common passwords without any network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bundled list of known-breached and common passwords
+const DEFAULT_BREACHED_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+// Shortest name or email fragment that is checked for inside a password
+const MIN_PERSONAL_FRAGMENT_LENGTH = 3;
+
+// Loaded lazily on first use
+let breachedPasswords = null;
+
+/**
+ * Load the breached password list into memory
+ * @returns {Set<string>} - Lower-cased breached passwords
+ */
+const loadBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    const file = process.env.BREACHED_PASSWORDS_FILE || DEFAULT_BREACHED_PASSWORDS_FILE;
+    breachedPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return breachedPasswords;
+};
+
+/**
+ * Password Policy Service Class
+ * Contains all password policy-related business logic
+ */
+class PasswordPolicyService {
+
+  /**
+   * Get the password policy settings
+   * Each setting can be changed through environment variables
+   * @returns {Object} - Policy settings
+   */
+  static getPolicy() {
+    return {
+      // Minimum number of characters
+      minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+      // Maximum number of characters - bcrypt only uses the first 72 bytes
+      maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 72,
+      // Whether passwords containing the account's name or email are rejected
+      rejectPersonalInfo: process.env.PASSWORD_REJECT_PERSONAL_INFO !== 'false',
+      // Whether passwords on the breached password list are rejected
+      rejectBreached: process.env.PASSWORD_REJECT_BREACHED !== 'false'
+    };
+  }
+
+  /**
+   * Check whether a password appears on the breached password list
+   * Variants with digits or symbols tacked on the end ("password123!") also count
+   * @param {string} password - Password to check
+   * @returns {boolean} - True if the password is known to be breached or common
+   */
+  static isBreached(password) {
+    const list = loadBreachedPasswords();
+    const lower = password.toLowerCase();
+    const stem = lower.replace(/[\d\W_]+$/, '');
+
+    return list.has(lower) || (stem.length >= 4 && list.has(stem));
+  }
+
+  /**
+   * Get the individual policy rules
+   * Each rule returns an error message, or null if the password passes
+   * @returns {Array<Function>} - Rules taking (password, account)
+   */
+  static getRules() {
+    const policy = this.getPolicy();
+
+    return [
+      // Length limits
+      (password) => (password.length < policy.minLength
+        ? `Password must be at least ${policy.minLength} characters long`
+        : null),
+      (password) => (password.length > policy.maxLength
+        ? `Password must be at most ${policy.maxLength} characters long`
+        : null),
+
+      // Personal information - names and the local part of the email address
+      (password, account = {}) => {
+        if (!policy.rejectPersonalInfo) {
+          return null;
+        }
+
+        const lower = password.toLowerCase();
+        const fragments = [account.firstName, account.lastName, String(account.email || '').split('@')[0]]
+          .filter(Boolean)
+          .map(fragment => String(fragment).trim().toLowerCase())
+          .filter(fragment => fragment.length >= MIN_PERSONAL_FRAGMENT_LENGTH);
+
+        return fragments.some(fragment => lower.includes(fragment))
+          ? 'Password must not contain your name or email address'
+          : null;
+      },
+
+      // Known-breached and common passwords
+      (password) => (policy.rejectBreached && this.isBreached(password)
+        ? 'Password is too common or has appeared in a data breach'
+        : null)
+    ];
+  }
+
+  /**
+   * Check a password against every policy rule
+   * @param {string} password - Password to check
+   * @param {Object} [account] - Account details the password must not contain
+   * @param {string} [account.firstName] - First name
+   * @param {string} [account.lastName] - Last name
+   * @param {string} [account.email] - Email address
+   * @param {string} [field] - Request field name used in the error list
+   * @returns {Array<Object>} - Failures as { field, message }, empty if the password passes
+   */
+  static validate(password, account = {}, field = 'password') {
+    const value = String(password || '');
+
+    return this.getRules()
+      .map(rule => rule(value, account))
+      .filter(Boolean)
+      .map(message => ({ field, message }));
+  }
+
+  /**
+   * Ensure a password satisfies the policy
+   * @param {string} password - Password to check
+   * @param {Object} [account] - Account details the password must not contain
+   * @param {string} [field] - Request field name used in the error list
+   * @throws {Error} - With an errors property listing every failure
+   */
+  static assertValid(password, account = {}, field = 'password') {
+    const errors = this.validate(password, account, field);
+
+    if (errors.length > 0) {
+      const error = new Error('Password does not meet the password policy');
+      error.errors = errors;
+      throw error;
+    }
+  }
+}
+
+// Export the PasswordPolicyService class
+module.exports = PasswordPolicyService;
@@ -0,0 +1,207 @@
+/**
+ * Phone Verification Service
+ * Verifies the phone numbers of users and service providers with one-time SMS codes
+ * Applies send rate limits, code expiry and a limit on wrong codes
+ */
+
+const crypto = require('crypto');
+const PhoneVerificationCode = require('../models/PhoneVerificationCode');
+const smsService = require('./smsService');
+const AccountService = require('./accountService');
+const RateLimitService = require('./rateLimitService');
+const TokenService = require('./tokenService');
+
+/**
+ * Read the phone verification settings from environment variables
+ * @returns {Object} - Phone verification settings
+ */
+const getSettings = () => ({
+  // Minutes until a code expires
+  codeExpiresMinutes: parseInt(process.env.PHONE_VERIFICATION_CODE_EXPIRES_MINUTES, 10) || 10,
+  // Wrong codes allowed before the code is discarded
+  maxAttempts: parseInt(process.env.PHONE_VERIFICATION_MAX_ATTEMPTS, 10) || 5,
+  // Codes sent per account and per phone number per window
+  maxSends: parseInt(process.env.PHONE_VERIFICATION_MAX_SENDS, 10) || 3,
+  // Codes sent per client IP per window
+  maxSendsPerIp: parseInt(process.env.PHONE_VERIFICATION_MAX_SENDS_PER_IP, 10) || 20,
+  // Rate limit window in milliseconds
+  windowMs: (parseInt(process.env.PHONE_VERIFICATION_WINDOW_MINUTES, 10) || 60) * 60 * 1000
+});
+
+/**
+ * Hash a code together with the account it was issued to
+ * @param {string} userId - The account's ID
+ * @param {string} code - One-time code
+ * @returns {string} - Code hash
+ */
+const hashCode = (userId, code) => TokenService.hashToken(`${userId}:${code}`);
+
+/**
+ * Build a rate limit error
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the next attempt is allowed
+ * @returns {Error} - Error with a retryAfter property
+ */
+const rateLimitError = (message, retryAfter) => {
+  const error = new Error(message);
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Get the country code given to national numbers that start with 0
+ * RepairO serves the UK, so +44 is assumed unless PHONE_DEFAULT_COUNTRY_CODE says otherwise
+ * @returns {string} - Country code such as '+44', or '' if national numbers are refused
+ */
+const defaultCountryCode = () => process.env.PHONE_DEFAULT_COUNTRY_CODE ?? '+44';
+
+/**
+ * Phone Verification Service Class
+ * Contains all phone verification-related business logic
+ */
+class PhoneVerificationService {
+
+  /**
+   * Normalise a phone number to international (E.164) format
+   * Spaces, dashes, dots and brackets are removed and a leading 00 becomes +. Numbers starting
+   * with a single 0 get PHONE_DEFAULT_COUNTRY_CODE (+44 by default) in place of the 0; setting it
+   * to an empty value requires every number to include its country code.
+   * @param {string} phoneNumber - Phone number as entered
+   * @returns {string|null} - Normalised number, or null if it cannot be read as an international number
+   */
+  static normalizePhoneNumber(phoneNumber) {
+    let normalised = String(phoneNumber).replace(/[\s\-.()]/g, '');
+
+    if (normalised.startsWith('00')) {
+      normalised = `+${normalised.slice(2)}`;
+    } else if (/^0[1-9]/.test(normalised) && defaultCountryCode()) {
+      normalised = `${defaultCountryCode()}${normalised.slice(1)}`;
+    }
+
+    return /^\+[1-9]\d{6,14}$/.test(normalised) ? normalised : null;
+  }
+
+  /**
+   * Send a verification code to the account's phone number
+   * Requesting a new code replaces any earlier one
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @returns {Promise<Object>} - Result with message and expiry in seconds
+   * @throws {Error} - If the number is already verified or unusable, or with retryAfter when rate limited
+   */
+  static async sendCode(userId, userType, context = {}) {
+    try {
+      const user = await AccountService.getModel(userType).findById(userId);
+
+      if (!user) {
+        throw new Error('Account not found');
+      }
+
+      if (user.phoneVerified) {
+        throw new Error('Phone number is already verified');
+      }
+
+      const phoneNumber = this.normalizePhoneNumber(user.phoneNumber);
+      if (!phoneNumber || phoneNumber !== user.phoneNumber) {
+        throw new Error('Please update your phone number to international format (e.g. +447700900123) first');
+      }
+
+      // Limit codes per account, per phone number and per client IP
+      const { codeExpiresMinutes, maxSends, maxSendsPerIp, windowMs } = getSettings();
+      const limits = await Promise.all([
+        RateLimitService.hit(`phone-verification:account:${user._id}`, maxSends, windowMs),
+        RateLimitService.hit(`phone-verification:phone:${phoneNumber}`, maxSends, windowMs),
+        context.ip ? RateLimitService.hit(`phone-verification:ip:${context.ip}`, maxSendsPerIp, windowMs) : null
+      ]);
+      const blocked = limits.filter(limit => limit && !limit.allowed);
+      if (blocked.length > 0) {
+        throw rateLimitError(
+          'Too many verification codes requested. Please try again later.',
+          Math.max(...blocked.map(limit => limit.retryAfter))
+        );
+      }
+
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+      await PhoneVerificationCode.findOneAndUpdate(
+        { userId: user._id },
+        {
+          userType,
+          phoneNumber,
+          codeHash: hashCode(user._id, code),
+          attempts: 0,
+          expiresAt: new Date(Date.now() + codeExpiresMinutes * 60 * 1000)
+        },
+        { upsert: true }
+      );
+
+      await smsService.sendVerificationCode(phoneNumber, code, codeExpiresMinutes);
+
+      return {
+        message: 'Verification code sent',
+        expiresIn: codeExpiresMinutes * 60
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check a verification code and mark the phone number as verified
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {string} code - One-time code from the SMS
+   * @returns {Promise<Object>} - Result with message
+   * @throws {Error} - If the code is wrong, expired or has had too many wrong attempts
+   */
+  static async verifyCode(userId, userType, code) {
+    try {
+      const user = await AccountService.getModel(userType).findById(userId);
+
+      if (!user) {
+        throw new Error('Account not found');
+      }
+
+      // Count the attempt up front so concurrent guesses cannot exceed the limit
+      const { maxAttempts } = getSettings();
+      const record = await PhoneVerificationCode.findOneAndUpdate(
+        { userId: user._id, expiresAt: { $gt: new Date() } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      // Codes only count for the number they were sent to
+      if (!record || record.phoneNumber !== user.phoneNumber) {
+        throw new Error('Invalid or expired verification code');
+      }
+
+      if (record.attempts > maxAttempts) {
+        await PhoneVerificationCode.deleteOne({ _id: record._id });
+        throw new Error('Too many incorrect codes. Please request a new code');
+      }
+
+      const expected = Buffer.from(record.codeHash, 'hex');
+      const actual = Buffer.from(hashCode(user._id, String(code)), 'hex');
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        throw new Error('Invalid or expired verification code');
+      }
+
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+      await user.save();
+
+      await PhoneVerificationCode.deleteOne({ _id: record._id });
+
+      return {
+        message: 'Phone number verified successfully'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the PhoneVerificationService class
+module.exports = PhoneVerificationService;
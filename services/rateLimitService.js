@@ -0,0 +1,74 @@
+/**
+ * Rate Limit Service
+ * Fixed-window request counters for actions that send emails or messages
+ * Counters are stored in the shared rate limit collection and expire with their window
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Rate Limit Service Class
+ * Contains all request rate limiting-related business logic
+ */
+class RateLimitService {
+
+  /**
+   * Count a request in the key's current window, if one is still open
+   * @param {string} key - Counter key
+   * @param {Date} now - Time of the request
+   * @returns {Promise<Object|null>} - Updated counter, or null if no window is open
+   */
+  static countInOpenWindow(key, now) {
+    return RateLimit.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 }, $set: { lastAttemptAt: now } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Count a request against a key
+   * @param {string} key - Counter key, e.g. "forgot-password:ip:203.0.113.7"
+   * @param {number} limit - Requests allowed per window
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} - { allowed, retryAfter } with retryAfter in seconds when not allowed
+   */
+  static async hit(key, limit, windowMs) {
+    const now = new Date();
+
+    let counter = await this.countInOpenWindow(key, now);
+
+    // Otherwise start a new window - only over an expired counter, so a window a concurrent
+    // request has just opened is never reset
+    if (!counter) {
+      try {
+        counter = await RateLimit.findOneAndUpdate(
+          { key, expiresAt: { $lte: now } },
+          { $set: { count: 1, lastAttemptAt: now, expiresAt: new Date(now.getTime() + windowMs) } },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        // A concurrent request opened the window first (duplicate key) - count this one in it
+        if (error.code !== 11000) {
+          throw error;
+        }
+        counter = await this.countInOpenWindow(key, now);
+        if (!counter) {
+          throw error;
+        }
+      }
+    }
+
+    if (counter.count <= limit) {
+      return { allowed: true, retryAfter: 0 };
+    }
+
+    return {
+      allowed: false,
+      retryAfter: Math.max(Math.ceil((counter.expiresAt.getTime() - now.getTime()) / 1000), 1)
+    };
+  }
+}
+
+// Export the RateLimitService class
+module.exports = RateLimitService;
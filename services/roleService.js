@@ -0,0 +1,108 @@
+/**
+ * Role Service
+ * Defines the staff roles and the permissions they grant, and assigns roles to accounts
+ * Permissions use the same names as API key scopes, so one check covers both kinds of caller
+ */
+
+// Every permission a role can grant
+const PERMISSIONS = [
+  'users:read',
+  'users:write',
+  'providers:read',
+  'providers:write',
+  'api-keys:manage',
+  'roles:manage',
+  'audit:read',
+  'stats:read'
+];
+
+// Permissions granted by each role
+const ROLE_PERMISSIONS = {
+  // Full access, including API keys and role assignment
+  admin: PERMISSIONS,
+  // Helps homeowners with their accounts, e.g. unlocking them
+  support: ['users:read', 'users:write', 'providers:read'],
+  // Looks after service provider listings
+  moderator: ['users:read', 'providers:read', 'providers:write']
+};
+
+/**
+ * Role Service Class
+ * Contains all role-related business logic
+ */
+class RoleService {
+
+  /**
+   * Get all roles with the permissions they grant
+   * @returns {Object} - Map of role name to permission names
+   */
+  static getRoles() {
+    return ROLE_PERMISSIONS;
+  }
+
+  /**
+   * Get the names of all roles
+   * @returns {Array<string>} - Role names
+   */
+  static getRoleNames() {
+    return Object.keys(ROLE_PERMISSIONS);
+  }
+
+  /**
+   * Get the permissions granted by a set of roles
+   * Unknown roles grant nothing
+   * @param {Array<string>} [roles] - Role names
+   * @returns {Array<string>} - Permission names, without duplicates
+   */
+  static getPermissions(roles = []) {
+    return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+  }
+
+  /**
+   * Check whether a set of roles grants a permission
+   * @param {Array<string>} [roles] - Role names
+   * @param {string} permission - Permission name, e.g. 'users:read'
+   * @returns {boolean} - True if one of the roles grants the permission
+   */
+  static hasPermission(roles = [], permission) {
+    return this.getPermissions(roles).includes(permission);
+  }
+
+  /**
+   * Replace the roles of an account
+   * @param {Object} account - User or service provider document
+   * @param {string} userType - Type of the account ('user' or 'serviceProvider')
+   * @param {Array<string>} roles - New role names
+   * @param {Object} assignedBy - { userId, userType } of the admin assigning the roles
+   * @returns {Promise<Object>} - Result with message and the account's roles and permissions
+   * @throws {Error} - If a role is unknown or admins try to remove their own admin role
+   */
+  static async assignRoles(account, userType, roles, assignedBy) {
+    try {
+      const unknownRoles = roles.filter(role => !ROLE_PERMISSIONS[role]);
+      if (unknownRoles.length > 0) {
+        throw new Error(`Unknown role: ${unknownRoles.join(', ')}`);
+      }
+
+      // Keep admins from locking themselves out of role management
+      const isSelf = String(account._id) === String(assignedBy.userId) && userType === assignedBy.userType;
+      if (isSelf && account.roles.includes('admin') && !roles.includes('admin')) {
+        throw new Error('You cannot remove your own admin role');
+      }
+
+      account.roles = [...new Set(roles)];
+      await account.save();
+
+      return {
+        message: 'Roles updated successfully',
+        roles: account.roles,
+        permissions: this.getPermissions(account.roles)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the RoleService class
+module.exports = RoleService;
@@ -0,0 +1,93 @@
+/**
+ * Service Client Service
+ * Handles authentication of other RepairO services calling the internal endpoints
+ * Clients are configured through INTERNAL_SERVICE_CLIENTS as comma-separated "clientId:secret" pairs
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time
+ * Both values are hashed first so inputs of different lengths can be compared
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Service Client Service Class
+ * Contains all internal service client-related business logic
+ */
+class ServiceClientService {
+
+  /**
+   * Get the configured service clients
+   * @returns {Map<string, string>} - Client secrets keyed by client ID
+   */
+  static getClients() {
+    const clients = new Map();
+
+    (process.env.INTERNAL_SERVICE_CLIENTS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const separator = entry.indexOf(':');
+        if (separator > 0 && separator < entry.length - 1) {
+          clients.set(entry.slice(0, separator), entry.slice(separator + 1));
+        }
+      });
+
+    return clients;
+  }
+
+  /**
+   * Check a client's credentials
+   * @param {string} clientId - Client ID
+   * @param {string} clientSecret - Client secret
+   * @returns {boolean} - True if the credentials belong to a configured client
+   */
+  static authenticate(clientId, clientSecret) {
+    const expectedSecret = this.getClients().get(clientId);
+
+    // Compare against a throwaway value for unknown clients so timing does not reveal client IDs
+    const matches = safeEqual(clientSecret, expectedSecret || crypto.randomBytes(32).toString('hex'));
+    return Boolean(expectedSecret) && matches;
+  }
+
+  /**
+   * Parse HTTP Basic credentials from an Authorization header
+   * @param {string} header - Authorization header value
+   * @returns {Object|null} - { clientId, clientSecret }, or null if the header is not Basic auth
+   */
+  static parseBasicAuth(header) {
+    const match = /^Basic\s+(.+)$/i.exec(header || '');
+    if (!match) {
+      return null;
+    }
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+
+    // Client IDs and secrets are URL-encoded before being joined (RFC 6749 section 2.3.1)
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export the ServiceClientService class
+module.exports = ServiceClientService;
@@ -5,6 +5,20 @@
  */
 
 const ServiceProvider = require('../models/ServiceProvider');
+const Passkey = require('../models/Passkey');
+const LoginThrottleService = require('./loginThrottleService');
+const AccountService = require('./accountService');
+const LoginHistoryService = require('./loginHistoryService');
+const RoleService = require('./roleService');
+const PaginationService = require('./paginationService');
+const AccountStatusService = require('./accountStatusService');
+const EmailVerificationService = require('./emailVerificationService');
+const AuditService = require('./auditService');
+
+// Profile fields an account holder may change through a profile update
+const UPDATABLE_FIELDS = [
+  'firstName', 'lastName', 'phoneNumber', 'address', 'postcode', 'expertise', 'businessBio'
+];
 
 /**
  * Service Provider Service Class
@@ -45,17 +59,38 @@ class ServiceProviderService {
    * @param {string} [updateData.postcode] - Provider's postcode
    * @param {Array<string>} [updateData.expertise] - Provider's expertise categories
    * @param {string} [updateData.businessBio] - Provider's business description
+   * @param {Object} [context] - Request context with the client IP and User-Agent
    * @returns {Promise<Object>} - Updated service provider object without password
    * @throws {Error} - If service provider not found or validation fails
    */
-  static async updateServiceProvider(providerId, updateData) {
+  static async updateServiceProvider(providerId, updateData, context = {}) {
     try {
       // Find and update service provider with new data
       // new: true returns the updated document
       // runValidators: true ensures validation runs on update
+      // Only whitelisted profile fields are applied - security fields are never set from a request
+      const updates = {};
+      UPDATABLE_FIELDS.forEach(field => {
+        if (updateData[field] !== undefined) {
+          updates[field] = updateData[field];
+        }
+      });
+
+      // Keep the current values for the audit log
+      const before = await ServiceProvider.findById(providerId);
+      if (!before) {
+        throw new Error('Service provider not found');
+      }
+
+      // A new phone number has to be verified again
+      if (updates.phoneNumber !== undefined && updates.phoneNumber !== before.phoneNumber) {
+        updates.phoneVerified = false;
+        updates.phoneVerifiedAt = null;
+      }
+
       const serviceProvider = await ServiceProvider.findByIdAndUpdate(
         providerId,
-        { $set: updateData },
+        { $set: updates },
         { new: true, runValidators: true }
       );
 
@@ -64,6 +99,12 @@ class ServiceProviderService {
         throw new Error('Service provider not found');
       }
 
+      const changes = AuditService.diff(before, serviceProvider, Object.keys(updates));
+      if (changes.length > 0) {
+        const account = { userId: serviceProvider._id, userType: 'serviceProvider' };
+        await AuditService.record({ action: 'profile.updated', actor: account, target: account, changes }, context);
+      }
+
       return serviceProvider;
     } catch (error) {
       throw error;
@@ -73,10 +114,11 @@ class ServiceProviderService {
   /**
    * Delete service provider account permanently
    * @param {string} providerId - The service provider's unique identifier
+   * @param {Object} [context] - Request context with the client IP and User-Agent
    * @returns {Promise<Object>} - Success message
    * @throws {Error} - If service provider not found
    */
-  static async deleteServiceProvider(providerId) {
+  static async deleteServiceProvider(providerId, context = {}) {
     try {
       // Find and delete service provider from database
       const serviceProvider = await ServiceProvider.findByIdAndDelete(providerId);
@@ -85,6 +127,15 @@ class ServiceProviderService {
       if (!serviceProvider) {
         throw new Error('Service provider not found');
       }
+
+      // Free the email address for future registrations
+      await AccountService.releaseEmail(serviceProvider.email, serviceProvider._id);
+
+      // Remove the account's passkeys so they cannot be used again
+      await Passkey.deleteMany({ userId: serviceProvider._id });
+
+      const account = { userId: serviceProvider._id, userType: 'serviceProvider' };
+      await AuditService.record({ action: 'account.deleted', actor: account, target: account }, context);
       
       return { message: 'Service provider deleted successfully' };
     } catch (error) {
@@ -93,15 +144,211 @@ class ServiceProviderService {
   }
 
   /**
-   * Get all service providers in the system (for admin purposes)
-   * @returns {Promise<Array>} - Array of all service providers without passwords
+   * Lift a login lockout and clear the failed attempt counter (for admin purposes)
+   * @param {string} providerId - The service provider's unique identifier
+   * @param {Object} actor - { userId, userType } of the admin or API key lifting the lockout
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Success message
+   * @throws {Error} - If service provider not found
+   */
+  static async unlockServiceProvider(providerId, actor, context = {}) {
+    try {
+      // Find service provider to get the email address the lockout is keyed by
+      const serviceProvider = await ServiceProvider.findById(providerId);
+      
+      // Check if service provider exists
+      if (!serviceProvider) {
+        throw new Error('Service provider not found');
+      }
+      
+      await LoginThrottleService.unlockAccount(serviceProvider.email);
+
+      await AuditService.record({
+        action: 'account.unlocked',
+        actor,
+        target: { userId: serviceProvider._id, userType: 'serviceProvider' }
+      }, context);
+      
+      return { message: 'Account unlocked successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the login history of a service provider
+   * @param {string} providerId - The service provider's unique identifier
+   * @param {number} [limit] - Most login attempts to return
+   * @returns {Promise<Array>} - Login attempts, newest first
+   * @throws {Error} - If service provider not found
+   */
+  static async getLoginHistory(providerId, limit) {
+    try {
+      // Check if service provider exists
+      const serviceProvider = await ServiceProvider.findById(providerId);
+      if (!serviceProvider) {
+        throw new Error('Service provider not found');
+      }
+
+      return await LoginHistoryService.getHistory(serviceProvider._id, 'serviceProvider', limit);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the staff roles of a service provider (for admin purposes)
+   * @param {string} providerId - The service provider's unique identifier
+   * @param {Array<string>} roles - New role names
+   * @param {Object} assignedBy - { userId, userType } of the admin assigning the roles
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message, roles and permissions
+   * @throws {Error} - If service provider not found or the roles cannot be assigned
+   */
+  static async updateRoles(providerId, roles, assignedBy, context = {}) {
+    try {
+      // Check if service provider exists
+      const serviceProvider = await ServiceProvider.findById(providerId);
+      if (!serviceProvider) {
+        throw new Error('Service provider not found');
+      }
+
+      const before = { roles: [...serviceProvider.roles] };
+      const result = await RoleService.assignRoles(serviceProvider, 'serviceProvider', roles, assignedBy);
+
+      await AuditService.record({
+        action: 'roles.updated',
+        actor: assignedBy,
+        target: { userId: serviceProvider._id, userType: 'serviceProvider' },
+        changes: AuditService.diff(before, result, ['roles'])
+      }, context);
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Suspend, ban or reinstate a service provider (for admin purposes)
+   * @param {string} providerId - The service provider's unique identifier
+   * @param {Object} statusData - { status, reason?, expiresAt? }
+   * @param {Object} setBy - { userId, userType, roles } of the admin or { userId, userType } of the API key
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message and the new status
+   * @throws {Error} - If service provider not found or the status cannot be set
+   */
+  static async updateStatus(providerId, statusData, setBy, context = {}) {
+    try {
+      // Check if service provider exists
+      const serviceProvider = await ServiceProvider.findById(providerId);
+      if (!serviceProvider) {
+        throw new Error('Service provider not found');
+      }
+
+      const before = AccountStatusService.getStatusDetails(serviceProvider);
+      const result = await AccountStatusService.setStatus(serviceProvider, 'serviceProvider', statusData, setBy);
+
+      await AuditService.record({
+        action: 'status.updated',
+        actor: setBy,
+        target: { userId: serviceProvider._id, userType: 'serviceProvider' },
+        changes: AuditService.diff(before, result.accountStatus, ['status', 'reason', 'expiresAt'])
+      }, context);
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of service providers (for admin purposes)
+   * @param {Object} [options] - Listing options
+   * @param {number} [options.page] - Page number, starting at 1
+   * @param {number} [options.limit] - Service providers per page (at most 100)
+   * @param {string} [options.sort] - Sort field, '-' prefix for descending (default: -createdAt)
+   * @param {Date} [options.createdFrom] - Only providers created at or after this date
+   * @param {Date} [options.createdTo] - Only providers created at or before this date
+   * @param {string} [options.postcode] - Postcode prefix
+   * @param {Array<string>} [options.expertise] - Only providers with any of these expertise categories
+   * @param {boolean} [options.emailVerified] - Email verification status
+   * @param {boolean} [options.phoneVerified] - Phone verification status
+   * @param {string} [options.status] - Account status ('active', 'suspended' or 'banned')
+   * @returns {Promise<Object>} - { serviceProviders, pagination: { page, limit, total, totalPages } }
    * @throws {Error} - If database operation fails
    */
-  static async getAllServiceProviders() {
+  static async getAllServiceProviders(options = {}) {
     try {
-      // Find all service providers and exclude password field from results
-      const serviceProviders = await ServiceProvider.find({}).select('-password');
-      return serviceProviders;
+      const filter = PaginationService.buildAccountFilter(options);
+
+      if (options.expertise && options.expertise.length > 0) {
+        filter.expertise = { $in: [].concat(options.expertise) };
+      }
+
+      const { items, pagination } = await PaginationService.paginate(ServiceProvider, filter, options);
+
+      return { serviceProviders: items, pagination };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the audit log activity of a service provider (for admin purposes)
+   * @param {string} providerId - The service provider's unique identifier
+   * @param {Object} [options] - Action and date filters and paging options ({ page, limit })
+   * @returns {Promise<Object>} - { activity, pagination: { page, limit, total, totalPages } }
+   * @throws {Error} - If service provider not found
+   */
+  static async getActivity(providerId, options = {}) {
+    try {
+      // Check if service provider exists
+      const serviceProvider = await ServiceProvider.findById(providerId);
+      if (!serviceProvider) {
+        throw new Error('Service provider not found');
+      }
+
+      return await AuditService.getActivity(serviceProvider._id, 'serviceProvider', options);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the MongoDB filter that matches the service providers shown to the public
+   * Unverified providers are hidden unless the verification policy lists them;
+   * suspended and banned providers are always hidden
+   * @returns {Object} - MongoDB filter
+   */
+  static getListedFilter() {
+    const filter = { ...AccountStatusService.getActiveFilter() };
+
+    // Hide providers that have not verified their email address - providers stored before
+    // verification existed have no flag and stay listed
+    if (!EmailVerificationService.getPolicy().listUnverifiedProviders) {
+      filter.emailVerified = { $ne: false };
+    }
+
+    return filter;
+  }
+
+  /**
+   * Get a service provider shown to the public, for its public card
+   * @param {string} providerId - The service provider's unique identifier
+   * @returns {Promise<Object>} - Service provider object
+   * @throws {Error} - If the service provider does not exist or is hidden from the public
+   */
+  static async getListedServiceProvider(providerId) {
+    try {
+      // Hidden providers are reported as missing so the card cannot reveal that they exist
+      const serviceProvider = await ServiceProvider.findOne({ _id: providerId, ...this.getListedFilter() });
+
+      if (!serviceProvider) {
+        throw new Error('Service provider not found');
+      }
+
+      return serviceProvider;
     } catch (error) {
       throw error;
     }
@@ -110,6 +357,7 @@ class ServiceProviderService {
   /**
    * Get service providers by specific expertise category
    * Useful for finding providers with particular skills
+   * Only providers shown to the public are returned (see getListedFilter)
    * @param {string} expertise - The expertise category to search for
    * @returns {Promise<Array>} - Array of service providers with matching expertise
    * @throws {Error} - If database operation fails
@@ -118,9 +366,9 @@ class ServiceProviderService {
     try {
       // Find service providers that have the specified expertise
       // $in operator matches any value in the expertise array
-      const serviceProviders = await ServiceProvider.find({
-        expertise: { $in: [expertise] }
-      }).select('-password');
+      const filter = { expertise: { $in: [expertise] }, ...this.getListedFilter() };
+
+      const serviceProviders = await ServiceProvider.find(filter).select('-password');
       
       return serviceProviders;
     } catch (error) {
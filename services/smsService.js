@@ -0,0 +1,131 @@
+/**
+ * SMS Service
+ * Sends text messages through a pluggable transport
+ * Ships with console and file transports for local development and tests; production deployments
+ * point SMS_TRANSPORT at a module that talks to their SMS provider
+ *
+ * A transport is any object with a send({ to, body }) method that returns a promise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Console Transport
+ * Prints messages to the server log instead of sending them
+ */
+class ConsoleTransport {
+  /**
+   * Print a message
+   * @param {Object} message - { to, body }
+   * @returns {Promise<Object>} - Transport response
+   */
+  async send({ to, body }) {
+    console.log(`📱 SMS to ${to}: ${body}`);
+    return { message: 'SMS written to console' };
+  }
+}
+
+/**
+ * File Transport
+ * Appends messages to a JSON lines file so tests and developers can read the codes
+ */
+class FileTransport {
+  /**
+   * @param {string} filePath - File the messages are appended to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append a message to the file
+   * @param {Object} message - { to, body }
+   * @returns {Promise<Object>} - Transport response
+   */
+  async send({ to, body }) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      `${JSON.stringify({ to, body, sentAt: new Date().toISOString() })}\n`
+    );
+    return { message: 'SMS written to file' };
+  }
+}
+
+class SmsService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Create the transport selected by SMS_TRANSPORT
+   * "console" (default), "file", or a path to a module exporting a transport or a transport factory
+   * @returns {Object} - SMS transport
+   */
+  createTransport() {
+    const transportName = process.env.SMS_TRANSPORT || 'console';
+
+    if (transportName === 'console') {
+      return new ConsoleTransport();
+    }
+
+    if (transportName === 'file') {
+      return new FileTransport(process.env.SMS_FILE_PATH || path.join(__dirname, '..', 'logs', 'sms.log'));
+    }
+
+    // Custom transports are resolved relative to the working directory
+    const customTransport = require(path.resolve(transportName));
+    return typeof customTransport === 'function' ? customTransport() : customTransport;
+  }
+
+  /**
+   * Get the transport in use, creating it on first use
+   * @returns {Object} - SMS transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport, e.g. with an in-memory transport in tests
+   * @param {Object|null} transport - SMS transport, or null to go back to SMS_TRANSPORT
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a text message
+   * @param {string} to - Phone number in international format
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} Transport response
+   */
+  async sendSms(to, body) {
+    try {
+      return await this.getTransport().send({ to, body });
+    } catch (error) {
+      console.error('Error sending SMS:', error.message);
+      throw new Error('SMS service unavailable. Please try again later.');
+    }
+  }
+
+  /**
+   * Send a phone verification code
+   * @param {string} to - Phone number in international format
+   * @param {string} code - One-time code
+   * @param {number} expiresInMinutes - Minutes until the code expires
+   * @returns {Promise<Object>} Transport response
+   */
+  async sendVerificationCode(to, code, expiresInMinutes) {
+    return this.sendSms(
+      to,
+      `Your RepairO verification code is ${code}. It expires in ${expiresInMinutes} minutes. Never share this code.`
+    );
+  }
+}
+
+module.exports = new SmsService();
@@ -0,0 +1,216 @@
+/**
+ * Stats Service
+ * Aggregates registration, verification and status figures over users and service providers for admins
+ * Every figure is computed by MongoDB aggregation pipelines - no accounts are loaded into memory
+ */
+
+const ServiceProvider = require('../models/ServiceProvider');
+const AccountService = require('./accountService');
+const PaginationService = require('./paginationService');
+
+// Date format of each sign-up period (UTC) - weeks are ISO 8601 weeks, e.g. 2026-W42
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Leading letters of a UK postcode, which name its postcode area
+const POSTCODE_AREA = /^[A-Z]{1,2}/;
+
+// Area reported for postcodes that do not start with letters
+const UNKNOWN_AREA = 'Unknown';
+
+/**
+ * Build the aggregation expression that works out the status in force for each account
+ * Mirrors AccountStatusService.getEffectiveStatus: a suspension whose expiry has passed counts as active
+ * @param {Date} now - Time to compare suspension expiries against
+ * @returns {Object} - Aggregation expression evaluating to 'active', 'suspended' or 'banned'
+ */
+const effectiveStatus = (now) => ({
+  $switch: {
+    branches: [
+      { case: { $eq: ['$status', 'banned'] }, then: 'banned' },
+      {
+        case: {
+          $and: [
+            { $eq: ['$status', 'suspended'] },
+            { $not: [{ $and: ['$statusExpiresAt', { $lte: ['$statusExpiresAt', now] }] }] }
+          ]
+        },
+        then: 'suspended'
+      }
+    ],
+    default: 'active'
+  }
+});
+
+/**
+ * Count the documents for which an expression is true
+ * @param {Object} condition - Aggregation expression
+ * @returns {Object} - $sum accumulator
+ */
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+/**
+ * Stats Service Class
+ * Contains all admin statistics-related business logic
+ */
+class StatsService {
+
+  /**
+   * Get the intervals sign-ups can be grouped by
+   * @returns {Array<string>} - Interval names
+   */
+  static getIntervals() {
+    return Object.keys(INTERVAL_FORMATS);
+  }
+
+  /**
+   * Build the aggregation facets shared by users and service providers
+   * @param {string} interval - 'day', 'week' or 'month'
+   * @param {Date} now - Time to compare suspension expiries against
+   * @returns {Object} - $facet stage contents
+   */
+  static buildAccountFacets(interval, now) {
+    return {
+      total: [{ $count: 'count' }],
+
+      signups: [
+        {
+          $group: {
+            _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$createdAt' } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', count: 1 } }
+      ],
+
+      // The postcode area is the leading letters, e.g. 'SW' for 'SW1A 1AA'
+      postcodeAreas: [
+        {
+          $project: {
+            match: { $regexFind: { input: { $toUpper: { $ifNull: ['$postcode', ''] } }, regex: POSTCODE_AREA } }
+          }
+        },
+        { $group: { _id: { $ifNull: ['$match.match', UNKNOWN_AREA] }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, area: '$_id', count: 1 } }
+      ],
+
+      // Accounts stored before verification existed have no flags and count as unverified
+      verification: [
+        {
+          $group: {
+            _id: null,
+            emailVerified: countWhere({ $eq: ['$emailVerified', true] }),
+            phoneVerified: countWhere({ $eq: ['$phoneVerified', true] }),
+            fullyVerified: countWhere({ $and: [{ $eq: ['$emailVerified', true] }, { $eq: ['$phoneVerified', true] }] })
+          }
+        },
+        { $project: { _id: 0 } }
+      ],
+
+      status: [
+        { $group: { _id: effectiveStatus(now), count: { $sum: 1 } } }
+      ]
+    };
+  }
+
+  /**
+   * Turn the facet results of one account type into the response shape
+   * @param {Object} facets - Result of the $facet stage
+   * @returns {Object} - { total, signups, postcodeAreas, verification, status }
+   */
+  static formatAccountStats(facets) {
+    const total = facets.total.length > 0 ? facets.total[0].count : 0;
+    const verified = facets.verification[0] || { emailVerified: 0, phoneVerified: 0, fullyVerified: 0 };
+    const statusCounts = Object.fromEntries(facets.status.map(({ _id, count }) => [_id, count]));
+
+    return {
+      total,
+      signups: facets.signups,
+      postcodeAreas: facets.postcodeAreas,
+      verification: {
+        email: { verified: verified.emailVerified, unverified: total - verified.emailVerified },
+        phone: { verified: verified.phoneVerified, unverified: total - verified.phoneVerified },
+        fullyVerified: verified.fullyVerified
+      },
+      status: {
+        active: statusCounts.active || 0,
+        suspended: statusCounts.suspended || 0,
+        banned: statusCounts.banned || 0
+      }
+    };
+  }
+
+  /**
+   * Aggregate the statistics of one account type
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {Object} filter - MongoDB filter selecting the accounts
+   * @param {string} interval - 'day', 'week' or 'month'
+   * @param {Date} now - Time to compare suspension expiries against
+   * @returns {Promise<Object>} - Account statistics; service providers also get expertise counts
+   */
+  static async aggregateAccounts(userType, filter, interval, now) {
+    const facets = this.buildAccountFacets(interval, now);
+
+    if (userType === 'serviceProvider') {
+      facets.expertise = [
+        { $unwind: '$expertise' },
+        { $group: { _id: '$expertise', count: { $sum: 1 } } }
+      ];
+    }
+
+    const [result] = await AccountService.getModel(userType).aggregate([
+      { $match: filter },
+      { $facet: facets }
+    ]);
+
+    const stats = this.formatAccountStats(result);
+
+    if (userType === 'serviceProvider') {
+      // Every category is listed, including those without providers; a provider counts once per category
+      const counts = Object.fromEntries(result.expertise.map(({ _id, count }) => [_id, count]));
+      stats.expertise = ServiceProvider.getExpertiseCategories()
+        .map(category => ({ category, count: counts[category] || 0 }));
+    }
+
+    return stats;
+  }
+
+  /**
+   * Get registration and account statistics (for admin purposes)
+   * Every figure covers the accounts created within the date range, or all accounts without one
+   * @param {Object} [options] - Statistics options
+   * @param {Date} [options.from] - Only accounts created at or after this date
+   * @param {Date} [options.to] - Only accounts created at or before this date
+   * @param {string} [options.interval] - Sign-up period: 'day' (default), 'week' or 'month'
+   * @returns {Promise<Object>} - { range, interval, generatedAt, users, serviceProviders }
+   */
+  static async getStats({ from, to, interval = 'day' } = {}) {
+    try {
+      const filter = PaginationService.buildAccountFilter({ createdFrom: from, createdTo: to });
+      const now = new Date();
+
+      const [users, serviceProviders] = await Promise.all([
+        this.aggregateAccounts('user', filter, interval, now),
+        this.aggregateAccounts('serviceProvider', filter, interval, now)
+      ]);
+
+      return {
+        range: { from: from || null, to: to || null },
+        interval,
+        generatedAt: now,
+        users,
+        serviceProviders
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the StatsService class
+module.exports = StatsService;
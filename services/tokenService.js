@@ -0,0 +1,191 @@
+/**
+ * Token Service
+ * Handles refresh token issuing, rotation and revocation
+ * Detects reuse of rotated refresh tokens and revokes the whole token family
+ * Keeps track of access tokens revoked through logout and single-use tokens that have been used
+ */
+
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+
+/**
+ * Token Service Class
+ * Contains all token revocation-related business logic
+ */
+class TokenService {
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Plaintext token
+   * @returns {string} - SHA-256 hex digest of the token
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Get the refresh token lifetime in milliseconds
+   * @returns {number} - Lifetime in milliseconds
+   */
+  static getRefreshTokenLifetime() {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS, 10) || 30;
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Issue a new refresh token for an account
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {string} [family] - Existing token family when rotating, omitted on login
+   * @returns {Promise<Object>} - Plaintext refresh token and its stored hash
+   */
+  static async issueRefreshToken(userId, userType, family) {
+    // Generate an opaque random token - only its hash is persisted
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const tokenHash = this.hashToken(refreshToken);
+
+    await RefreshToken.create({
+      tokenHash,
+      userId,
+      userType,
+      family: family || crypto.randomUUID(),
+      expiresAt: new Date(Date.now() + this.getRefreshTokenLifetime())
+    });
+
+    return { refreshToken, tokenHash };
+  }
+
+  /**
+   * Rotate a refresh token - revoke the presented token and issue its successor
+   * Presenting a token that was already rotated out revokes the whole family
+   * @param {string} refreshToken - Plaintext refresh token presented by the client
+   * @returns {Promise<Object>} - New refresh token with the owning account's ID and type
+   * @throws {Error} - If the token is unknown, expired, revoked or reused
+   */
+  static async rotateRefreshToken(refreshToken) {
+    try {
+      const tokenHash = this.hashToken(refreshToken);
+
+      // Atomically claim the token so concurrent rotations cannot both succeed
+      const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!current) {
+        // A known but already revoked token means it was stolen or replayed
+        const existing = await RefreshToken.findOne({ tokenHash });
+        if (existing && existing.revokedAt) {
+          await this.revokeFamily(existing.family);
+          throw new Error('Refresh token reuse detected');
+        }
+
+        throw new Error('Invalid or expired refresh token');
+      }
+
+      // Issue the successor in the same family and link it to its predecessor
+      const next = await this.issueRefreshToken(current.userId, current.userType, current.family);
+      current.replacedByHash = next.tokenHash;
+      await current.save();
+
+      return {
+        refreshToken: next.refreshToken,
+        userId: current.userId,
+        userType: current.userType
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active token in a token family
+   * @param {string} family - Token family identifier
+   * @returns {Promise<void>}
+   */
+  static async revokeFamily(family) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Revoke the token family of a refresh token owned by the given account
+   * Unknown tokens and tokens owned by other accounts are ignored
+   * @param {string} refreshToken - Plaintext refresh token
+   * @param {string} userId - ID of the account logging out
+   * @returns {Promise<void>}
+   */
+  static async revokeRefreshToken(refreshToken, userId) {
+    const existing = await RefreshToken.findOne({ tokenHash: this.hashToken(refreshToken) });
+    if (existing && existing.userId.equals(userId)) {
+      await this.revokeFamily(existing.family);
+    }
+  }
+
+  /**
+   * Revoke every active refresh token of an account
+   * @param {string} userId - The account's ID
+   * @returns {Promise<void>}
+   */
+  static async revokeAllRefreshTokens(userId) {
+    await RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Revoke a single access token by its JWT ID
+   * @param {string} jti - JWT ID of the access token
+   * @param {number} exp - Token expiry as a UNIX timestamp in seconds
+   * @returns {Promise<void>}
+   */
+  static async revokeAccessToken(jti, exp) {
+    await RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { jti, expiresAt: new Date(exp * 1000) } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {string} jti - JWT ID of the access token
+   * @returns {Promise<boolean>} - True if the token was revoked
+   */
+  static async isAccessTokenRevoked(jti) {
+    const revoked = await RevokedToken.exists({ jti });
+    return Boolean(revoked);
+  }
+
+  /**
+   * Use up a single-use token, such as a magic login link
+   * The token's JWT ID goes on the revoked list, so only the first caller succeeds
+   * @param {string} jti - JWT ID of the single-use token
+   * @param {number} exp - Token expiry as a UNIX timestamp in seconds
+   * @returns {Promise<boolean>} - True if this call used the token, false if it was already used
+   */
+  static async consumeSingleUseToken(jti, exp) {
+    try {
+      const result = await RevokedToken.updateOne(
+        { jti },
+        { $setOnInsert: { jti, expiresAt: new Date(exp * 1000) } },
+        { upsert: true }
+      );
+      return result.upsertedCount === 1;
+    } catch (error) {
+      // A concurrent call inserted the same ID first
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+// Export the TokenService class
+module.exports = TokenService;
@@ -0,0 +1,377 @@
+/**
+ * Two-Factor Authentication Service
+ * Handles TOTP (RFC 6238) enrollment, verification and recovery codes
+ * Compatible with standard authenticator apps (SHA-1, 6 digits, 30 second steps)
+ */
+
+const crypto = require('crypto');
+const AccountService = require('./accountService');
+const KeyService = require('./keyService');
+const AuditService = require('./auditService');
+
+// TOTP parameters - the defaults every authenticator app supports
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+// Number of time steps accepted either side of the current one to allow for clock drift
+const TOTP_WINDOW = 1;
+
+// Number of one-time recovery codes issued when 2FA is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+// Purpose claim that distinguishes login challenge tokens from access tokens
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+// RFC 4648 base32 alphabet used by otpauth:// secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an unpadded base32 string
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+};
+
+/**
+ * Generate an HOTP code (RFC 4226) for a counter value
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Counter value (the TOTP time step)
+ * @returns {string} - Zero-padded numeric code
+ */
+const generateHotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if the strings are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Plaintext recovery code
+ * @returns {string} - SHA-256 hex digest of the normalised code
+ */
+const hashRecoveryCode = (code) => {
+  const normalised = code.replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+};
+
+/**
+ * Two-Factor Service Class
+ * Contains all two-factor authentication-related business logic
+ */
+class TwoFactorService {
+
+  /**
+   * Find the TOTP time step matching a code
+   * @param {string} secret - Base32 shared secret
+   * @param {string} code - Code entered by the user
+   * @returns {number|null} - Matching time step, or null if the code is wrong
+   */
+  static findMatchingStep(secret, code) {
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const step = currentStep + offset;
+      if (safeEqual(generateHotp(key, step), String(code))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Load an account by ID and type
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Promise<Object>} - User or service provider document
+   * @throws {Error} - If the account does not exist
+   */
+  static async getAccount(userId, userType) {
+    const user = await AccountService.getModel(userType).findById(userId);
+
+    if (!user) {
+      throw new Error('Account not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Verify a TOTP code or a recovery code for an account with 2FA enabled
+   * Used codes cannot be replayed: TOTP steps must move forward and recovery codes are consumed.
+   * Both are claimed with a conditional update, so concurrent requests carrying the same code
+   * cannot both succeed
+   * @param {Object} user - User or service provider document
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {Object} credentials - Second factor supplied by the user
+   * @param {string} [credentials.code] - TOTP code from the authenticator app
+   * @param {string} [credentials.recoveryCode] - One-time recovery code
+   * @returns {Promise<boolean>} - True if the second factor is valid
+   */
+  static async verifySecondFactor(user, userType, { code, recoveryCode }) {
+    const Model = AccountService.getModel(userType);
+
+    if (code) {
+      const step = this.findMatchingStep(user.twoFactorSecret, code);
+      if (step === null) {
+        return false;
+      }
+
+      // Only move the last used step forward - a step that has already been used matches nothing
+      const result = await Model.updateOne(
+        {
+          _id: user._id,
+          $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+        },
+        { $set: { twoFactorLastUsedStep: step } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    if (recoveryCode) {
+      // Recovery codes are single-use - only the request that removes the code succeeds
+      const codeHash = hashRecoveryCode(recoveryCode);
+      const result = await Model.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    return false;
+  }
+
+  /**
+   * Start 2FA enrollment by generating a new secret
+   * The secret only becomes active once confirmed with a valid code
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {Promise<Object>} - Base32 secret and otpauth:// URL for QR codes
+   * @throws {Error} - If 2FA is already enabled
+   */
+  static async enroll(userId, userType) {
+    try {
+      const user = await this.getAccount(userId, userType);
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      // 160-bit secret as recommended by RFC 4226
+      const secret = base32Encode(crypto.randomBytes(20));
+      user.twoFactorPendingSecret = secret;
+      await user.save();
+
+      const issuer = process.env.TWO_FACTOR_ISSUER || 'RepairO';
+      const label = encodeURIComponent(`${issuer}:${user.email}`);
+      const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+
+      return { secret, otpauthUrl };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm 2FA enrollment with a code from the authenticator app
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {string} code - TOTP code generated from the pending secret
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message and the plaintext recovery codes
+   * @throws {Error} - If there is no pending enrollment or the code is wrong
+   */
+  static async confirm(userId, userType, code, context = {}) {
+    try {
+      const user = await this.getAccount(userId, userType);
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactorPendingSecret) {
+        throw new Error('No two-factor enrollment in progress');
+      }
+
+      const step = this.findMatchingStep(user.twoFactorPendingSecret, code);
+      if (step === null) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      // Generate recovery codes - only their hashes are stored
+      const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+      });
+
+      user.twoFactorEnabled = true;
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = null;
+      user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+      user.twoFactorLastUsedStep = step;
+      await user.save();
+
+      const account = { userId: user._id, userType };
+      await AuditService.record({ action: 'two_factor.enabled', actor: account, target: account }, context);
+
+      return {
+        message: 'Two-factor authentication enabled successfully',
+        recoveryCodes
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Disable 2FA after re-checking the password and a second factor
+   * @param {string} userId - The account's ID
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @param {string} password - The account's current password
+   * @param {Object} credentials - TOTP code or recovery code
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message
+   * @throws {Error} - If 2FA is not enabled or the credentials are wrong
+   */
+  static async disable(userId, userType, password, credentials, context = {}) {
+    try {
+      const user = await this.getAccount(userId, userType);
+
+      if (!user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid || !(await this.verifySecondFactor(user, userType, credentials))) {
+        throw new Error('Invalid password or two-factor code');
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = null;
+      user.twoFactorPendingSecret = null;
+      user.twoFactorRecoveryCodes = [];
+      user.twoFactorLastUsedStep = null;
+      await user.save();
+
+      const account = { userId: user._id, userType };
+      await AuditService.record({ action: 'two_factor.disabled', actor: account, target: account }, context);
+
+      return {
+        message: 'Two-factor authentication disabled successfully'
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a short-lived challenge token for the second login step
+   * @param {Object} user - User or service provider document that passed the password check
+   * @param {string} userType - Type of account ('user' or 'serviceProvider')
+   * @returns {string} - Signed challenge token
+   */
+  static generateChallengeToken(user, userType) {
+    return KeyService.signPurposeToken(
+      { userId: user._id, userType, purpose: CHALLENGE_PURPOSE },
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+    );
+  }
+
+  /**
+   * Verify a challenge token and load the account it was issued for
+   * @param {string} challengeToken - Challenge token returned by the password step
+   * @returns {Promise<Object>} - The account awaiting its second factor and its type
+   * @throws {Error} - If the challenge is invalid or expired
+   */
+  static async decodeChallenge(challengeToken) {
+    try {
+      let decoded;
+      try {
+        decoded = KeyService.verifyPurposeToken(challengeToken);
+      } catch (jwtError) {
+        throw new Error('Invalid or expired two-factor challenge');
+      }
+
+      if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new Error('Invalid or expired two-factor challenge');
+      }
+
+      const user = await AccountService.getModel(decoded.userType).findById(decoded.userId);
+      if (!user || !user.twoFactorEnabled) {
+        throw new Error('Invalid or expired two-factor challenge');
+      }
+
+      return { user, userType: decoded.userType };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export the TwoFactorService class
+module.exports = TwoFactorService;
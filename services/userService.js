@@ -5,6 +5,17 @@
  */
 
 const User = require('../models/User');
+const Passkey = require('../models/Passkey');
+const LoginThrottleService = require('./loginThrottleService');
+const AccountService = require('./accountService');
+const LoginHistoryService = require('./loginHistoryService');
+const RoleService = require('./roleService');
+const PaginationService = require('./paginationService');
+const AccountStatusService = require('./accountStatusService');
+const AuditService = require('./auditService');
+
+// Profile fields an account holder may change through a profile update
+const UPDATABLE_FIELDS = ['firstName', 'lastName', 'phoneNumber', 'address', 'postcode'];
 
 /**
  * User Service Class
@@ -43,17 +54,38 @@ class UserService {
    * @param {string} [updateData.phoneNumber] - User's phone number
    * @param {string} [updateData.address] - User's address
    * @param {string} [updateData.postcode] - User's postcode
+   * @param {Object} [context] - Request context with the client IP and User-Agent
    * @returns {Promise<Object>} - Updated user object without password
    * @throws {Error} - If user not found or validation fails
    */
-  static async updateUser(userId, updateData) {
+  static async updateUser(userId, updateData, context = {}) {
     try {
       // Find and update user with new data
       // new: true returns the updated document
       // runValidators: true ensures validation runs on update
+      // Only whitelisted profile fields are applied - security fields are never set from a request
+      const updates = {};
+      UPDATABLE_FIELDS.forEach(field => {
+        if (updateData[field] !== undefined) {
+          updates[field] = updateData[field];
+        }
+      });
+
+      // Keep the current values for the audit log
+      const before = await User.findById(userId);
+      if (!before) {
+        throw new Error('User not found');
+      }
+
+      // A new phone number has to be verified again
+      if (updates.phoneNumber !== undefined && updates.phoneNumber !== before.phoneNumber) {
+        updates.phoneVerified = false;
+        updates.phoneVerifiedAt = null;
+      }
+
       const user = await User.findByIdAndUpdate(
         userId,
-        { $set: updateData },
+        { $set: updates },
         { new: true, runValidators: true }
       );
 
@@ -62,6 +94,12 @@ class UserService {
         throw new Error('User not found');
       }
 
+      const changes = AuditService.diff(before, user, Object.keys(updates));
+      if (changes.length > 0) {
+        const account = { userId: user._id, userType: 'user' };
+        await AuditService.record({ action: 'profile.updated', actor: account, target: account, changes }, context);
+      }
+
       return user;
     } catch (error) {
       throw error;
@@ -71,10 +109,11 @@ class UserService {
   /**
    * Delete user account permanently
    * @param {string} userId - The user's unique identifier
+   * @param {Object} [context] - Request context with the client IP and User-Agent
    * @returns {Promise<Object>} - Success message
    * @throws {Error} - If user not found
    */
-  static async deleteUser(userId) {
+  static async deleteUser(userId, context = {}) {
     try {
       // Find and delete user from database
       const user = await User.findByIdAndDelete(userId);
@@ -83,6 +122,15 @@ class UserService {
       if (!user) {
         throw new Error('User not found');
       }
+
+      // Free the email address for future registrations
+      await AccountService.releaseEmail(user.email, user._id);
+
+      // Remove the account's passkeys so they cannot be used again
+      await Passkey.deleteMany({ userId: user._id });
+
+      const account = { userId: user._id, userType: 'user' };
+      await AuditService.record({ action: 'account.deleted', actor: account, target: account }, context);
       
       return { message: 'User deleted successfully' };
     } catch (error) {
@@ -91,15 +139,166 @@ class UserService {
   }
 
   /**
-   * Get all users in the system (for admin purposes)
-   * @returns {Promise<Array>} - Array of all users without passwords
+   * Lift a login lockout and clear the failed attempt counter (for admin purposes)
+   * @param {string} userId - The user's unique identifier
+   * @param {Object} actor - { userId, userType } of the admin or API key lifting the lockout
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Success message
+   * @throws {Error} - If user not found
+   */
+  static async unlockUser(userId, actor, context = {}) {
+    try {
+      // Find user to get the email address the lockout is keyed by
+      const user = await User.findById(userId);
+      
+      // Check if user exists
+      if (!user) {
+        throw new Error('User not found');
+      }
+      
+      await LoginThrottleService.unlockAccount(user.email);
+
+      await AuditService.record({
+        action: 'account.unlocked',
+        actor,
+        target: { userId: user._id, userType: 'user' }
+      }, context);
+      
+      return { message: 'Account unlocked successfully' };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the login history of a user
+   * @param {string} userId - The user's unique identifier
+   * @param {number} [limit] - Most login attempts to return
+   * @returns {Promise<Array>} - Login attempts, newest first
+   * @throws {Error} - If user not found
+   */
+  static async getLoginHistory(userId, limit) {
+    try {
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return await LoginHistoryService.getHistory(user._id, 'user', limit);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the staff roles of a user (for admin purposes)
+   * @param {string} userId - The user's unique identifier
+   * @param {Array<string>} roles - New role names
+   * @param {Object} assignedBy - { userId, userType } of the admin assigning the roles
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message, roles and permissions
+   * @throws {Error} - If user not found or the roles cannot be assigned
+   */
+  static async updateRoles(userId, roles, assignedBy, context = {}) {
+    try {
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const before = { roles: [...user.roles] };
+      const result = await RoleService.assignRoles(user, 'user', roles, assignedBy);
+
+      await AuditService.record({
+        action: 'roles.updated',
+        actor: assignedBy,
+        target: { userId: user._id, userType: 'user' },
+        changes: AuditService.diff(before, result, ['roles'])
+      }, context);
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Suspend, ban or reinstate a user (for admin purposes)
+   * @param {string} userId - The user's unique identifier
+   * @param {Object} statusData - { status, reason?, expiresAt? }
+   * @param {Object} setBy - { userId, userType, roles } of the admin or { userId, userType } of the API key
+   * @param {Object} [context] - Request context with the client IP and User-Agent
+   * @returns {Promise<Object>} - Result with message and the new status
+   * @throws {Error} - If user not found or the status cannot be set
+   */
+  static async updateStatus(userId, statusData, setBy, context = {}) {
+    try {
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const before = AccountStatusService.getStatusDetails(user);
+      const result = await AccountStatusService.setStatus(user, 'user', statusData, setBy);
+
+      await AuditService.record({
+        action: 'status.updated',
+        actor: setBy,
+        target: { userId: user._id, userType: 'user' },
+        changes: AuditService.diff(before, result.accountStatus, ['status', 'reason', 'expiresAt'])
+      }, context);
+
+      return result;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of users (for admin purposes)
+   * @param {Object} [options] - Listing options
+   * @param {number} [options.page] - Page number, starting at 1
+   * @param {number} [options.limit] - Users per page (at most 100)
+   * @param {string} [options.sort] - Sort field, '-' prefix for descending (default: -createdAt)
+   * @param {Date} [options.createdFrom] - Only users created at or after this date
+   * @param {Date} [options.createdTo] - Only users created at or before this date
+   * @param {string} [options.postcode] - Postcode prefix
+   * @param {boolean} [options.emailVerified] - Email verification status
+   * @param {boolean} [options.phoneVerified] - Phone verification status
+   * @param {string} [options.status] - Account status ('active', 'suspended' or 'banned')
+   * @returns {Promise<Object>} - { users, pagination: { page, limit, total, totalPages } }
    * @throws {Error} - If database operation fails
    */
-  static async getAllUsers() {
+  static async getAllUsers(options = {}) {
+    try {
+      const filter = PaginationService.buildAccountFilter(options);
+      const { items, pagination } = await PaginationService.paginate(User, filter, options);
+
+      return { users: items, pagination };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the audit log activity of a user (for admin purposes)
+   * @param {string} userId - The user's unique identifier
+   * @param {Object} [options] - Action and date filters and paging options ({ page, limit })
+   * @returns {Promise<Object>} - { activity, pagination: { page, limit, total, totalPages } }
+   * @throws {Error} - If user not found
+   */
+  static async getActivity(userId, options = {}) {
     try {
-      // Find all users and exclude password field from results
-      const users = await User.find({}).select('-password');
-      return users;
+      // Check if user exists
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return await AuditService.getActivity(user._id, 'user', options);
     } catch (error) {
       throw error;
     }
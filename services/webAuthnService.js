@@ -0,0 +1,475 @@
+/**
+ * WebAuthn Service
+ * Verifies WebAuthn (passkey) registration and authentication responses
+ * Implements the parts of the W3C Web Authentication spec the API relies on: CBOR and COSE key
+ * decoding, authenticator data parsing, "none" and "packed" attestation, and assertion signatures
+ * with ES256, EdDSA and RS256 keys
+ */
+
+const crypto = require('crypto');
+
+// COSE algorithm identifiers accepted for new passkeys, in order of preference
+const SUPPORTED_ALGORITHMS = [-7, -8, -257];
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+/**
+ * Decode one CBOR (RFC 8949) data item
+ * Supports the subset used by WebAuthn: integers, byte and text strings, arrays, maps and simple values
+ * @param {Buffer} buffer - Encoded data
+ * @param {number} [offset] - Position of the item
+ * @returns {Object} - { value, offset } with the offset just past the item
+ * @throws {Error} - If the data is not valid CBOR
+ */
+const decodeCborItem = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    throw new Error('Invalid CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+  let position = offset + 1;
+  let argument;
+
+  // Read the argument (length, value or count) that follows the initial byte
+  if (additional < 24) {
+    argument = additional;
+  } else if (additional === 24) {
+    argument = buffer.readUInt8(position);
+    position += 1;
+  } else if (additional === 25) {
+    argument = buffer.readUInt16BE(position);
+    position += 2;
+  } else if (additional === 26) {
+    argument = buffer.readUInt32BE(position);
+    position += 4;
+  } else if (additional === 27) {
+    argument = Number(buffer.readBigUInt64BE(position));
+    position += 8;
+  } else {
+    throw new Error('Unsupported CBOR data');
+  }
+
+  switch (majorType) {
+    case 0:
+      return { value: argument, offset: position };
+    case 1:
+      return { value: -1 - argument, offset: position };
+    case 2:
+    case 3: {
+      if (position + argument > buffer.length) {
+        throw new Error('Invalid CBOR data');
+      }
+      const bytes = buffer.subarray(position, position + argument);
+      return {
+        value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'),
+        offset: position + argument
+      };
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        const item = decodeCborItem(buffer, position);
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    case 5: {
+      // Integer keys (COSE) and text keys (attestation objects) both become object properties
+      const map = {};
+      for (let i = 0; i < argument; i++) {
+        const key = decodeCborItem(buffer, position);
+        const entry = decodeCborItem(buffer, key.offset);
+        map[key.value] = entry.value;
+        position = entry.offset;
+      }
+      return { value: map, offset: position };
+    }
+    case 7:
+      if (additional === 20) return { value: false, offset: position };
+      if (additional === 21) return { value: true, offset: position };
+      if (additional === 22) return { value: null, offset: position };
+      throw new Error('Unsupported CBOR data');
+    default:
+      throw new Error('Unsupported CBOR data');
+  }
+};
+
+/**
+ * Decode a base64url string from a client response
+ * @param {string} value - base64url encoded value
+ * @param {string} field - Field name for the error message
+ * @returns {Buffer} - Decoded bytes
+ * @throws {Error} - If the value is missing or not a string
+ */
+const fromBase64Url = (value, field) => {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error(`Invalid passkey response: ${field} is missing`);
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/**
+ * WebAuthn Service Class
+ * Contains all WebAuthn protocol-related logic
+ */
+class WebAuthnService {
+
+  /**
+   * Read the relying party settings from environment variables
+   * The relying party ID defaults to the host name of API_URL
+   * @returns {Object} - { rpId, rpName, origins, challengeExpiresMinutes, userVerification }
+   */
+  static getSettings() {
+    const apiUrl = new URL(process.env.API_URL || 'http://localhost:3000');
+
+    return {
+      // Domain passkeys are bound to - must be the site's domain or a parent of it
+      rpId: process.env.WEBAUTHN_RP_ID || apiUrl.hostname,
+      // Name shown by the authenticator
+      rpName: process.env.WEBAUTHN_RP_NAME || 'RepairO',
+      // Origins allowed to run the ceremonies, e.g. the web app and mobile apps
+      origins: (process.env.WEBAUTHN_ORIGINS || apiUrl.origin)
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean),
+      // Minutes until an unanswered challenge expires
+      challengeExpiresMinutes: parseInt(process.env.WEBAUTHN_CHALLENGE_EXPIRES_MINUTES, 10) || 5,
+      // "required" makes every passkey login a two-factor login (device + PIN or biometrics)
+      userVerification: process.env.WEBAUTHN_USER_VERIFICATION === 'preferred' ? 'preferred' : 'required'
+    };
+  }
+
+  /**
+   * Get the COSE algorithms accepted for new passkeys
+   * @returns {Array<number>} - COSE algorithm identifiers
+   */
+  static getSupportedAlgorithms() {
+    return [...SUPPORTED_ALGORITHMS];
+  }
+
+  /**
+   * Generate a random challenge
+   * @returns {string} - 32 random bytes, base64url encoded
+   */
+  static generateChallenge() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Decode a complete CBOR value
+   * @param {Buffer} buffer - Encoded data
+   * @returns {*} - Decoded value
+   * @throws {Error} - If the data is not valid CBOR or has trailing bytes
+   */
+  static decodeCbor(buffer) {
+    const { value, offset } = decodeCborItem(buffer);
+    if (offset !== buffer.length) {
+      throw new Error('Invalid CBOR data');
+    }
+    return value;
+  }
+
+  /**
+   * Parse authenticator data
+   * @param {Buffer} authData - Raw authenticator data
+   * @returns {Object} - rpIdHash, flags, signCount and, when present, the attested credential
+   * (aaguid, credentialId and the decoded COSE public key)
+   * @throws {Error} - If the data is truncated
+   */
+  static parseAuthenticatorData(authData) {
+    if (authData.length < 37) {
+      throw new Error('Invalid passkey response: authenticator data is too short');
+    }
+
+    const flags = authData[32];
+    const parsed = {
+      rpIdHash: authData.subarray(0, 32),
+      flags,
+      userPresent: Boolean(flags & FLAG_USER_PRESENT),
+      userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+      backedUp: Boolean(flags & FLAG_BACKED_UP),
+      signCount: authData.readUInt32BE(33)
+    };
+
+    if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+      if (authData.length < 55) {
+        throw new Error('Invalid passkey response: authenticator data is too short');
+      }
+      const credentialIdLength = authData.readUInt16BE(53);
+      const credentialIdEnd = 55 + credentialIdLength;
+      if (authData.length < credentialIdEnd) {
+        throw new Error('Invalid passkey response: authenticator data is too short');
+      }
+
+      // The public key is followed by extension data, so decode a single item
+      const { value: publicKey } = decodeCborItem(authData, credentialIdEnd);
+
+      parsed.aaguid = authData.subarray(37, 53).toString('hex');
+      parsed.credentialId = authData.subarray(55, credentialIdEnd).toString('base64url');
+      parsed.credentialPublicKey = publicKey;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Convert a COSE public key to a Node.js key object
+   * @param {Object} coseKey - Decoded COSE key map
+   * @returns {Object} - { algorithm, key } with the COSE algorithm and a crypto KeyObject
+   * @throws {Error} - If the key type or algorithm is not supported
+   */
+  static coseKeyToPublicKey(coseKey) {
+    const keyType = coseKey[1];
+    const algorithm = coseKey[3];
+    let jwk;
+
+    if (keyType === 2 && algorithm === -7 && coseKey[-1] === 1) {
+      // EC2 key on P-256
+      jwk = { kty: 'EC', crv: 'P-256', x: coseKey[-2].toString('base64url'), y: coseKey[-3].toString('base64url') };
+    } else if (keyType === 1 && algorithm === -8 && coseKey[-1] === 6) {
+      // OKP key on Ed25519
+      jwk = { kty: 'OKP', crv: 'Ed25519', x: coseKey[-2].toString('base64url') };
+    } else if (keyType === 3 && algorithm === -257) {
+      // RSA key
+      jwk = { kty: 'RSA', n: coseKey[-1].toString('base64url'), e: coseKey[-2].toString('base64url') };
+    } else {
+      throw new Error('Unsupported passkey algorithm');
+    }
+
+    try {
+      return { algorithm, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+    } catch (error) {
+      throw new Error('Invalid passkey public key');
+    }
+  }
+
+  /**
+   * Verify a signature made with a credential key
+   * @param {number} algorithm - COSE algorithm of the key
+   * @param {Object|string} publicKey - KeyObject or SPKI PEM
+   * @param {Buffer} data - Signed data
+   * @param {Buffer} signature - Signature from the authenticator
+   * @returns {boolean} - True if the signature is valid
+   */
+  static verifySignature(algorithm, publicKey, data, signature) {
+    try {
+      if (algorithm === -8) {
+        return crypto.verify(null, data, publicKey, signature);
+      }
+      // ES256 signatures are DER encoded, RS256 uses PKCS#1 v1.5 padding - both Node.js defaults
+      return crypto.verify('sha256', data, publicKey, signature);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse and check the client data shared by both ceremonies
+   * @param {string} clientDataJSON - base64url encoded client data
+   * @param {string} type - Expected ceremony type ('webauthn.create' or 'webauthn.get')
+   * @returns {Object} - { clientData, clientDataHash }
+   * @throws {Error} - If the client data is malformed, for another ceremony or from an unknown origin
+   */
+  static verifyClientData(clientDataJSON, type) {
+    const raw = fromBase64Url(clientDataJSON, 'clientDataJSON');
+    let clientData;
+    try {
+      clientData = JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid passkey response: clientDataJSON is not valid JSON');
+    }
+
+    if (clientData.type !== type) {
+      throw new Error('Invalid passkey response: wrong ceremony type');
+    }
+
+    if (!this.getSettings().origins.includes(clientData.origin) || clientData.crossOrigin === true) {
+      throw new Error('Invalid passkey response: origin is not allowed');
+    }
+
+    if (typeof clientData.challenge !== 'string') {
+      throw new Error('Invalid passkey response: challenge is missing');
+    }
+
+    return {
+      clientData,
+      clientDataHash: crypto.createHash('sha256').update(raw).digest()
+    };
+  }
+
+  /**
+   * Check the relying party and user flags of parsed authenticator data
+   * @param {Object} authenticatorData - Parsed authenticator data
+   * @throws {Error} - If the data is for another relying party or the user was not present or verified
+   */
+  static verifyAuthenticatorFlags(authenticatorData) {
+    const { rpId, userVerification } = this.getSettings();
+    const expectedRpIdHash = crypto.createHash('sha256').update(rpId).digest();
+
+    if (!crypto.timingSafeEqual(authenticatorData.rpIdHash, expectedRpIdHash)) {
+      throw new Error('Invalid passkey response: relying party ID does not match');
+    }
+
+    if (!authenticatorData.userPresent) {
+      throw new Error('Invalid passkey response: user was not present');
+    }
+
+    if (userVerification === 'required' && !authenticatorData.userVerified) {
+      throw new Error('Invalid passkey response: user was not verified');
+    }
+  }
+
+  /**
+   * Read the challenge a client response answers without verifying anything else
+   * Used to look up the stored challenge before full verification
+   * @param {Object} credential - PublicKeyCredential JSON from the client
+   * @returns {string|null} - base64url challenge, or null if it cannot be read
+   */
+  static getChallenge(credential) {
+    try {
+      const raw = fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON');
+      const { challenge } = JSON.parse(raw.toString('utf8'));
+      return typeof challenge === 'string' ? challenge : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Verify a registration (attestation) response
+   * Attestation statements are checked for integrity only - authenticator models are not restricted
+   * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.create()
+   * @param {string} expectedChallenge - Challenge issued for the ceremony
+   * @returns {Object} - Verified credential: credentialId, publicKey (SPKI PEM), algorithm, signCount,
+   * aaguid, backedUp and transports
+   * @throws {Error} - If the response is malformed or fails verification
+   */
+  static verifyRegistrationResponse(credential, expectedChallenge) {
+    if (!credential || credential.type !== 'public-key' || !credential.response) {
+      throw new Error('Invalid passkey response: not a public key credential');
+    }
+
+    const { clientData, clientDataHash } = this.verifyClientData(
+      credential.response.clientDataJSON, 'webauthn.create'
+    );
+    if (clientData.challenge !== expectedChallenge) {
+      throw new Error('Invalid passkey response: challenge does not match');
+    }
+
+    let attestation;
+    try {
+      attestation = this.decodeCbor(fromBase64Url(credential.response.attestationObject, 'attestationObject'));
+    } catch (error) {
+      throw new Error('Invalid passkey response: attestationObject is not valid CBOR');
+    }
+    if (!Buffer.isBuffer(attestation.authData)) {
+      throw new Error('Invalid passkey response: authenticator data is missing');
+    }
+
+    const authenticatorData = this.parseAuthenticatorData(attestation.authData);
+    this.verifyAuthenticatorFlags(authenticatorData);
+
+    if (!authenticatorData.credentialId) {
+      throw new Error('Invalid passkey response: credential data is missing');
+    }
+    if (credential.id !== authenticatorData.credentialId) {
+      throw new Error('Invalid passkey response: credential ID does not match');
+    }
+
+    const { algorithm, key } = this.coseKeyToPublicKey(authenticatorData.credentialPublicKey);
+    const attStmt = attestation.attStmt || {};
+
+    if (attestation.fmt === 'packed') {
+      // Full attestation is signed by the certificate in x5c, self attestation by the credential key
+      const signedData = Buffer.concat([attestation.authData, clientDataHash]);
+      let valid;
+      if (Array.isArray(attStmt.x5c) && attStmt.x5c.length > 0) {
+        let certificate;
+        try {
+          certificate = new crypto.X509Certificate(attStmt.x5c[0]);
+        } catch (error) {
+          throw new Error('Invalid passkey response: attestation certificate is invalid');
+        }
+        valid = this.verifySignature(attStmt.alg, certificate.publicKey, signedData, attStmt.sig);
+      } else {
+        valid = attStmt.alg === algorithm && this.verifySignature(algorithm, key, signedData, attStmt.sig);
+      }
+      if (!valid) {
+        throw new Error('Invalid passkey response: attestation signature is invalid');
+      }
+    } else if (attestation.fmt !== 'none' || Object.keys(attStmt).length > 0) {
+      throw new Error('Unsupported attestation format');
+    }
+
+    return {
+      credentialId: authenticatorData.credentialId,
+      publicKey: key.export({ type: 'spki', format: 'pem' }),
+      algorithm,
+      signCount: authenticatorData.signCount,
+      aaguid: authenticatorData.aaguid,
+      backedUp: authenticatorData.backedUp,
+      transports: Array.isArray(credential.response.transports)
+        ? credential.response.transports.filter(transport => typeof transport === 'string')
+        : []
+    };
+  }
+
+  /**
+   * Verify an authentication (assertion) response against a stored passkey
+   * @param {Object} credential - PublicKeyCredential JSON from navigator.credentials.get()
+   * @param {string} expectedChallenge - Challenge issued for the ceremony
+   * @param {Object} passkey - Stored passkey with publicKey, algorithm and signCount
+   * @param {string} userHandle - base64url user handle of the passkey's account
+   * @returns {Object} - { signCount, userVerified, backedUp } from the authenticator
+   * @throws {Error} - If the response is malformed, fails verification or comes from a cloned authenticator
+   */
+  static verifyAuthenticationResponse(credential, expectedChallenge, passkey, userHandle) {
+    if (!credential || credential.type !== 'public-key' || !credential.response) {
+      throw new Error('Invalid passkey response: not a public key credential');
+    }
+
+    const { clientData, clientDataHash } = this.verifyClientData(
+      credential.response.clientDataJSON, 'webauthn.get'
+    );
+    if (clientData.challenge !== expectedChallenge) {
+      throw new Error('Invalid passkey response: challenge does not match');
+    }
+
+    // A discoverable passkey returns the account it was registered for
+    if (credential.response.userHandle && credential.response.userHandle !== userHandle) {
+      throw new Error('Invalid passkey response: user handle does not match');
+    }
+
+    const rawAuthenticatorData = fromBase64Url(credential.response.authenticatorData, 'authenticatorData');
+    const authenticatorData = this.parseAuthenticatorData(rawAuthenticatorData);
+    this.verifyAuthenticatorFlags(authenticatorData);
+
+    const signature = fromBase64Url(credential.response.signature, 'signature');
+    const signedData = Buffer.concat([rawAuthenticatorData, clientDataHash]);
+    if (!this.verifySignature(passkey.algorithm, passkey.publicKey, signedData, signature)) {
+      throw new Error('Invalid passkey response: signature is invalid');
+    }
+
+    // Authenticators that keep a counter must increase it on every use
+    if ((authenticatorData.signCount > 0 || passkey.signCount > 0) &&
+      authenticatorData.signCount <= passkey.signCount) {
+      throw new Error('Passkey signature counter did not increase - the authenticator may have been cloned');
+    }
+
+    return {
+      signCount: authenticatorData.signCount,
+      userVerified: authenticatorData.userVerified,
+      backedUp: authenticatorData.backedUp
+    };
+  }
+}
+
+// Export the WebAuthnService class
+module.exports = WebAuthnService;